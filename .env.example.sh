@@ -1,11 +1,146 @@
-# Required: Your Anthropic API key
+# Optional: Model backend: anthropic (default), openai (any OpenAI-compatible
+# chat completions server, e.g. a self-hosted vLLM/Ollama) or mock (offline,
+# deterministic schema-conformant output for tests and demos)
+LLM_PROVIDER=anthropic
+
+# Required for LLM_PROVIDER=anthropic: Your Anthropic API key
 ANTHROPIC_API_KEY=sk-ant-xxxxx
 
 # Optional: Claude model (defaults to claude-sonnet-4-20250514)
 CLAUDE_MODEL=claude-sonnet-4-20250514
 
+# LLM_PROVIDER=openai: server base URL (up to /v1), model and optional key.
+# OPENAI_STRUCTURED_MODE=json_schema for servers without function calling.
+# OPENAI_BASE_URL=http://localhost:8000/v1
+# OPENAI_MODEL=qwen2.5-32b-instruct
+# OPENAI_API_KEY=
+# OPENAI_STRUCTURED_MODE=tools
+# OPENAI_TIMEOUT_SECONDS=600
+
+# LLM_PROVIDER=mock: model name reported in results, and an optional JSON file whose
+# top-level keys (summary, key_points, ...) replace the generated output
+# MOCK_MODEL=mock
+# MOCK_FIXTURE=./fixtures/analysis.json
+
+# Optional: Record every model call to disk (record), or serve recorded calls offline
+# without touching the provider (replay; unrecorded requests fail with a cassette miss).
+# Used with `npm run compare` to diff results before/after prompt changes.
+# Replayed calls are free: they use no budget and their usage is recorded as zero.
+# LLM_CASSETTE=record
+# LLM_CASSETTE_DIR=./data/cassettes
+
 # Optional: Server port (Railway sets this automatically)
 PORT=3000
 
-# Optional: CORS origin (defaults to *)
-ALLOWED_ORIGIN=*
+# Optional: Origins allowed to call the API from a browser, comma-separated
+# (e.g. https://intranet.example.com). Unset means same-origin only. Browsers only send
+# the sign-in cookie to this server's own origin; other origins need a bearer API key.
+# ALLOWED_ORIGIN=https://intranet.example.com
+
+# Optional: Long documents are split into chunks of at most this many characters
+# (smaller when a full translation is requested, since output scales with input)
+TRANSLATION_CHUNK_CHARS=12000
+ANALYSIS_CHUNK_CHARS=80000
+
+# Optional: How many chunks are sent to the model in parallel
+CHUNK_CONCURRENCY=2
+
+# Optional: Background analysis jobs run at most this many at a time
+JOB_CONCURRENCY=2
+
+# Optional: How long finished job results are kept for polling (minutes)
+JOB_TTL_MINUTES=1440
+
+# Optional: Where analysis history is stored (defaults to ./data).
+# On Railway, mount a volume here so history survives redeploys.
+DATA_DIR=./data
+
+# Optional: Department taxonomy used for key points and to-dos
+# (JSON array of { name, description, aliases }; defaults to config/departments.json)
+DEPARTMENTS_CONFIG=./config/departments.json
+
+# Optional: How many times invalid model output is sent back for correction
+MAX_REPAIR_ATTEMPTS=2
+
+# Optional: OCR fallback for scanned PDF pages (runs locally with Tesseract WASM)
+OCR_ENABLED=true
+# Pages with fewer non-whitespace characters than this are OCR'd
+OCR_MIN_CHARS_PER_PAGE=40
+# Tesseract languages, e.g. eng+pol+deu. Languages other than eng need their
+# traineddata files in OCR_LANG_PATH (eng ships with @tesseract.js-data/eng).
+OCR_LANGS=eng
+# OCR_LANG_PATH=./tessdata
+# OCR_LANG_GZIP=false   (when the files in OCR_LANG_PATH are plain .traineddata)
+OCR_RENDER_SCALE=2
+
+# Optional: Sign-in (defaults to on). Every analyze/job/history/export call needs a
+# session cookie from the web UI or an "Authorization: Bearer <api key>" header.
+# Accounts are managed with `npm run users -- add <username>`; API keys are created
+# by signed-in users in the web UI. Set to false only on a trusted network.
+# Admins (`npm run users -- grant-admin <username>`) can see every user's usage.
+AUTH_ENABLED=true
+# Creates this admin account on startup when no accounts exist yet (e.g. first Railway deploy)
+# AUTH_ADMIN_USERNAME=admin
+# AUTH_ADMIN_PASSWORD=change-me-please
+# How long a web UI sign-in lasts (hours)
+SESSION_TTL_HOURS=12
+
+# Optional: Price table used to compute the cost of each analysis
+# ({ currency, models: { "<model id or prefix>": { input_per_mtok, output_per_mtok } } };
+# defaults to config/prices.json)
+PRICES_CONFIG=./config/prices.json
+# Optional: Daily spend caps (in the price table's currency, per UTC day). Analyses are
+# refused with 429 once today's total, or the signed-in user's total, reaches the cap.
+# BUDGET_DAILY=20
+# BUDGET_USER_DAILY=5
+
+# Optional: Result cache. Re-uploading the same document(s) with the same outputs, language,
+# model and prompt returns the stored result instead of calling the model again (send
+# force=true, or tick "Re-analyze" in the UI, to bypass it). Stored in DATA_DIR/cache.
+CACHE_ENABLED=true
+CACHE_TTL_HOURS=168
+CACHE_MAX_ENTRIES=500
+CACHE_MAX_MB=200
+
+# Optional: Batch mode (several main documents, or a ZIP of them, sent to /api/batches).
+# One batch runs at a time with BATCH_CONCURRENCY documents in flight; each document is
+# saved to history on its own and the batch result merges their to-dos per department.
+BATCH_CONCURRENCY=3
+BATCH_MAX_DOCUMENTS=100
+# Upload limit for a batch, and for the unpacked contents of its ZIP archives
+BATCH_MAX_MB=100
+
+# Optional: "Compare with previous version" output. The two versions are diffed locally;
+# at most this many changes are sent to the model to be explained (the rest are still listed).
+COMPARE_MAX_CHANGES=200
+
+# Optional: Webhooks. Signed-in users register URLs with POST /api/webhooks; every finished
+# analysis is then POSTed to them as JSON signed with HMAC-SHA256 (X-Webhook-Signature).
+# Failed deliveries are retried with backoff (base delay x4 per attempt); see
+# GET /api/webhooks/deliveries?status=failed. Try it with `npm run webhook-receiver`.
+WEBHOOK_MAX_ATTEMPTS=5
+WEBHOOK_RETRY_BASE_SECONDS=30
+WEBHOOK_TIMEOUT_SECONDS=10
+# Webhook URLs must use https (plain http is accepted with NODE_ENV=development) and may not
+# point at loopback, private or link-local addresses unless the host is listed here, e.g.
+# for a receiver on the same machine or network (comma-separated host names or IPs):
+# WEBHOOK_ALLOWED_HOSTS=localhost,hooks.internal.example.com
+
+# Optional: Personal data redaction. Names, emails, phone numbers, IBANs, national IDs, dates
+# of birth and addresses are replaced with tokens such as [[PERSON_1]] before any text is
+# sent to the model, and restored in the result; meta.redaction reports what was replaced.
+# Detection rules (regular expressions, plus literal terms such as client names) live in
+# REDACTION_CONFIG; set REDACTION_ENABLED=false to send documents unredacted.
+# Names are only recognised after a title or label ("Mr", "Name:") or when listed under
+# terms. Other runs of capitalised words are reported in meta.redaction.possible_names;
+# REDACTION_STRICT=true refuses to send a document that has any (expect false alarms on
+# company names, places and headings).
+REDACTION_ENABLED=true
+REDACTION_CONFIG=./config/redaction.json
+# REDACTION_STRICT=true
+
+# Optional: Custom output types, listed as extra checkboxes next to the built-in outputs.
+# Each entry in CUSTOM_OUTPUTS_CONFIG has a key (the output name and result property), a label,
+# a JSON schema for its value and instructions for the model; the UI renders the value from
+# its schema. Without the file only the built-in outputs are offered.
+CUSTOM_OUTPUTS_CONFIG=./config/custom-outputs.json
@@ -0,0 +1,549 @@
+import crypto from "crypto";
+import { chunkSegments, mergeCrossReference, mergeCustomOutput, mergeKeyPoints, mergeObligations, mergeTodos } from "./chunking.js";
+import { markSegments } from "./citations.js";
+import { mapLimit } from "./concurrency.js";
+import { selectCustomOutputs } from "./custom-outputs.js";
+import { departmentNames, normalizeResultDepartments } from "./departments.js";
+import { httpError } from "./http-error.js";
+import { createSectionParser } from "./json-sections.js";
+import { OFFSET_UNITS, RECURRENCES, SEVERITIES } from "./obligations.js";
+import { RISK_CATEGORIES } from "./risk.js";
+import { formatViolations, validateAgainstSchema } from "./schema-validation.js";
+import { formatChangesForPrompt, promptChangeIds } from "./text-diff.js";
+import { addUsage } from "./usage.js";
+
+const MAX_TOKENS = 8192;
+const RESULT_TOOL = "record_analysis";
+// 0 turns repairs off; anything but a whole number is a configuration mistake.
+const MAX_REPAIR_ATTEMPTS = Number(process.env.MAX_REPAIR_ATTEMPTS || 2);
+if (!Number.isInteger(MAX_REPAIR_ATTEMPTS) || MAX_REPAIR_ATTEMPTS < 0) {
+  throw new Error(`MAX_REPAIR_ATTEMPTS must be a whole number of 0 or more, got "${process.env.MAX_REPAIR_ATTEMPTS}"`);
+}
+
+// Translation output is roughly as long as its input, so translated chunks must stay well
+// under the max_tokens output budget; analysis-only chunks can be much larger.
+const TRANSLATION_CHUNK_CHARS = Number(process.env.TRANSLATION_CHUNK_CHARS) || 12000;
+const ANALYSIS_CHUNK_CHARS = Number(process.env.ANALYSIS_CHUNK_CHARS) || 80000;
+const CHUNK_CONCURRENCY = Number(process.env.CHUNK_CONCURRENCY) || 2;
+
+// Every finding carries a verbatim quote and the [label] of the passage it came from;
+// the server checks the quote against the extracted text afterwards.
+const QUOTE_PROPERTY = { type: "string", description: "Verbatim excerpt from the source, copied exactly in its original language" };
+const LOCATION_PROPERTY = { type: "string", description: "Location marker of the quoted passage, e.g. \"page 3\" or \"paragraph 12\"" };
+
+const RISK_RATING = { type: "integer", minimum: 1, maximum: 5 };
+
+// The risk assessment scores key points, so it produces them even when key_points itself
+// was not requested.
+function wantsKeyPoints(outputs) {
+  return outputs.includes("key_points") || outputs.includes("risk_assessment");
+}
+
+// changeIds: ids of the local diff changes shown to the model (compare output only).
+// customOutputs: the configured custom output types; the requested ones add their schema.
+export function buildJsonSchema(outputs, departments, { changeIds = [], customOutputs = [] } = {}) {
+  const names = departmentNames(departments);
+  const schemaObj = {
+    type: "object",
+    properties: {},
+    required: []
+  };
+
+  if (outputs.includes("translation")) {
+    schemaObj.properties.translated_text = { type: "string", description: "Full translation of the document" };
+    schemaObj.required.push("translated_text");
+  }
+
+  if (outputs.includes("summary")) {
+    schemaObj.properties.summary = { type: "string", description: "Detailed summary of the document" };
+    schemaObj.required.push("summary");
+  }
+
+  if (wantsKeyPoints(outputs)) {
+    const keyPoint = {
+      type: "object",
+      properties: {
+        point: { type: "string" },
+        department: { type: "string", enum: names },
+        tags: { type: "array", items: { type: "string" } },
+        quote: QUOTE_PROPERTY,
+        location: LOCATION_PROPERTY
+      },
+      required: ["point", "department", "tags", "quote", "location"]
+    };
+
+    if (outputs.includes("risk_assessment")) {
+      keyPoint.properties.risk = {
+        type: "object",
+        properties: {
+          likelihood: { ...RISK_RATING, description: "1 = rare, 5 = almost certain" },
+          impact: { ...RISK_RATING, description: "1 = negligible, 5 = severe" },
+          category: { type: "string", enum: RISK_CATEGORIES },
+          rationale: { type: "string", description: "Why these ratings, in one or two sentences" }
+        },
+        required: ["likelihood", "impact", "category", "rationale"]
+      };
+      keyPoint.required.push("risk");
+    }
+
+    schemaObj.properties.key_points = { type: "array", items: keyPoint };
+    schemaObj.required.push("key_points");
+  }
+
+  if (outputs.includes("todos")) {
+    const todoItem = {
+      type: "object",
+      properties: {
+        task: { type: "string" },
+        source_point: { type: "string" },
+        quote: QUOTE_PROPERTY,
+        location: LOCATION_PROPERTY
+      },
+      required: ["task", "source_point", "quote", "location"]
+    };
+
+    schemaObj.properties.todos_by_department = {
+      type: "object",
+      properties: Object.fromEntries(names.map(name => [name, { type: "array", items: todoItem }])),
+      required: names
+    };
+    schemaObj.required.push("todos_by_department");
+  }
+
+  if (outputs.includes("obligations")) {
+    schemaObj.properties.document_date = { type: "string", description: "Date of the document as YYYY-MM-DD, or \"\" if it states none" };
+    schemaObj.properties.obligations = {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          obligation: { type: "string", description: "What must be done, by whom, as a self-contained statement" },
+          legal_reference: { type: "string", description: "Law, regulation, article or contract clause the obligation rests on, or \"\"" },
+          department: { type: "string", enum: names },
+          due_text: { type: "string", description: "The deadline as worded in the document, or \"\"" },
+          due_date: { type: "string", description: "Stated deadline as YYYY-MM-DD, or \"\" when the deadline is relative or absent" },
+          due_offset_value: { type: "integer", minimum: 0, description: "For a relative deadline (\"within 30 days\"), the number; otherwise 0" },
+          due_offset_unit: { type: "string", enum: OFFSET_UNITS },
+          recurrence: { type: "string", enum: RECURRENCES },
+          severity: { type: "string", enum: SEVERITIES },
+          quote: QUOTE_PROPERTY,
+          location: LOCATION_PROPERTY
+        },
+        required: ["obligation", "legal_reference", "department", "due_text", "due_date", "due_offset_value", "due_offset_unit", "recurrence", "severity", "quote", "location"]
+      }
+    };
+    schemaObj.required.push("document_date", "obligations");
+  }
+
+  if (outputs.includes("cross_reference")) {
+    schemaObj.properties.cross_reference = {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          question: { type: "string" },
+          answer: { type: "string" },
+          found_in: { type: "string" },
+          confidence: { type: "string", enum: ["low", "medium", "high"] },
+          quote: QUOTE_PROPERTY,
+          location: LOCATION_PROPERTY
+        },
+        required: ["question", "answer", "found_in", "confidence", "quote", "location"]
+      }
+    };
+    schemaObj.required.push("cross_reference");
+  }
+
+  if (outputs.includes("generate_template")) {
+    schemaObj.properties.response_template = { type: "string", description: "Response template for the document" };
+    schemaObj.required.push("response_template");
+  }
+
+  if (outputs.includes("compare")) {
+    schemaObj.properties.version_changes = {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          change_id: changeIds.length ? { type: "string", enum: changeIds } : { type: "string" },
+          change_summary: { type: "string", description: "What changed, in one or two sentences" },
+          compliance_impact: { type: "string", description: "Why the change matters for compliance, obligations or risk" },
+          department: { type: "string", enum: names },
+          recommended_action: { type: "string" }
+        },
+        required: ["change_id", "change_summary", "compliance_impact", "department", "recommended_action"]
+      }
+    };
+    schemaObj.required.push("version_changes");
+  }
+
+  for (const custom of selectCustomOutputs(outputs, customOutputs)) {
+    schemaObj.properties[custom.key] = custom.schema;
+    schemaObj.required.push(custom.key);
+  }
+
+  return schemaObj;
+}
+
+function describeDepartments(departments) {
+  return departments.map((d) => {
+    const aliases = d.aliases.length ? ` (also: ${d.aliases.join(", ")})` : "";
+    return `- ${d.name}${aliases}${d.description ? `: ${d.description}` : ""}`;
+  }).join("\n");
+}
+
+function describeCustomOutputs(outputs, customOutputs) {
+  return selectCustomOutputs(outputs, customOutputs).flatMap(custom => [
+    `${custom.label} requirement (output ${custom.key}):`,
+    ...custom.instructions.map(line => `- ${line}`),
+    ""
+  ]);
+}
+
+const COMPARE_REQUIREMENT = [
+  "Version comparison requirement (if requested):",
+  "- The MAIN DOCUMENT is the revised version of a baseline document. CHANGES FROM BASELINE lists every difference found by a text diff, each with an id like [C3].",
+  "- Add one version_changes entry per MATERIAL change: anything that alters obligations, rights, deadlines, amounts, thresholds, scope, responsibilities or risk. Skip pure wording, formatting and typo fixes.",
+  "- change_id is the id of the change; compliance_impact explains why it matters; department is who must act; recommended_action is what they should do."
+];
+
+// Personal data is replaced with tokens before prompts are built (see lib/redaction.js) and
+// restored in the result, which only works if the model passes the tokens through intact.
+const TOKEN_RULE = "- Tokens like [[PERSON_1]] or [[IBAN_2]] stand for personal data removed before sending. Copy them exactly as written wherever that data belongs (translation, quotes, template); never guess or invent what they stand for.";
+
+function buildPrompt({ targetLanguage, outputs, departments, customOutputs = [], docText, crossText, changesText, chunk }) {
+  const wantsCrossDocs = outputs.includes("cross_reference") || outputs.includes("generate_template");
+  const wantsCompare = outputs.includes("compare");
+
+  return [
+    `Target language: ${targetLanguage}`,
+    `Requested outputs: ${outputs.join(", ")}`,
+    "",
+    `Record your answer by calling the ${RESULT_TOOL} tool; fill in every field its input schema requires.`,
+    "",
+    chunk ? `The MAIN DOCUMENT below is part ${chunk.index + 1} of ${chunk.total} (${chunk.label}) of a longer document.` : "",
+    chunk ? "- Translate and analyze ONLY this part. Do not invent content from other parts." : "",
+    chunk ? "- The summary should cover only this part; it will be combined with the other parts later." : "",
+    "Rules:",
+    "- Use ONLY the MAIN DOCUMENT for translation/summary/key points/to-dos/obligations.",
+    "- Use CROSS DOCUMENTS for cross-reference and to help fill the response template when available.",
+    "- Lines like [page 3] or [paragraph 12] are location markers added for citation; they are not part of the document and must not appear in translated_text.",
+    TOKEN_RULE,
+    "",
+    "Citation requirement:",
+    "- Every key point, to-do and obligation needs quote: a short verbatim excerpt (one sentence or less) from the MAIN DOCUMENT that supports it, copied exactly in the document's original language, not translated or paraphrased.",
+    "- location is the label of the nearest marker above the quoted passage, without brackets (e.g. page 3).",
+    "- Every cross-reference finding needs quote and location from the CROSS DOCUMENT that holds the answer; when not found use quote=\"\" and location=\"\".",
+    "",
+    "Obligations requirement (if requested):",
+    "- List every obligation the MAIN DOCUMENT imposes on the recipient: things that must (or must not) be done, reported, paid, kept or notified.",
+    "- legal_reference is the law, regulation, article or contract clause cited for it; use \"\" when the document cites none.",
+    "- Deadlines: a stated date goes in due_date (YYYY-MM-DD) with due_offset_unit=\"none\"; a relative deadline (\"within 14 days of this letter\") goes in due_offset_value/due_offset_unit with due_date=\"\". Do not calculate dates yourself. No deadline: due_date=\"\", due_offset_unit=\"none\".",
+    "- document_date is the date the MAIN DOCUMENT was issued, if stated.",
+    "- severity reflects the consequence of missing the obligation (critical = sanctions, licence or legal exposure).",
+    "",
+    "Risk assessment requirement (if requested):",
+    "- Give every key point a risk block: likelihood and impact from 1 to 5 for the organisation receiving the document, the risk category that fits best, and a short rationale.",
+    "- Rate the risk if nothing is done about the point; informational points with no exposure get 1/1.",
+    "",
+    "Summary requirement (if requested):",
+    "- More detailed than a short abstract.",
+    "- Include key context, key decisions, important constraints, and risks/implications if present.",
+    "- Aim for ~8-12 sentences unless the document is extremely short.",
+    "",
+    "Template requirement (if requested):",
+    "- response_template should be a structured, reusable email/letter-style reply to the inquiry in the MAIN DOCUMENT.",
+    "- Include sections like greeting, reference to the inquiry, key answers, and closing.",
+    "- If relevant information is clearly present in CROSS DOCUMENTS (for example KYC data lists), incorporate it directly into the template.",
+    "- If relevant information is not present, leave clearly marked placeholders (e.g. [INSERT KYC DATA HERE]) for the user to fill manually.",
+    "",
+    "Allowed departments (use the exact name; pick the one whose remit fits best):",
+    describeDepartments(departments),
+    "",
+    "Cross-reference requirement (if requested):",
+    "- Identify questions/unknowns/requests in the MAIN DOCUMENT.",
+    "- Search CROSS DOCUMENTS for answers/evidence.",
+    "- If not found: answer=\"\", confidence=\"low\", found_in=\"not found\".",
+    "",
+    ...describeCustomOutputs(outputs, customOutputs),
+    ...(wantsCompare ? [...COMPARE_REQUIREMENT, ""] : []),
+    "MAIN DOCUMENT:",
+    docText,
+    "",
+    wantsCompare ? "CHANGES FROM BASELINE:" : "",
+    wantsCompare ? changesText : "",
+    wantsCrossDocs ? "CROSS DOCUMENTS:" : "",
+    wantsCrossDocs ? (crossText || "(none provided)") : ""
+  ].filter(Boolean).join("\n");
+}
+
+function reduceOutputsFor(outputs) {
+  return outputs.filter(o => o === "summary" || o === "generate_template" || o === "compare");
+}
+
+// The reduce step only sees per-part findings, so it produces the outputs that need the
+// whole document in view: the overall summary, the response template and the explanation
+// of the changes from the baseline version.
+function buildReducePrompt({ targetLanguage, outputs, departments, partials, keyPoints, crossReference, crossText, changesText }) {
+  const reduceOutputs = reduceOutputsFor(outputs);
+  const wantsTemplate = reduceOutputs.includes("generate_template");
+  const wantsCompare = reduceOutputs.includes("compare");
+
+  return [
+    `Target language: ${targetLanguage}`,
+    `Requested outputs: ${reduceOutputs.join(", ")}`,
+    "",
+    `Record your answer by calling the ${RESULT_TOOL} tool; fill in every field its input schema requires.`,
+    "",
+    `The MAIN DOCUMENT was too long for a single pass and was analyzed in ${partials.length} parts.`,
+    "Below are the findings for each part, in document order. Combine them into outputs for the document as a whole.",
+    TOKEN_RULE,
+    "",
+    "Summary requirement (if requested):",
+    "- More detailed than a short abstract; merge the part summaries, do not list them part by part.",
+    "- Include key context, key decisions, important constraints, and risks/implications if present.",
+    "- Aim for ~8-12 sentences.",
+    "",
+    "Template requirement (if requested):",
+    "- response_template should be a structured, reusable email/letter-style reply to the inquiry in the MAIN DOCUMENT.",
+    "- Include sections like greeting, reference to the inquiry, key answers, and closing.",
+    "- If relevant information is clearly present in CROSS DOCUMENTS or the cross-reference findings, incorporate it directly into the template.",
+    "- If relevant information is not present, leave clearly marked placeholders (e.g. [INSERT KYC DATA HERE]) for the user to fill manually.",
+    "",
+    ...(wantsCompare ? [...COMPARE_REQUIREMENT, "", "Allowed departments (use the exact name; pick the one whose remit fits best):", describeDepartments(departments), ""] : []),
+    partials.length ? "PART FINDINGS:" : "",
+    ...partials.map(p => `--- ${p.label} ---\n${p.summary || "(no summary)"}`),
+    "",
+    wantsCompare ? "CHANGES FROM BASELINE:" : "",
+    wantsCompare ? changesText : "",
+    keyPoints.length ? "KEY POINTS:" : "",
+    keyPoints.length ? keyPoints.map(kp => `- ${kp.point}`).join("\n") : "",
+    crossReference.length ? "CROSS-REFERENCE FINDINGS:" : "",
+    crossReference.length ? JSON.stringify(crossReference, null, 2) : "",
+    wantsTemplate ? "CROSS DOCUMENTS:" : "",
+    wantsTemplate ? (crossText || "(none provided)") : ""
+  ].filter(Boolean).join("\n");
+}
+
+// The result schema is given to the model as the input schema of a tool it is forced to
+// call, so the provider returns the result as structured tool input rather than free text.
+// Token usage of every response (repairs included) is added to `usage` when given.
+async function sendMessages({ provider, messages, schema, onSection, usage }) {
+  const parser = onSection ? createSectionParser(onSection) : null;
+  const response = await provider.structured({
+    messages,
+    schema,
+    tool: { name: RESULT_TOOL, description: "Record the requested analysis outputs for the document." },
+    maxTokens: MAX_TOKENS,
+    onInputJson: parser ? delta => parser.push(delta) : undefined
+  });
+  if (usage) addUsage(usage, response.usage);
+  return response;
+}
+
+// Validates the tool input against `schema`. Violations are returned to the model as an
+// error tool_result for correction up to MAX_REPAIR_ATTEMPTS times; if the input still does
+// not conform, a 502 listing the remaining violations is thrown.
+// When onSection is given the response is streamed and each top-level key of the result
+// is reported as soon as it is complete. Those sections are not validated yet:
+// onRepair(attempt) is called before each repair request, so the caller can take back what
+// the rejected attempt streamed. prepare(input) may normalize the input before validation.
+async function callModelForJson({ provider, prompt, schema, prepare = x => x, onSection, onRepair, usage }) {
+  const messages = [{ role: "user", content: prompt }];
+  let violations = [];
+  let lastInput = null;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const response = await sendMessages({ provider, messages, schema, onSection, usage });
+
+    if (response.stopReason === "max_tokens") {
+      throw httpError(502, "The model's output was cut off at the token limit before the result was complete.", response.input ?? null);
+    }
+    if (response.input == null) {
+      throw httpError(502, "The model did not return a structured result.", response.text || null);
+    }
+
+    lastInput = prepare(response.input);
+    violations = validateAgainstSchema(schema, lastInput);
+    if (!violations.length) return lastInput;
+
+    if (attempt < MAX_REPAIR_ATTEMPTS) {
+      console.warn(`Model output failed validation (attempt ${attempt + 1}), asking for a repair:\n${formatViolations(violations)}`);
+      onRepair?.(attempt + 1);
+      messages.push(
+        { role: "tool_call", id: response.id, input: response.input },
+        {
+          role: "tool_error",
+          id: response.id,
+          content: [
+            "The input does not match the required schema. Problems found:",
+            formatViolations(violations),
+            "",
+            `Call ${RESULT_TOOL} again with the complete corrected input.`
+          ].join("\n")
+        }
+      );
+    }
+  }
+
+  const e = httpError(502, "The model's output did not match the expected schema.", lastInput);
+  e.violations = violations;
+  throw e;
+}
+
+export function chunkBudget(outputs) {
+  return outputs.includes("translation") ? TRANSLATION_CHUNK_CHARS : ANALYSIS_CHUNK_CHARS;
+}
+
+async function analyzeInChunks({ provider, targetLanguage, outputs, departments, customOutputs, chunks, crossText, changes, onProgress, usage }) {
+  // The change list covers the whole document, so it is explained once in the reduce step.
+  const mapOutputs = outputs.filter(o => o !== "generate_template" && o !== "compare");
+  if (outputs.includes("generate_template") && !mapOutputs.includes("summary")) mapOutputs.push("summary");
+
+  const partials = !mapOutputs.length ? [] : await mapLimit(chunks, CHUNK_CONCURRENCY, async (chunk) => {
+    const prompt = buildPrompt({ targetLanguage, outputs: mapOutputs, departments, customOutputs, docText: chunk.text, crossText, chunk });
+    const result = await callModelForJson({
+      provider,
+      prompt,
+      schema: buildJsonSchema(mapOutputs, departments, { customOutputs }),
+      prepare: json => normalizeResultDepartments(json, departments),
+      usage
+    });
+    onProgress("chunk", { index: chunk.index, total: chunk.total, label: chunk.label });
+    return { ...result, label: chunk.label };
+  });
+
+  const out = {};
+  if (outputs.includes("translation")) {
+    out.translated_text = partials.map(p => p.translated_text || "").join("\n\n");
+  }
+  if (wantsKeyPoints(outputs)) {
+    out.key_points = mergeKeyPoints(partials.map(p => p.key_points || []));
+  }
+  if (outputs.includes("todos")) {
+    out.todos_by_department = mergeTodos(partials.map(p => p.todos_by_department), departmentNames(departments));
+  }
+  if (outputs.includes("obligations")) {
+    // The document date is normally in the first part (the letterhead).
+    out.document_date = partials.map(p => p.document_date).find(Boolean) || "";
+    out.obligations = mergeObligations(partials.map(p => p.obligations || []));
+  }
+  if (outputs.includes("cross_reference")) {
+    out.cross_reference = mergeCrossReference(partials.map(p => p.cross_reference || []));
+  }
+  for (const custom of selectCustomOutputs(outputs, customOutputs)) {
+    out[custom.key] = mergeCustomOutput(partials.map(p => p[custom.key]));
+  }
+
+  for (const [key, value] of Object.entries(out)) onProgress("section", { key, value });
+
+  if (reduceOutputsFor(outputs).length) {
+    onProgress("stage", { stage: "combining_parts" });
+    const reduced = await callModelForJson({
+      provider,
+      schema: buildJsonSchema(reduceOutputsFor(outputs), departments, { changeIds: promptChangeIds(changes) }),
+      prepare: json => normalizeResultDepartments(json, departments),
+      prompt: buildReducePrompt({
+        targetLanguage,
+        outputs,
+        departments,
+        partials,
+        keyPoints: out.key_points || mergeKeyPoints(partials.map(p => p.key_points || [])),
+        crossReference: out.cross_reference || [],
+        crossText,
+        changesText: formatChangesForPrompt(changes)
+      }),
+      usage
+    });
+    if (outputs.includes("summary")) {
+      out.summary = reduced.summary;
+      onProgress("section", { key: "summary", value: out.summary });
+    }
+    if (outputs.includes("generate_template")) {
+      out.response_template = reduced.response_template;
+      onProgress("section", { key: "response_template", value: out.response_template });
+    }
+    if (outputs.includes("compare")) {
+      out.version_changes = reduced.version_changes;
+      onProgress("section", { key: "version_changes", value: out.version_changes });
+    }
+  }
+
+  return out;
+}
+
+// segments: [{ label, text }] in document order (PDF pages, DOCX paragraphs); they are sent
+// with location markers so findings can cite them.
+// onProgress(type, data) receives "stage", "chunk" and "section" events as work completes,
+// and "retract" ({ keys }) when sections already sent failed validation and will be resent.
+// usage ({ input_tokens, output_tokens, requests }) is updated after every model response,
+// so it is accurate even when the analysis fails part-way.
+// changes: the local diff against the baseline version (see lib/text-diff.js), for "compare".
+// customOutputs: the configured custom output types (see lib/custom-outputs.js); those whose
+// key is in outputs are requested alongside the built-in ones.
+export async function analyzeDocument({ provider, targetLanguage, outputs, departments, customOutputs = [], docText, segments, crossText, changes = [], onProgress, usage }) {
+  const budget = chunkBudget(outputs);
+  const changesText = formatChangesForPrompt(changes);
+
+  if (docText.length <= budget) {
+    onProgress?.("stage", { stage: "model_started", model: provider.model, chunks: 1 });
+    const markedText = segments?.length ? markSegments(segments) : docText;
+    const prompt = buildPrompt({ targetLanguage, outputs, departments, customOutputs, docText: markedText, crossText, changesText });
+    // Sections of an attempt that fails validation are retracted before the repair streams
+    // its own.
+    const streamed = new Set();
+    const onSection = onProgress
+      ? (key, value) => {
+          streamed.add(key);
+          onProgress("section", { key, value: normalizeResultDepartments({ [key]: value }, departments)[key] });
+        }
+      : undefined;
+    const onRepair = onProgress
+      ? (attempt) => {
+          if (streamed.size) onProgress("retract", { keys: [...streamed] });
+          streamed.clear();
+          onProgress("stage", { stage: "repairing", attempt });
+        }
+      : undefined;
+    const result = await callModelForJson({
+      provider,
+      prompt,
+      schema: buildJsonSchema(outputs, departments, { changeIds: promptChangeIds(changes), customOutputs }),
+      prepare: json => normalizeResultDepartments(json, departments),
+      onSection,
+      onRepair,
+      usage
+    });
+    return { result, chunks: 1 };
+  }
+
+  const chunks = chunkSegments(segments, budget, { marked: true });
+  onProgress?.("stage", { stage: "model_started", model: provider.model, chunks: chunks.length });
+  const result = await analyzeInChunks({
+    provider,
+    targetLanguage,
+    outputs,
+    departments,
+    customOutputs,
+    chunks,
+    crossText,
+    changes,
+    onProgress: onProgress || (() => {}),
+    usage
+  });
+  return { result, chunks: chunks.length };
+}
+
+// Fingerprint of the prompt wording and result schema, built from fixed sample inputs: it
+// changes whenever either is edited, so saved results record which prompt produced them.
+export const PROMPT_VERSION = (() => {
+  const outputs = ["translation", "summary", "key_points", "risk_assessment", "todos", "obligations", "cross_reference", "generate_template", "compare"];
+  const departments = [{ name: "Department", description: "", aliases: [] }];
+  const sample = [
+    buildPrompt({ targetLanguage: "", outputs, departments, docText: "", crossText: "", changesText: "" }),
+    buildPrompt({ targetLanguage: "", outputs, departments, docText: "", crossText: "", changesText: "", chunk: { index: 0, total: 2, label: "" } }),
+    buildReducePrompt({ targetLanguage: "", outputs, departments, partials: [{ label: "", summary: "" }], keyPoints: [], crossReference: [], crossText: "", changesText: "" }),
+    JSON.stringify(buildJsonSchema(outputs, departments))
+  ].join("\n");
+  return crypto.createHash("sha256").update(sample).digest("hex").slice(0, 12);
+})();
@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import { httpError } from "./http-error.js";
+
+export const AUTH_ENABLED = process.env.AUTH_ENABLED !== "false";
+export const SESSION_COOKIE = "da_session";
+
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i !== -1 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  return m ? m[1] : null;
+}
+
+// Browser sessions (opaque cookie tokens kept in memory, so a restart signs everyone out)
+// and bearer API keys for scripts, both resolving to a user from the user store.
+export function createAuth({ users }) {
+  const sessions = new Map();
+  const failures = new Map();
+
+  function createSession(user) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    sessions.set(token, { user_id: user.id, expires_at: Date.now() + SESSION_TTL_MS });
+    return token;
+  }
+
+  function endSession(req) {
+    const token = readCookie(req, SESSION_COOKIE);
+    if (token) sessions.delete(token);
+  }
+
+  function setSessionCookie(req, res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      path: "/",
+      maxAge: SESSION_TTL_MS
+    });
+  }
+
+  function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+  }
+
+  // Repeated wrong passwords for the same username and address are refused for a while.
+  async function login(req, username, password) {
+    const key = `${String(username || "").toLowerCase()}|${req.ip}`;
+    const entry = failures.get(key);
+    if (entry && entry.count >= MAX_LOGIN_FAILURES && Date.now() - entry.last < LOGIN_LOCKOUT_MS) {
+      throw httpError(429, "Too many failed sign-in attempts. Try again later.");
+    }
+
+    const user = await users.verifyLogin(username, password);
+    if (!user) {
+      failures.set(key, { count: (entry?.count || 0) + 1, last: Date.now() });
+      throw httpError(401, "Wrong username or password.");
+    }
+    failures.delete(key);
+    return { user, token: createSession(user) };
+  }
+
+  // Resolves to the signed-in user (null when auth is disabled); throws 401 otherwise.
+  async function authenticate(req) {
+    if (!AUTH_ENABLED) return null;
+
+    const apiKey = bearerToken(req);
+    if (apiKey) {
+      const user = await users.findByApiKey(apiKey);
+      if (!user) throw httpError(401, "Invalid API key.");
+      return { ...user, via: "api_key" };
+    }
+
+    const token = readCookie(req, SESSION_COOKIE);
+    const session = token ? sessions.get(token) : null;
+    if (session && session.expires_at > Date.now()) {
+      const user = await users.get(session.user_id);
+      if (user) return { ...user, via: "session" };
+    }
+    if (session) sessions.delete(token);
+
+    throw httpError(401, "Sign in or provide an API key.");
+  }
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+      if (session.expires_at <= now) sessions.delete(token);
+    }
+    for (const [key, entry] of failures) {
+      if (now - entry.last >= LOGIN_LOCKOUT_MS) failures.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return { login, endSession, setSessionCookie, clearSessionCookie, authenticate };
+}
@@ -0,0 +1,136 @@
+import JSZip from "jszip";
+import { createWriteStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { httpError } from "./http-error.js";
+import { findExtractor } from "./extractors/index.js";
+
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+function isZipUpload(file) {
+  const name = String(file?.originalFilename || "").toLowerCase();
+  const type = String(file?.mimetype || "").toLowerCase();
+  if (name.endsWith(".zip")) return true;
+  // .docx, .odt and .xlsx are ZIP files too; only treat unknown names as archives.
+  return ["application/zip", "application/x-zip-compressed"].includes(type) && !findExtractor({ name });
+}
+
+function isSkippedEntry(name) {
+  const base = path.posix.basename(name);
+  return name.startsWith("__MACOSX/") || base.startsWith(".") || base.startsWith("~$");
+}
+
+// Unpacks a ZIP entry to filepath, counting the bytes as they come out of the decompressor so
+// a ZIP bomb is stopped as soon as it passes `limit` (the sizes in the archive's headers are
+// not to be trusted). Resolves to the number of bytes unpacked; past the limit that number is
+// only a lower bound, and the partial file is removed.
+async function inflateEntry(entry, filepath, limit) {
+  let bytes = 0;
+  const overLimit = new Error("over limit");
+  const counter = new Transform({
+    transform(chunk, encoding, done) {
+      bytes += chunk.length;
+      done(bytes > limit ? overLimit : null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(entry.nodeStream("nodebuffer"), counter, createWriteStream(filepath));
+  } catch (err) {
+    await fs.rm(filepath, { force: true });
+    if (err !== overLimit) throw err;
+  }
+  return bytes;
+}
+
+// Turns the uploaded files of a batch into one formidable-like file per main document
+// ({ filepath, originalFilename, mimetype }). ZIP archives are unpacked into dir; entries in
+// formats no extractor handles are listed in skipped rather than failing the batch.
+export async function expandBatchUploads(files, dir, { maxDocuments, maxBytes }) {
+  const documents = [];
+  const skipped = [];
+  let unpackedBytes = 0;
+
+  for (const file of files) {
+    if (!isZipUpload(file)) {
+      if (!findExtractor({ name: file.originalFilename, mimetype: file.mimetype })) {
+        skipped.push({ file: file.originalFilename || null, archive: null, reason: "Unsupported file type." });
+      } else if (file.size > MAX_DOCUMENT_BYTES) {
+        skipped.push({ file: file.originalFilename || null, archive: null, reason: "Larger than 10 MB." });
+      } else {
+        documents.push(file);
+      }
+      continue;
+    }
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(await fs.readFile(file.filepath));
+    } catch {
+      throw httpError(400, `${file.originalFilename || "Archive"} is not a readable ZIP file.`);
+    }
+
+    const entries = Object.values(zip.files)
+      .filter(e => !e.dir && !isSkippedEntry(e.name))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const name = entry.name;
+      if (!findExtractor({ name })) {
+        skipped.push({ file: name, archive: file.originalFilename || null, reason: "Unsupported file type." });
+        continue;
+      }
+
+      // Files on disk are named by position, never by the entry name (which may contain "../").
+      await fs.mkdir(dir, { recursive: true });
+      const filepath = path.join(dir, `${documents.length}${path.extname(name).toLowerCase()}`);
+      let size;
+      try {
+        size = await inflateEntry(entry, filepath, Math.min(MAX_DOCUMENT_BYTES, maxBytes - unpackedBytes));
+      } catch {
+        throw httpError(400, `${name} in ${file.originalFilename || "the archive"} could not be unpacked.`);
+      }
+      if (size > MAX_DOCUMENT_BYTES) {
+        skipped.push({ file: name, archive: file.originalFilename || null, reason: "Larger than 10 MB." });
+        continue;
+      }
+      unpackedBytes += size;
+      if (unpackedBytes > maxBytes) {
+        throw httpError(413, `The unpacked documents exceed the batch limit of ${Math.round(maxBytes / 1024 / 1024)} MB.`);
+      }
+
+      documents.push({ filepath, originalFilename: name, mimetype: null });
+    }
+  }
+
+  if (!documents.length) throw httpError(400, "The batch contains no documents in a supported format.", { skipped });
+  if (documents.length > maxDocuments) {
+    throw httpError(400, `A batch can contain at most ${maxDocuments} documents (got ${documents.length}).`);
+  }
+
+  return { documents, skipped };
+}
+
+// To-dos of every finished document, merged per department. Tasks are not deduplicated
+// across documents (the same task for two letters is two pieces of work); each one notes
+// the document it came from.
+export function consolidateTodos(documents, departments) {
+  const merged = Object.fromEntries(departments.map(d => [d, []]));
+
+  for (const doc of documents) {
+    const todos = doc.result?.todos_by_department;
+    if (!todos || typeof todos !== "object") continue;
+
+    for (const [dept, items] of Object.entries(todos)) {
+      if (!Array.isArray(items)) continue;
+      merged[dept] ||= [];
+      for (const item of items) {
+        merged[dept].push({ ...item, document: { index: doc.index, file: doc.file, history_id: doc.history_id } });
+      }
+    }
+  }
+
+  return merged;
+}
@@ -0,0 +1,171 @@
+import { SEVERITIES } from "./obligations.js";
+
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+function splitOversized(segment, maxChars) {
+  if (segment.text.length <= maxChars) return [segment];
+
+  const parts = [];
+  let buf = "";
+  for (const para of segment.text.split(/\n{2,}/)) {
+    // A single paragraph longer than the budget is cut at whitespace, or hard-cut if it has none.
+    const pieces = para.length > maxChars ? para.match(new RegExp(`[\\s\\S]{1,${maxChars}}(?=\\s|$)|[\\s\\S]{1,${maxChars}}`, "g")) : [para];
+    for (const piece of pieces) {
+      if (buf && buf.length + piece.length + 2 > maxChars) {
+        parts.push(buf);
+        buf = "";
+      }
+      buf = buf ? `${buf}\n\n${piece}` : piece;
+    }
+  }
+  if (buf) parts.push(buf);
+
+  return parts.map(text => ({ label: segment.label, text }));
+}
+
+function rangeLabel(labels) {
+  const first = labels[0];
+  const last = labels[labels.length - 1];
+  if (first === last) return first;
+
+  const a = first.match(/^(\w+) (\d+)$/);
+  const b = last.match(/^(\w+) (\d+)$/);
+  if (a && b && a[1] === b[1]) return `${a[1]}s ${a[2]}-${b[2]}`;
+  return `${first} - ${last}`;
+}
+
+// Packs page/section segments into chunks of at most maxChars, never splitting a segment
+// unless it alone exceeds the budget. With { marked: true } each piece is prefixed with its
+// [label] so the model can cite locations (see citations.js).
+export function chunkSegments(segments, maxChars, { marked = false } = {}) {
+  const pieces = segments
+    .filter(s => s.text.trim())
+    .flatMap(s => splitOversized(s, maxChars))
+    .map(p => (marked ? { ...p, text: `[${p.label}]\n${p.text}` } : p));
+  const chunks = [];
+  let current = null;
+
+  for (const piece of pieces) {
+    if (current && current.text.length + piece.text.length + 2 > maxChars) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) current = { text: piece.text, labels: [piece.label] };
+    else {
+      current.text += `\n\n${piece.text}`;
+      current.labels.push(piece.label);
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks.map((c, i) => ({
+    index: i,
+    total: chunks.length,
+    label: rangeLabel([...new Set(c.labels)]),
+    text: c.text
+  }));
+}
+
+function normalizeForCompare(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function tokenSet(s) {
+  // Numbers are kept regardless of length: "5 days" and "6 days" are different obligations.
+  return new Set(normalizeForCompare(s).split(" ").filter(t => t.length > 2 || /\d/.test(t)));
+}
+
+export function isNearDuplicate(a, b, threshold = 0.8) {
+  const na = normalizeForCompare(a);
+  const nb = normalizeForCompare(b);
+  if (!na || !nb) return false;
+  if (na === nb) return true;
+
+  const ta = tokenSet(na);
+  const tb = tokenSet(nb);
+  if (!ta.size || !tb.size) return false;
+
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared) >= threshold;
+}
+
+function dedupe(items, textOf, mergeInto) {
+  const kept = [];
+  for (const item of items) {
+    const existing = kept.find(k => isNearDuplicate(textOf(k), textOf(item)));
+    if (existing) mergeInto?.(existing, item);
+    else kept.push({ ...item });
+  }
+  return kept;
+}
+
+// Rated risk of a key point (likelihood x impact), 0 when it has none.
+function riskScore(kp) {
+  return (Number(kp.risk?.likelihood) || 0) * (Number(kp.risk?.impact) || 0);
+}
+
+export function mergeKeyPoints(lists) {
+  return dedupe(
+    lists.flat().filter(Boolean),
+    kp => kp.point,
+    (kept, dup) => {
+      kept.tags = [...new Set([...(kept.tags || []), ...(dup.tags || [])])];
+      if (riskScore(dup) > riskScore(kept)) kept.risk = dup.risk;
+    }
+  );
+}
+
+export function mergeTodos(objs, departments) {
+  const merged = {};
+  for (const dept of departments) {
+    const items = objs.flatMap(o => (Array.isArray(o?.[dept]) ? o[dept] : []));
+    merged[dept] = dedupe(items, t => t.task);
+  }
+  return merged;
+}
+
+// The same obligation found in two parts keeps the higher severity.
+export function mergeObligations(lists) {
+  return dedupe(
+    lists.flat().filter(Boolean),
+    ob => ob.obligation,
+    (kept, dup) => {
+      if (SEVERITIES.indexOf(dup.severity) > SEVERITIES.indexOf(kept.severity)) kept.severity = dup.severity;
+    }
+  );
+}
+
+export function mergeCrossReference(lists) {
+  return dedupe(
+    lists.flat().filter(Boolean),
+    f => f.question,
+    (kept, dup) => {
+      const keptRank = kept.answer ? CONFIDENCE_RANK[kept.confidence] ?? 0 : -1;
+      const dupRank = dup.answer ? CONFIDENCE_RANK[dup.confidence] ?? 0 : -1;
+      if (dupRank > keptRank) Object.assign(kept, dup);
+    }
+  );
+}
+
+// Values of one custom output (see lib/custom-outputs.js) across parts: lists are
+// concatenated without exact repeats, text is joined, anything else keeps the first value.
+export function mergeCustomOutput(values) {
+  const present = values.filter(v => v !== undefined && v !== null && v !== "");
+  if (!present.length) return values.find(v => v !== undefined) ?? null;
+  if (present.every(Array.isArray)) {
+    const seen = new Set();
+    return present.flat().filter((item) => {
+      const key = JSON.stringify(item);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  if (present.every(v => typeof v === "string")) return present.join("\n\n");
+  return present[0];
+}
@@ -0,0 +1,137 @@
+// Citations: the model is asked for a verbatim quote plus location for each finding; the
+// server then looks the quote up in the extracted segments and records where it really is.
+
+// Source text as sent to the model, with a [page 3] / [paragraph 12] marker before each segment.
+export function markSegments(segments) {
+  return segments
+    .filter(s => s.text.trim())
+    .map(s => `[${s.label}]\n${s.text}`)
+    .join("\n\n");
+}
+
+const CHAR_FOLDS = {
+  "\u2018": "'", "\u2019": "'", "\u201a": "'", "\u2032": "'",
+  "\u201c": "\"", "\u201d": "\"", "\u201e": "\"", "\u2033": "\"", "\u00ab": "\"", "\u00bb": "\"",
+  "\u2013": "-", "\u2014": "-", "\u2011": "-", "\u2212": "-",
+  "\u00a0": " ", "\u00ad": ""
+};
+
+// Lowercased, whitespace-collapsed, quote/dash-folded copy of text, with a map from each
+// normalized character back to its offset in the original.
+function normalizeWithMap(text) {
+  let out = "";
+  const map = [];
+  let lastWasSpace = true;
+
+  for (let i = 0; i < text.length; i++) {
+    let ch = CHAR_FOLDS[text[i]] ?? text[i];
+    if (ch === "") continue;
+    if (/\s/.test(ch)) {
+      if (lastWasSpace) continue;
+      ch = " ";
+      lastWasSpace = true;
+    } else {
+      lastWasSpace = false;
+    }
+    out += ch.toLowerCase();
+    map.push(i);
+  }
+  return { text: out, map };
+}
+
+function quoteCandidates(quote) {
+  const cleaned = String(quote || "")
+    .trim()
+    .replace(/^["'\u201c\u201d\u2018\u2019\u00ab\u00bb]+|["'\u201c\u201d\u2018\u2019\u00ab\u00bb]+$/g, "")
+    .replace(/^(\.\.\.|\u2026)\s*|\s*(\.\.\.|\u2026)$/g, "")
+    .trim();
+  if (!cleaned) return [];
+
+  // Elided quotes ("first part ... second part"): fall back to the longest fragment.
+  const fragments = cleaned.split(/\s*(?:\.\.\.|\u2026|\[\.\.\.\])\s*/).filter(f => f.length >= 20);
+  fragments.sort((a, b) => b.length - a.length);
+  return [cleaned, ...fragments.filter(f => f !== cleaned)];
+}
+
+// Finds quote in segments; returns { segment, label, start, end } (offsets into the
+// segment's text) or null.
+export function locateQuote(quote, segments) {
+  const candidates = quoteCandidates(quote).map(q => normalizeWithMap(q).text.trim()).filter(Boolean);
+  if (!candidates.length) return null;
+
+  for (const candidate of candidates) {
+    for (let i = 0; i < segments.length; i++) {
+      const norm = normalizeWithMap(segments[i].text);
+      const at = norm.text.indexOf(candidate);
+      if (at === -1) continue;
+
+      return {
+        segment: i,
+        label: segments[i].label,
+        start: norm.map[at],
+        end: norm.map[at + candidate.length - 1] + 1,
+        partial: candidate !== candidates[0]
+      };
+    }
+  }
+  return null;
+}
+
+function cite(item, sourceId, segments) {
+  if (!item || typeof item !== "object") return;
+  if (!String(item.quote || "").trim()) {
+    item.citation = null;
+    return;
+  }
+
+  const found = locateQuote(item.quote, segments);
+  item.citation = found
+    ? { verified: true, source: sourceId, ...found }
+    : { verified: false, source: sourceId };
+}
+
+function fileMatches(foundIn, file) {
+  const a = String(foundIn || "").toLowerCase();
+  const b = String(file || "").toLowerCase();
+  return Boolean(a && b && (a.includes(b) || b.includes(a)));
+}
+
+// sources: { main: { file, segments }, cross: [{ file, segments }] }. Adds a `citation`
+// to every key point, to-do, obligation and cross-reference finding.
+export function verifyCitations(result, sources) {
+  const main = sources.main.segments;
+
+  for (const kp of Array.isArray(result?.key_points) ? result.key_points : []) cite(kp, "main", main);
+  for (const ob of Array.isArray(result?.obligations) ? result.obligations : []) cite(ob, "main", main);
+
+  const todos = result?.todos_by_department;
+  if (todos && typeof todos === "object") {
+    for (const items of Object.values(todos)) {
+      for (const item of Array.isArray(items) ? items : []) cite(item, "main", main);
+    }
+  }
+
+  for (const finding of Array.isArray(result?.cross_reference) ? result.cross_reference : []) {
+    if (!finding || typeof finding !== "object") continue;
+    if (!String(finding.quote || "").trim()) {
+      finding.citation = null;
+      continue;
+    }
+
+    // Try the document the model named first, then every other cross document.
+    const order = sources.cross
+      .map((src, i) => ({ src, i }))
+      .sort((a, b) => Number(fileMatches(finding.found_in, b.src.file)) - Number(fileMatches(finding.found_in, a.src.file)));
+
+    finding.citation = { verified: false, source: order.length ? `cross:${order[0].i}` : null };
+    for (const { src, i } of order) {
+      const found = locateQuote(finding.quote, src.segments);
+      if (found) {
+        finding.citation = { verified: true, source: `cross:${i}`, ...found };
+        break;
+      }
+    }
+  }
+
+  return result;
+}
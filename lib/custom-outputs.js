@@ -0,0 +1,59 @@
+import fs from "fs";
+import { validateAgainstSchema } from "./schema-validation.js";
+
+const KEY_RE = /^[a-z][a-z0-9_]*$/;
+
+// Built-in output names and the result keys the server fills in; a custom output may use neither.
+const RESERVED_KEYS = [
+  "translation", "summary", "key_points", "risk_assessment", "todos", "obligations", "cross_reference", "generate_template", "compare",
+  "translated_text", "todos_by_department", "document_date", "response_template", "version_changes",
+  "sources", "version_diff", "meta"
+];
+
+// Reads the custom output types: [{ key, label, description?, instructions, schema }].
+// key names both the output (as sent in the outputs field) and the property of the result;
+// schema is the JSON schema of that property; instructions (a string or an array of lines)
+// tell the model what to put in it. A missing file means no custom outputs.
+export function loadCustomOutputs(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new Error(`${file}: ${err.message}`);
+  }
+  if (!Array.isArray(raw)) throw new Error(`${file}: expected an array of output types`);
+
+  const seen = new Set();
+  return raw.map((o, i) => {
+    const key = String(o?.key || "").trim();
+    if (!KEY_RE.test(key)) throw new Error(`${file}: output #${i + 1} needs a key of lower-case letters, digits and _, e.g. parties`);
+    if (RESERVED_KEYS.includes(key)) throw new Error(`${file}: output key "${key}" is reserved by a built-in output`);
+    if (seen.has(key)) throw new Error(`${file}: output key "${key}" is used more than once`);
+    seen.add(key);
+
+    const label = String(o.label || "").trim();
+    if (!label) throw new Error(`${file}: output "${key}" has no label`);
+
+    const instructions = (Array.isArray(o.instructions) ? o.instructions : [o.instructions])
+      .map(line => String(line ?? "").trim())
+      .filter(Boolean);
+    if (!instructions.length) throw new Error(`${file}: output "${key}" has no instructions`);
+
+    if (!o.schema || typeof o.schema !== "object" || Array.isArray(o.schema)) {
+      throw new Error(`${file}: output "${key}" needs a JSON schema object`);
+    }
+    try {
+      validateAgainstSchema(o.schema, null);
+    } catch (err) {
+      throw new Error(`${file}: output "${key}" has an invalid schema: ${err.message}`);
+    }
+
+    return { key, label, description: String(o.description || "").trim(), instructions, schema: o.schema };
+  });
+}
+
+// The definitions of the custom outputs among the requested ones, in config order.
+export function selectCustomOutputs(outputs, customOutputs = []) {
+  return customOutputs.filter(o => outputs.includes(o.key));
+}
@@ -0,0 +1,65 @@
+import fs from "fs";
+
+function keyOf(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+// Reads the department taxonomy: [{ name, description?, aliases? }].
+export function loadDepartments(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(raw) || !raw.length) {
+    throw new Error(`${file}: expected a non-empty array of departments`);
+  }
+
+  const seen = new Set();
+  return raw.map((d, i) => {
+    const name = String(d?.name || "").trim();
+    if (!name) throw new Error(`${file}: department #${i + 1} has no name`);
+
+    const aliases = (Array.isArray(d.aliases) ? d.aliases : []).map(a => String(a).trim()).filter(Boolean);
+    for (const label of [name, ...aliases]) {
+      if (seen.has(keyOf(label))) throw new Error(`${file}: "${label}" is used by more than one department`);
+      seen.add(keyOf(label));
+    }
+
+    return { name, description: String(d.description || "").trim(), aliases };
+  });
+}
+
+export function departmentNames(departments) {
+  return departments.map(d => d.name);
+}
+
+// Maps a department name or alias (case-insensitive) to its canonical name; unknown names
+// are returned unchanged so the UI can show them as unassigned.
+export function canonicalDepartment(value, departments) {
+  const k = keyOf(value);
+  const match = departments.find(d => keyOf(d.name) === k || d.aliases.some(a => keyOf(a) === k));
+  return match ? match.name : value;
+}
+
+export function normalizeResultDepartments(result, departments) {
+  if (Array.isArray(result?.key_points)) {
+    for (const kp of result.key_points) {
+      if (kp && typeof kp === "object") kp.department = canonicalDepartment(kp.department, departments);
+    }
+  }
+
+  for (const key of ["obligations", "version_changes"]) {
+    for (const item of Array.isArray(result?.[key]) ? result[key] : []) {
+      if (item && typeof item === "object") item.department = canonicalDepartment(item.department, departments);
+    }
+  }
+
+  const todos = result?.todos_by_department;
+  if (todos && typeof todos === "object" && !Array.isArray(todos)) {
+    const merged = Object.fromEntries(departments.map(d => [d.name, []]));
+    for (const [dept, items] of Object.entries(todos)) {
+      const name = canonicalDepartment(dept, departments);
+      merged[name] = [...(merged[name] || []), ...(Array.isArray(items) ? items : [])];
+    }
+    result.todos_by_department = merged;
+  }
+
+  return result;
+}
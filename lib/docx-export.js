@@ -0,0 +1,147 @@
+import {
+  AlignmentType,
+  Document,
+  Footer,
+  HeadingLevel,
+  HighlightColor,
+  Packer,
+  PageNumber,
+  Paragraph,
+  TextRun
+} from "docx";
+import { httpError } from "./http-error.js";
+
+export const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+export const EXPORT_KINDS = {
+  translation: { title: "Translated document", filename: "translation.docx" },
+  template: { title: "Response template", filename: "response-template.docx" }
+};
+
+// Matches [INSERT KYC DATA HERE], [Recipient name], [DATE] etc.
+const PLACEHOLDER_RE = /(\[[^\[\]\n]{1,120}\])/g;
+
+// Control characters that XML 1.0 does not allow; PDF text often has form feeds between pages.
+const XML_INVALID_RE = /[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g;
+
+function xmlSafe(text) {
+  return String(text ?? "").replace(XML_INVALID_RE, "");
+}
+
+function textRuns(line) {
+  return line
+    .split(PLACEHOLDER_RE)
+    .filter(part => part !== "")
+    .map((part) => {
+      if (/^\[[^\[\]\n]+\]$/.test(part)) {
+        return new TextRun({ text: part, bold: true, highlight: HighlightColor.YELLOW });
+      }
+      return new TextRun({ text: part });
+    });
+}
+
+function headingFor(line) {
+  const md = line.match(/^(#{1,3})\s+(.+)$/);
+  if (md) {
+    const level = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3][md[1].length - 1];
+    return { text: md[2].trim(), level };
+  }
+
+  // Short all-caps lines ("SUBJECT", "KYC REQUIREMENTS") are section headings in most letters.
+  const trimmed = line.trim();
+  if (trimmed.length >= 3 && trimmed.length <= 80 && /[A-Z]/.test(trimmed) && trimmed === trimmed.toUpperCase() && !/^\[.*\]$/.test(trimmed)) {
+    return { text: trimmed.replace(/:$/, ""), level: HeadingLevel.HEADING_2 };
+  }
+
+  return null;
+}
+
+function bodyParagraphs(text) {
+  const blocks = xmlSafe(text).replace(/\r\n?/g, "\n").split(/\n{2,}/);
+  const paragraphs = [];
+
+  for (const block of blocks) {
+    const lines = block.split("\n").filter(l => l.trim() !== "");
+    if (!lines.length) continue;
+
+    let rest = lines;
+    const heading = headingFor(lines[0]);
+    if (heading) {
+      paragraphs.push(new Paragraph({ heading: heading.level, children: textRuns(heading.text) }));
+      rest = lines.slice(1);
+    }
+    if (!rest.length) continue;
+
+    const bullets = rest.every(l => /^\s*[-*•]\s+/.test(l));
+    if (bullets) {
+      for (const l of rest) {
+        paragraphs.push(new Paragraph({ bullet: { level: 0 }, children: textRuns(l.replace(/^\s*[-*•]\s+/, "")) }));
+      }
+      continue;
+    }
+
+    const children = [];
+    rest.forEach((l, i) => {
+      if (i > 0) children.push(new TextRun({ break: 1 }));
+      children.push(...textRuns(l));
+    });
+    paragraphs.push(new Paragraph({ spacing: { after: 160 }, children }));
+  }
+
+  return paragraphs;
+}
+
+function metadataParagraphs(meta) {
+  const rows = [
+    ["Source document", meta.sourceFilename],
+    ["Target language", meta.targetLanguage],
+    ["Model", meta.model],
+    ["Generated", meta.generatedAt]
+  ].filter(([, v]) => v);
+
+  return rows.map(([label, value]) => new Paragraph({
+    children: [
+      new TextRun({ text: `${label}: `, bold: true, size: 18, color: "666666" }),
+      new TextRun({ text: xmlSafe(value), size: 18, color: "666666" })
+    ]
+  }));
+}
+
+export async function buildDocx({ kind, text, meta = {} }) {
+  const spec = EXPORT_KINDS[kind];
+  if (!spec) throw httpError(400, `Unknown export kind: ${kind}`);
+  if (!String(text || "").trim()) throw httpError(400, "Nothing to export.");
+
+  const source = xmlSafe(meta.sourceFilename);
+  const title = source ? `${spec.title} - ${source}` : spec.title;
+
+  const doc = new Document({
+    creator: "Document Analyzer",
+    title,
+    subject: source,
+    description: meta.model ? xmlSafe(`Generated with ${meta.model}`) : "",
+    keywords: xmlSafe([kind, meta.targetLanguage].filter(Boolean).join(", ")),
+    sections: [
+      {
+        footers: {
+          default: new Footer({
+            children: [
+              new Paragraph({
+                alignment: AlignmentType.RIGHT,
+                children: [new TextRun({ children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES], size: 16 })]
+              })
+            ]
+          })
+        },
+        children: [
+          new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(spec.title)] }),
+          ...metadataParagraphs(meta),
+          new Paragraph({ children: [] }),
+          ...bodyParagraphs(text)
+        ]
+      }
+    ]
+  });
+
+  return { buffer: await Packer.toBuffer(doc), filename: spec.filename };
+}
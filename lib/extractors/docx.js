@@ -0,0 +1,14 @@
+import mammoth from "mammoth";
+import { paragraphSegments } from "./registry.js";
+
+export default {
+  kind: "docx",
+  label: "DOCX",
+  extensions: [".docx"],
+  mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  async extract(buf) {
+    const result = await mammoth.extractRawText({ buffer: buf });
+    const text = (result.value || "").trim();
+    return { text, segments: paragraphSegments(text) };
+  }
+};
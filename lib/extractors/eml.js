@@ -0,0 +1,54 @@
+import { simpleParser } from "mailparser";
+import { htmlToText } from "./html.js";
+import { extractBuffer, findExtractor, paragraphSegments } from "./registry.js";
+
+export default {
+  kind: "eml",
+  label: "EML",
+  extensions: [".eml"],
+  mimeTypes: ["message/rfc822"],
+  async extract(buf) {
+    const mail = await simpleParser(buf);
+
+    const header = [
+      mail.subject ? `Subject: ${mail.subject}` : "",
+      mail.from?.text ? `From: ${mail.from.text}` : "",
+      mail.to?.text ? `To: ${mail.to.text}` : "",
+      mail.cc?.text ? `Cc: ${mail.cc.text}` : "",
+      mail.date ? `Date: ${mail.date.toISOString()}` : ""
+    ].filter(Boolean).join("\n");
+
+    const body = (mail.text || htmlToText(mail.html || "")).trim();
+    const segments = [
+      ...(header ? [{ label: "email header", text: header }] : []),
+      ...paragraphSegments(body, "email paragraph")
+    ];
+
+    // Attachments in supported formats are extracted inline; the rest are only listed.
+    const skipped = [];
+    for (const att of mail.attachments || []) {
+      if (att.related) continue;
+      const info = { name: att.filename || "attachment", mimetype: att.contentType };
+      if (!findExtractor(info)) {
+        skipped.push(info.name);
+        continue;
+      }
+
+      try {
+        const extracted = await extractBuffer(att.content, info);
+        if (!extracted.text) continue;
+        segments.push({ label: `attachment ${info.name}`, text: `--- Attachment: ${info.name} ---` });
+        for (const seg of extracted.segments) {
+          segments.push({ label: `${info.name} ${seg.label}`, text: seg.text });
+        }
+      } catch (err) {
+        skipped.push(`${info.name} (could not be read: ${err.message})`);
+      }
+    }
+    if (skipped.length) {
+      segments.push({ label: "attachments", text: `Other attachments (not extracted): ${skipped.join(", ")}` });
+    }
+
+    return { text: segments.map(s => s.text).join("\n\n"), segments };
+  }
+};
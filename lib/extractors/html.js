@@ -0,0 +1,28 @@
+import { convert } from "html-to-text";
+import { paragraphSegments } from "./registry.js";
+import { decodeText } from "./text.js";
+
+export function htmlToText(html) {
+  return convert(String(html || ""), {
+    wordwrap: false,
+    selectors: [
+      { selector: "a", options: { ignoreHref: true } },
+      { selector: "img", format: "skip" },
+      { selector: "h1", options: { uppercase: false } },
+      { selector: "h2", options: { uppercase: false } },
+      { selector: "h3", options: { uppercase: false } },
+      { selector: "table", format: "dataTable" }
+    ]
+  }).trim();
+}
+
+export default {
+  kind: "html",
+  label: "HTML",
+  extensions: [".html", ".htm"],
+  mimeTypes: ["text/html", "application/xhtml+xml"],
+  extract(buf) {
+    const text = htmlToText(decodeText(buf));
+    return { text, segments: paragraphSegments(text) };
+  }
+};
@@ -0,0 +1,15 @@
+import docx from "./docx.js";
+import eml from "./eml.js";
+import html from "./html.js";
+import odt from "./odt.js";
+import pdf from "./pdf.js";
+import { registerExtractor } from "./registry.js";
+import rtf from "./rtf.js";
+import { markdown, plainText } from "./text.js";
+import xlsx from "./xlsx.js";
+
+for (const extractor of [pdf, docx, odt, rtf, xlsx, eml, html, markdown, plainText]) {
+  registerExtractor(extractor);
+}
+
+export { acceptList, extractBuffer, extractText, findExtractor, listExtractors, registerExtractor } from "./registry.js";
@@ -0,0 +1,58 @@
+import JSZip from "jszip";
+import { paragraphSegments } from "./registry.js";
+
+function decodeEntities(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// OpenDocument body XML to text: paragraphs and headings become blank-line separated
+// blocks, table cells are joined with " | " one row per line.
+export function odfXmlToText(xml) {
+  const body = xml.replace(/^[\s\S]*?<office:body>/, "").replace(/<\/office:body>[\s\S]*$/, "");
+
+  return decodeEntities(
+    body
+      .replace(/<office:annotation[\s\S]*?<\/office:annotation>/g, "")
+      .replace(/<text:tab\/>/g, "\t")
+      .replace(/<text:line-break\/>/g, "\n")
+      .replace(/<text:s text:c="(\d+)"\/>/g, (_, n) => " ".repeat(Number(n)))
+      .replace(/<text:s\/>/g, " ")
+      .replace(/<\/text:(p|h)>/g, (m, tag, offset, all) => {
+        // Paragraphs inside table cells stay on the row's line.
+        const open = all.lastIndexOf("<table:table-cell", offset);
+        const close = all.lastIndexOf("</table:table-cell>", offset);
+        return open > close ? " " : "\n\n";
+      })
+      .replace(/<\/table:table-cell>/g, " | ")
+      .replace(/<\/table:table-row>/g, "\n")
+      .replace(/<\/table:table>/g, "\n\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/ \| \n/g, "\n")
+    .replace(/[ \t]+\|/g, " |")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export default {
+  kind: "odt",
+  label: "ODT",
+  extensions: [".odt"],
+  mimeTypes: ["application/vnd.oasis.opendocument.text"],
+  async extract(buf) {
+    const zip = await JSZip.loadAsync(buf);
+    const content = zip.file("content.xml");
+    if (!content) return { text: "", segments: [] };
+
+    const text = odfXmlToText(await content.async("string"));
+    return { text, segments: paragraphSegments(text) };
+  }
+};
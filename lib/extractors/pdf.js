@@ -0,0 +1,55 @@
+import pdfParse from "pdf-parse";
+import { needsOcr, OCR_ENABLED, ocrPdfPages } from "../ocr.js";
+
+export default {
+  kind: "pdf",
+  label: "PDF",
+  extensions: [".pdf"],
+  mimeTypes: ["application/pdf"],
+  async extract(buf) {
+    // Collect pages individually so long documents can be chunked on page boundaries.
+    const pages = [];
+    await pdfParse(buf, {
+      pagerender: async (pageData) => {
+        const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        let lastY;
+        let text = "";
+        for (const item of content.items) {
+          text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        pages.push(text);
+        return text;
+      }
+    });
+
+    const segments = pages.map((t, i) => ({ label: `page ${i + 1}`, text: t.trim() }));
+
+    // Scanned (or mostly scanned) PDFs: OCR only the pages without a usable text layer.
+    // If OCR fails the text layer is kept, and meta.ocr says what went wrong.
+    let ocr = null;
+    const scanned = segments.map((s, i) => (needsOcr(s.text) ? i + 1 : null)).filter(Boolean);
+    if (OCR_ENABLED && scanned.length) {
+      let results;
+      try {
+        results = await ocrPdfPages(buf, scanned);
+      } catch (err) {
+        console.error("OCR failed:", err);
+        ocr = { pages: [], failed_pages: scanned, average_confidence: null, error: `OCR failed: ${err?.message || err}` };
+        return { text: segments.map(s => s.text).join("\n\n"), segments, ocr };
+      }
+      for (const r of results) {
+        const seg = segments[r.page - 1];
+        if (r.text.length > seg.text.length) seg.text = r.text;
+      }
+      ocr = {
+        pages: results.map(r => ({ page: r.page, confidence: r.confidence, chars: r.text.length })),
+        average_confidence: results.length
+          ? Math.round(results.reduce((sum, r) => sum + r.confidence, 0) / results.length)
+          : null
+      };
+    }
+
+    return { text: segments.map(s => s.text).join("\n\n"), segments, ocr };
+  }
+};
@@ -0,0 +1,63 @@
+import fs from "fs/promises";
+import { httpError } from "../http-error.js";
+
+// Extractors: { kind, label, extensions: [".pdf"], mimeTypes: [...], extract(buf, info) }
+// where extract resolves to { text, segments: [{ label, text }], ocr? } in document order;
+// ocr ({ pages: [{ page, confidence, chars }], average_confidence }) is set when OCR was used.
+const extractors = [];
+
+export function registerExtractor(extractor) {
+  extractors.push({
+    ...extractor,
+    extensions: extractor.extensions.map(e => e.toLowerCase()),
+    mimeTypes: (extractor.mimeTypes || []).map(m => m.toLowerCase())
+  });
+}
+
+export function listExtractors() {
+  return extractors.map(({ kind, label, extensions, mimeTypes }) => ({ kind, label, extensions, mimeTypes }));
+}
+
+// Value for <input type="file" accept="...">.
+export function acceptList() {
+  return [...new Set(extractors.flatMap(e => [...e.extensions, ...e.mimeTypes]))].join(",");
+}
+
+// The extension wins over the MIME type, which browsers often report as octet-stream.
+export function findExtractor({ name, mimetype }) {
+  const lower = String(name || "").toLowerCase();
+  const type = String(mimetype || "").toLowerCase().split(";")[0].trim();
+
+  return extractors.find(e => e.extensions.some(ext => lower.endsWith(ext)))
+    || extractors.find(e => e.mimeTypes.includes(type))
+    || null;
+}
+
+function unsupported() {
+  const labels = [...new Set(extractors.map(e => e.label))].join(", ");
+  return httpError(400, `Unsupported file type. Supported formats: ${labels}.`);
+}
+
+export async function extractBuffer(buf, info) {
+  const extractor = findExtractor(info);
+  if (!extractor) throw unsupported();
+
+  const { text, segments, ocr } = await extractor.extract(buf, info);
+  return { kind: extractor.kind, text: (text || "").trim(), segments: segments || [], ocr: ocr || null };
+}
+
+// file: a formidable upload ({ filepath, originalFilename, mimetype }).
+export async function extractText(file) {
+  if (!findExtractor({ name: file?.originalFilename, mimetype: file?.mimetype })) throw unsupported();
+  const buf = await fs.readFile(file.filepath);
+  return extractBuffer(buf, { name: file.originalFilename, mimetype: file.mimetype });
+}
+
+// Splits plain text into paragraph segments for the chunker.
+export function paragraphSegments(text, label = "paragraph") {
+  return String(text || "")
+    .split(/\n{2,}/)
+    .map(t => t.trim())
+    .filter(Boolean)
+    .map((t, i) => ({ label: `${label} ${i + 1}`, text: t }));
+}
@@ -0,0 +1,122 @@
+import { paragraphSegments } from "./registry.js";
+
+// Destination groups whose content is metadata, not document text.
+const SKIP_DESTINATIONS = new Set([
+  "fonttbl", "colortbl", "stylesheet", "info", "pict", "object", "header", "headerl", "headerr",
+  "headerf", "footer", "footerl", "footerr", "footerf", "themedata", "colorschememapping",
+  "datastore", "latentstyles", "listtable", "listoverridetable", "rsidtbl", "generator",
+  "xmlnstbl", "mmathPr", "filetbl", "revtbl", "fldinst"
+]);
+
+const SYMBOLS = {
+  par: "\n\n",
+  line: "\n",
+  tab: "\t",
+  cell: " | ",
+  row: "\n",
+  emdash: "—",
+  endash: "–",
+  bullet: "•",
+  lquote: "‘",
+  rquote: "’",
+  ldblquote: "“",
+  rdblquote: "”",
+  emspace: " ",
+  enspace: " "
+};
+
+const cp1252 = new TextDecoder("windows-1252");
+
+// Small RTF-to-text converter: keeps paragraph breaks and text, drops formatting and
+// embedded objects.
+export function rtfToText(rtf) {
+  const out = [];
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let pendingFallback = 0;
+
+  const emit = (s) => {
+    if (pendingFallback > 0) {
+      pendingFallback--;
+      return;
+    }
+    if (!state.skip) out.push(s);
+  };
+
+  for (let i = 0; i < rtf.length; i++) {
+    const ch = rtf[i];
+
+    if (ch === "{") {
+      stack.push(state);
+      state = { ...state };
+      continue;
+    }
+    if (ch === "}") {
+      state = stack.pop() || { skip: false, uc: 1 };
+      continue;
+    }
+    if (ch === "\r" || ch === "\n") continue;
+    if (ch !== "\\") {
+      emit(ch);
+      continue;
+    }
+
+    const next = rtf[i + 1];
+    if (next === "\\" || next === "{" || next === "}") {
+      emit(next);
+      i++;
+    } else if (next === "'") {
+      emit(cp1252.decode(Uint8Array.of(parseInt(rtf.slice(i + 2, i + 4), 16) || 32)));
+      i += 3;
+    } else if (next === "*") {
+      state.skip = true;
+      i++;
+    } else if (next === "~") {
+      emit(" ");
+      i++;
+    } else if (next === "_") {
+      emit("-");
+      i++;
+    } else if (next === "\n" || next === "\r") {
+      emit("\n\n");
+      i++;
+    } else {
+      const m = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+      if (!m) {
+        i++;
+        continue;
+      }
+      i += m[0].length;
+
+      const word = m[1];
+      const param = m[2] === undefined ? null : Number(m[2]);
+
+      if (SKIP_DESTINATIONS.has(word)) {
+        state.skip = true;
+      } else if (word === "uc") {
+        state.uc = param ?? 1;
+      } else if (word === "u" && param !== null) {
+        emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+        pendingFallback = state.uc;
+      } else if (SYMBOLS[word]) {
+        emit(SYMBOLS[word]);
+      }
+    }
+  }
+
+  return out.join("")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export default {
+  kind: "rtf",
+  label: "RTF",
+  extensions: [".rtf"],
+  mimeTypes: ["application/rtf", "text/rtf"],
+  extract(buf) {
+    const text = rtfToText(buf.toString("latin1"));
+    return { text, segments: paragraphSegments(text) };
+  }
+};
@@ -0,0 +1,28 @@
+import { paragraphSegments } from "./registry.js";
+
+export function decodeText(buf) {
+  // UTF-16 files from Windows tools carry a BOM; everything else is treated as UTF-8.
+  if (buf[0] === 0xff && buf[1] === 0xfe) return buf.subarray(2).toString("utf16le");
+  return buf.toString("utf8").replace(/^\uFEFF/, "");
+}
+
+function extract(buf) {
+  const text = decodeText(buf).replace(/\r\n?/g, "\n").trim();
+  return { text, segments: paragraphSegments(text) };
+}
+
+export const plainText = {
+  kind: "txt",
+  label: "TXT",
+  extensions: [".txt", ".text", ".log"],
+  mimeTypes: ["text/plain"],
+  extract
+};
+
+export const markdown = {
+  kind: "markdown",
+  label: "Markdown",
+  extensions: [".md", ".markdown"],
+  mimeTypes: ["text/markdown", "text/x-markdown"],
+  extract
+};
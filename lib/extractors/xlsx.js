@@ -0,0 +1,42 @@
+import ExcelJS from "exceljs";
+
+function cellText(cell) {
+  return String(cell.text ?? "").replace(/\s*\n\s*/g, " ").trim();
+}
+
+// One segment per worksheet. Each non-empty row is written as
+// "Row 3: A: Question | C: Answer" so the model can still see which column a value is in.
+function sheetText(sheet) {
+  const lines = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: false }, (cell) => {
+      const text = cellText(cell);
+      if (text) cells.push(`${cell.address.replace(/\d+$/, "")}: ${text}`);
+    });
+    if (cells.length) lines.push(`Row ${rowNumber}: ${cells.join(" | ")}`);
+  });
+  return lines.join("\n");
+}
+
+export default {
+  kind: "xlsx",
+  label: "XLSX",
+  extensions: [".xlsx", ".xlsm"],
+  mimeTypes: [
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/vnd.ms-excel.sheet.macroenabled.12"
+  ],
+  async extract(buf) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buf);
+
+    const segments = [];
+    workbook.eachSheet((sheet) => {
+      const rows = sheetText(sheet);
+      if (rows) segments.push({ label: `sheet ${segments.length + 1}`, text: `Sheet: ${sheet.name}\n${rows}` });
+    });
+
+    return { text: segments.map(s => s.text).join("\n\n"), segments };
+  }
+};
@@ -0,0 +1,71 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// One JSON file per analysis under <dataDir>/history. Summaries are kept in memory
+// (loaded from disk on first use) so listing does not re-read every full result.
+export function createHistoryStore(dataDir) {
+  const dir = path.join(dataDir, "history");
+  let summaries = null;
+
+  function summarize(record) {
+    const { result, ...summary } = record;
+    return summary;
+  }
+
+  async function load() {
+    if (summaries) return summaries;
+
+    await fs.mkdir(dir, { recursive: true });
+    const loaded = new Map();
+    for (const name of await fs.readdir(dir)) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+        loaded.set(record.id, summarize(record));
+      } catch (err) {
+        console.error(`Skipping unreadable history record ${name}:`, err.message);
+      }
+    }
+    summaries = loaded;
+    return summaries;
+  }
+
+  async function save(fields) {
+    const index = await load();
+    const record = { id: crypto.randomUUID(), ...fields };
+
+    // Write-then-rename so a crash never leaves a half-written record behind.
+    const file = path.join(dir, `${record.id}.json`);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record));
+    await fs.rename(`${file}.tmp`, file);
+
+    index.set(record.id, summarize(record));
+    return record;
+  }
+
+  // With a user, only their records are listed; records saved before sign-in existed have no
+  // owner and are listed for admins only.
+  async function list({ limit = 50, offset = 0, user = null } = {}) {
+    const all = [...(await load()).values()]
+      .filter(s => !user || (s.user ? s.user.id === user.id : user.admin))
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+    return { total: all.length, items: all.slice(offset, offset + limit) };
+  }
+
+  async function get(id) {
+    const index = await load();
+    if (!index.has(id)) return null;
+    return JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), "utf8"));
+  }
+
+  async function remove(id) {
+    const index = await load();
+    if (!index.has(id)) return false;
+    await fs.rm(path.join(dir, `${id}.json`), { force: true });
+    index.delete(id);
+    return true;
+  }
+
+  return { save, list, get, remove };
+}
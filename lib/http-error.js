@@ -0,0 +1,14 @@
+export function httpError(statusCode, message, details) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  if (details !== undefined) e.details = details;
+  return e;
+}
+
+// JSON body for an error response: { error, details?, violations? }.
+export function errorBody(err) {
+  const body = { error: err?.message || "Server error" };
+  if (err?.details !== undefined) body.details = err.details;
+  if (err?.violations !== undefined) body.violations = err.violations;
+  return body;
+}
@@ -0,0 +1,81 @@
+import crypto from "crypto";
+import { errorBody } from "./http-error.js";
+
+// In-process job queue. run(input, job) does the work and may update job.progress /
+// job.partial as it goes; its return value becomes job.result. When the job settles,
+// job.progress.stage becomes "done" or "failed" (other progress fields are kept).
+export function createJobQueue({ run, concurrency = 2, ttlMs = 60 * 60 * 1000 }) {
+  const jobs = new Map();
+  const queue = [];
+  let active = 0;
+
+  function pump() {
+    while (active < concurrency && queue.length) {
+      const job = queue.shift();
+      active++;
+      job.status = "running";
+      job.started_at = new Date().toISOString();
+
+      Promise.resolve()
+        .then(() => run(job.input, job))
+        .then((result) => {
+          job.status = "done";
+          job.progress = { ...job.progress, stage: "done" };
+          job.result = result;
+        })
+        .catch((err) => {
+          console.error(`Job ${job.id} failed:`, err);
+          job.status = "failed";
+          job.progress = { ...job.progress, stage: "failed" };
+          job.error = { status: err?.statusCode || 500, ...errorBody(err) };
+        })
+        .finally(() => {
+          job.finished_at = new Date().toISOString();
+          job.input = null;
+          job.partial = null;
+          active--;
+          pump();
+        });
+    }
+  }
+
+  function submit(input, info = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      info,
+      input,
+      progress: null,
+      partial: {},
+      result: null,
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    pump();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function position(job) {
+    const i = queue.indexOf(job);
+    return i === -1 ? null : i + 1;
+  }
+
+  // Finished jobs are kept for ttlMs so a client that reconnects late can still collect the result.
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if (job.finished_at && Date.parse(job.finished_at) < cutoff) jobs.delete(id);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return { submit, get, position };
+}
@@ -0,0 +1,82 @@
+// Incrementally scans streamed model output for the top-level JSON object and calls
+// onSection(key, value) as soon as each top-level property's value is complete.
+// Anything before the first "{" (code fences, stray prose) is ignored.
+export function createSectionParser(onSection) {
+  let buf = "";
+  let pos = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let expect = "start";
+  let keyStart = -1;
+  let key = null;
+  let valueStart = -1;
+
+  function finishValue(end) {
+    const raw = buf.slice(valueStart, end).trim();
+    expect = "key";
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (err) {
+      // The section is skipped rather than streamed; the complete response still goes
+      // through the provider's parse and schema validation before it is used.
+      console.warn(`Skipping streamed section "${key}": ${err.message}`);
+      return;
+    }
+    onSection(key, value);
+  }
+
+  function push(delta) {
+    buf += delta;
+
+    for (; pos < buf.length; pos++) {
+      const ch = buf[pos];
+
+      if (expect === "start") {
+        if (ch === "{") {
+          depth = 1;
+          expect = "key";
+        }
+        continue;
+      }
+      if (expect === "done") return;
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === "\"") {
+          inString = false;
+          if (depth === 1 && expect === "key-string") {
+            key = JSON.parse(buf.slice(keyStart, pos + 1));
+            expect = "colon";
+          }
+        }
+        continue;
+      }
+
+      if (ch === "\"") {
+        inString = true;
+        if (depth === 1 && expect === "key") {
+          keyStart = pos;
+          expect = "key-string";
+        }
+      } else if (ch === ":" && depth === 1 && expect === "colon") {
+        valueStart = pos + 1;
+        expect = "value";
+      } else if (ch === "{" || ch === "[") {
+        depth++;
+      } else if (ch === "}" || ch === "]") {
+        depth--;
+        if (depth === 0) {
+          if (expect === "value") finishValue(pos);
+          expect = "done";
+        }
+      } else if (ch === "," && depth === 1 && expect === "value") {
+        finishValue(pos);
+      }
+    }
+  }
+
+  return { push };
+}
@@ -0,0 +1,82 @@
+// Due dates for the obligations output. The model reports deadlines as written: either a
+// stated date (due_date) or an offset such as "within 30 days" (due_offset_value/unit),
+// plus the date of the document itself. Offsets are resolved here, not by the model.
+
+export const OFFSET_UNITS = ["none", "days", "business_days", "weeks", "months", "years"];
+export const RECURRENCES = ["none", "daily", "weekly", "monthly", "quarterly", "annually"];
+export const SEVERITIES = ["low", "medium", "high", "critical"];
+
+// A real calendar date as YYYY-MM-DD, or null.
+export function parseIsoDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || "").trim());
+  if (!m) return null;
+  const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return date.getUTCMonth() === Number(m[2]) - 1 && date.getUTCDate() === Number(m[3]) ? date : null;
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function addOffset(date, value, unit) {
+  const d = new Date(date.getTime());
+  switch (unit) {
+    case "days":
+      d.setUTCDate(d.getUTCDate() + value);
+      return d;
+    case "weeks":
+      d.setUTCDate(d.getUTCDate() + value * 7);
+      return d;
+    case "business_days": {
+      let left = value;
+      while (left > 0) {
+        d.setUTCDate(d.getUTCDate() + 1);
+        if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) left--;
+      }
+      return d;
+    }
+    case "months":
+    case "years": {
+      // 31 January + 1 month is the last day of February, not 3 March.
+      const months = unit === "years" ? value * 12 : value;
+      const day = d.getUTCDate();
+      d.setUTCDate(1);
+      d.setUTCMonth(d.getUTCMonth() + months);
+      const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+      d.setUTCDate(Math.min(day, lastDay));
+      return d;
+    }
+    default:
+      return null;
+  }
+}
+
+// Adds due_date_resolved (YYYY-MM-DD or null) and due_date_basis ("stated", "document_date",
+// "analysis_date" or null) to every obligation. Offsets count from the document date when
+// the model found one, otherwise from analyzedAt.
+export function resolveObligationDates(result, analyzedAt = new Date()) {
+  if (!Array.isArray(result?.obligations)) return result;
+
+  const documentDate = parseIsoDate(result.document_date);
+  const anchor = documentDate || new Date(Date.UTC(analyzedAt.getUTCFullYear(), analyzedAt.getUTCMonth(), analyzedAt.getUTCDate()));
+
+  for (const ob of result.obligations) {
+    if (!ob || typeof ob !== "object") continue;
+
+    const stated = parseIsoDate(ob.due_date);
+    const value = Number(ob.due_offset_value);
+    if (stated) {
+      ob.due_date_resolved = isoDay(stated);
+      ob.due_date_basis = "stated";
+    } else if (ob.due_offset_unit && ob.due_offset_unit !== "none" && Number.isInteger(value) && value >= 0) {
+      const due = addOffset(anchor, value, ob.due_offset_unit);
+      ob.due_date_resolved = due ? isoDay(due) : null;
+      ob.due_date_basis = due ? (documentDate ? "document_date" : "analysis_date") : null;
+    } else {
+      ob.due_date_resolved = null;
+      ob.due_date_basis = null;
+    }
+  }
+
+  return result;
+}
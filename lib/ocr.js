@@ -0,0 +1,96 @@
+import fs from "fs/promises";
+import { createRequire } from "module";
+import path from "path";
+
+const require = createRequire(import.meta.url);
+
+export const OCR_ENABLED = process.env.OCR_ENABLED !== "false";
+
+// Pages with fewer non-whitespace characters than this are treated as scanned.
+const MIN_CHARS_PER_PAGE = Number(process.env.OCR_MIN_CHARS_PER_PAGE) || 40;
+const RENDER_SCALE = Number(process.env.OCR_RENDER_SCALE) || 2;
+const LANGS = process.env.OCR_LANGS || "eng";
+
+export function needsOcr(pageText) {
+  return String(pageText || "").replace(/\s+/g, "").length < MIN_CHARS_PER_PAGE;
+}
+
+// Traineddata is read from OCR_LANG_PATH when set, otherwise from the bundled
+// @tesseract.js-data/eng package, so OCR never downloads anything at runtime.
+function languageData() {
+  if (process.env.OCR_LANG_PATH) {
+    return { langPath: path.resolve(process.env.OCR_LANG_PATH), gzip: process.env.OCR_LANG_GZIP !== "false" };
+  }
+  const eng = require("@tesseract.js-data/eng");
+  return { langPath: eng.langPath, gzip: eng.gzip };
+}
+
+// pdfjs-dist renders pages through its optional dependency @napi-rs/canvas, a native
+// module that is missing on platforms it has no build for. Resolves to null when it loads,
+// otherwise to a message saying why OCR cannot run.
+export async function checkOcrBackend() {
+  try {
+    const pdfjsRequire = createRequire(require.resolve("pdfjs-dist/package.json"));
+    pdfjsRequire("@napi-rs/canvas");
+    return null;
+  } catch (err) {
+    return `the @napi-rs/canvas module that pdfjs-dist renders pages with could not be loaded (${err.message.split("\n")[0]})`;
+  }
+}
+
+async function renderPages(buf, pageNumbers, onPage) {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const pdfjsRoot = path.dirname(require.resolve("pdfjs-dist/package.json"));
+
+  const doc = await getDocument({
+    data: new Uint8Array(buf),
+    standardFontDataUrl: path.join(pdfjsRoot, "standard_fonts") + path.sep,
+    cMapUrl: path.join(pdfjsRoot, "cmaps") + path.sep,
+    cMapPacked: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    for (const pageNumber of pageNumbers) {
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      await page.render({ canvasContext: context, viewport }).promise;
+      await onPage(pageNumber, canvas.toBuffer("image/png"));
+      page.cleanup();
+    }
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// Renders the given 1-based pages of a PDF and runs them through Tesseract (WASM).
+// Resolves to [{ page, text, confidence }] with confidence in 0-100.
+export async function ocrPdfPages(buf, pageNumbers) {
+  if (!pageNumbers.length) return [];
+
+  // tesseract.js never settles createWorker when a language fails to load, so the files
+  // are checked first. Without an errorHandler it also throws worker errors outside the
+  // promise, which would take the whole process down; the rejected promise is enough.
+  const data = languageData();
+  for (const lang of LANGS.split("+")) {
+    const file = path.join(data.langPath, `${lang}.traineddata${data.gzip ? ".gz" : ""}`);
+    await fs.access(file).catch(() => {
+      throw new Error(`OCR language data ${file} not found`);
+    });
+  }
+  const { createWorker } = await import("tesseract.js");
+  const worker = await createWorker(LANGS, 1, { ...data, cacheMethod: "none", errorHandler: () => {} });
+
+  const results = [];
+  try {
+    await renderPages(buf, pageNumbers, async (page, png) => {
+      const { data } = await worker.recognize(png);
+      results.push({ page, text: (data.text || "").trim(), confidence: Math.round(data.confidence ?? 0) });
+    });
+  } finally {
+    await worker.terminate();
+  }
+  return results;
+}
@@ -0,0 +1,37 @@
+import fs from "fs";
+
+// Reads the price table: { currency, models: { "<model or model prefix>": { input_per_mtok,
+// output_per_mtok } } }, prices per million tokens.
+export function loadPrices(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!raw || typeof raw.models !== "object") throw new Error(`${file}: expected { currency, models }`);
+
+  for (const [model, price] of Object.entries(raw.models)) {
+    if (!Number.isFinite(price?.input_per_mtok) || !Number.isFinite(price?.output_per_mtok)) {
+      throw new Error(`${file}: "${model}" needs numeric input_per_mtok and output_per_mtok`);
+    }
+  }
+  return { currency: String(raw.currency || "USD"), models: raw.models };
+}
+
+// Exact model ID first, then the longest key the ID starts with, so "claude-sonnet-4"
+// also prices dated IDs like "claude-sonnet-4-20250514".
+export function priceFor(prices, model) {
+  if (prices.models[model]) return prices.models[model];
+  const key = Object.keys(prices.models)
+    .filter(k => String(model || "").startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices.models[key] : null;
+}
+
+const round = n => Math.round(n * 1e6) / 1e6;
+
+// null when the model is not in the table.
+export function costFor(prices, model, usage) {
+  const price = priceFor(prices, model);
+  if (!price) return null;
+
+  const input = (usage.input_tokens / 1e6) * price.input_per_mtok;
+  const output = (usage.output_tokens / 1e6) * price.output_per_mtok;
+  return { currency: prices.currency, input: round(input), output: round(output), total: round(input + output) };
+}
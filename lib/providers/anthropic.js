@@ -0,0 +1,74 @@
+import Anthropic from "@anthropic-ai/sdk";
+import { httpError } from "../http-error.js";
+
+// Provider-neutral turns -> Messages API. A structured result is a forced tool call, and
+// a rejected result goes back as an error tool_result.
+function toWire(messages, toolName) {
+  return messages.map((m) => {
+    if (m.role === "tool_call") {
+      return { role: "assistant", content: [{ type: "tool_use", id: m.id, name: toolName, input: m.input }] };
+    }
+    if (m.role === "tool_error") {
+      return { role: "user", content: [{ type: "tool_result", tool_use_id: m.id, is_error: true, content: m.content }] };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+function usageOf(message) {
+  return { input_tokens: message.usage?.input_tokens || 0, output_tokens: message.usage?.output_tokens || 0 };
+}
+
+export function createAnthropicProvider({ apiKey, model }) {
+  let client = null;
+
+  function checkConfig() {
+    if (!apiKey) throw httpError(500, "ANTHROPIC_API_KEY is not set.");
+  }
+
+  function anthropic() {
+    checkConfig();
+    client ||= new Anthropic({ apiKey });
+    return client;
+  }
+
+  async function complete({ messages, maxTokens }) {
+    const message = await anthropic().messages.create({ model, max_tokens: maxTokens, messages: toWire(messages) });
+    return {
+      text: message.content.filter(b => b.type === "text").map(b => b.text).join(""),
+      stopReason: message.stop_reason === "max_tokens" ? "max_tokens" : "done",
+      usage: usageOf(message)
+    };
+  }
+
+  // With onInputJson the response is streamed and the tool input is passed on as it arrives.
+  async function structured({ messages, schema, tool, maxTokens, onInputJson }) {
+    const params = {
+      model,
+      max_tokens: maxTokens,
+      tools: [{ name: tool.name, description: tool.description, input_schema: schema }],
+      tool_choice: { type: "tool", name: tool.name },
+      messages: toWire(messages, tool.name)
+    };
+
+    let message;
+    if (onInputJson) {
+      const stream = anthropic().messages.stream(params);
+      stream.on("inputJson", delta => onInputJson(delta));
+      message = await stream.finalMessage();
+    } else {
+      message = await anthropic().messages.create(params);
+    }
+
+    const toolUse = message.content.find(b => b.type === "tool_use" && b.name === tool.name);
+    return {
+      id: toolUse?.id || null,
+      input: toolUse ? toolUse.input : null,
+      text: message.content.filter(b => b.type === "text").map(b => b.text).join(""),
+      stopReason: message.stop_reason === "max_tokens" ? "max_tokens" : "done",
+      usage: usageOf(message)
+    };
+  }
+
+  return { name: "anthropic", model, checkConfig, complete, structured };
+}
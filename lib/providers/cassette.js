@@ -0,0 +1,76 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { httpError } from "../http-error.js";
+
+// JSON with object keys sorted, so the same request always hashes the same.
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function requestKey(request) {
+  return crypto.createHash("sha256").update(canonical(request)).digest("hex");
+}
+
+// Wraps a provider so every call is recorded to, or replayed from, <dir>/<request hash>.json.
+// mode "record" calls the real provider and saves request + response; "replay" never touches
+// the network and fails with a cassette miss for requests that were not recorded.
+// Replayed responses cost nothing: their usage is zero, with the recorded one kept as
+// recorded_usage.
+export function withCassette(provider, { mode, dir }) {
+  if (mode !== "record" && mode !== "replay") throw new Error(`Unknown cassette mode "${mode}" (expected record or replay)`);
+
+  function checkConfig() {
+    if (mode === "record") provider.checkConfig();
+  }
+
+  async function play(method, request, call) {
+    const key = requestKey({ provider: provider.name, model: provider.model, method, ...request });
+    const file = path.join(dir, `${key}.json`);
+
+    if (mode === "replay") {
+      let cassette;
+      try {
+        cassette = JSON.parse(await fs.readFile(file, "utf8"));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        throw httpError(502, "No recorded model response for this request (cassette miss).", { key, dir });
+      }
+      const { usage, ...response } = cassette.response;
+      return { ...response, usage: { input_tokens: 0, output_tokens: 0 }, recorded_usage: usage ?? null };
+    }
+
+    const response = await call();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      key,
+      provider: provider.name,
+      model: provider.model,
+      method,
+      request,
+      response,
+      recorded_at: new Date().toISOString()
+    }, null, 2));
+    return response;
+  }
+
+  async function complete({ messages, maxTokens }) {
+    return play("complete", { messages, maxTokens }, () => provider.complete({ messages, maxTokens }));
+  }
+
+  async function structured({ messages, schema, tool, maxTokens, onInputJson }) {
+    const request = { messages, schema, tool, maxTokens };
+    if (mode === "record") return play("structured", request, () => provider.structured({ ...request, onInputJson }));
+
+    // Replayed responses arrive at once, so sections are reported together.
+    const response = await play("structured", request);
+    if (onInputJson && response.input != null) onInputJson(JSON.stringify(response.input));
+    return response;
+  }
+
+  return { name: provider.name, model: provider.model, cassette: mode, checkConfig, complete, structured };
+}
@@ -0,0 +1,56 @@
+import fs from "fs";
+import path from "path";
+import { createAnthropicProvider } from "./anthropic.js";
+import { withCassette } from "./cassette.js";
+import { createMockProvider } from "./mock.js";
+import { createOpenAIProvider } from "./openai.js";
+
+// A provider is { name, model, checkConfig(), complete(), structured() }:
+//   complete({ messages, maxTokens }) -> { text, stopReason, usage }
+//   structured({ messages, schema, tool: { name, description }, maxTokens, onInputJson? })
+//     -> { id, input, text, stopReason, usage }
+// messages are provider-neutral turns: { role: "user" | "assistant", content },
+// { role: "tool_call", id, input } (an earlier structured result) and
+// { role: "tool_error", id, content } (why that result was rejected).
+// stopReason is "done" or "max_tokens"; usage is { input_tokens, output_tokens }.
+//
+// LLM_CASSETTE=record|replay wraps the provider to record every call to, or replay it from,
+// LLM_CASSETTE_DIR (default <dataDir>/cassettes).
+export function createProvider(env = process.env, { dataDir = "data" } = {}) {
+  const provider = createBaseProvider(env);
+  if (!env.LLM_CASSETTE) return provider;
+  return withCassette(provider, {
+    mode: env.LLM_CASSETTE,
+    dir: path.resolve(env.LLM_CASSETTE_DIR || path.join(dataDir, "cassettes"))
+  });
+}
+
+function createBaseProvider(env) {
+  const name = (env.LLM_PROVIDER || "anthropic").toLowerCase();
+
+  if (name === "anthropic") {
+    return createAnthropicProvider({
+      apiKey: env.ANTHROPIC_API_KEY,
+      model: env.CLAUDE_MODEL || "claude-sonnet-4-20250514"
+    });
+  }
+
+  if (name === "openai") {
+    return createOpenAIProvider({
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL,
+      structuredMode: env.OPENAI_STRUCTURED_MODE === "json_schema" ? "json_schema" : "tools",
+      timeoutMs: (Number(env.OPENAI_TIMEOUT_SECONDS) || 600) * 1000
+    });
+  }
+
+  if (name === "mock") {
+    return createMockProvider({
+      model: env.MOCK_MODEL || "mock",
+      fixture: env.MOCK_FIXTURE ? JSON.parse(fs.readFileSync(env.MOCK_FIXTURE, "utf8")) : null
+    });
+  }
+
+  throw new Error(`Unknown LLM_PROVIDER "${name}" (expected anthropic, openai or mock)`);
+}
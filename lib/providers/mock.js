@@ -0,0 +1,87 @@
+// Offline provider for tests and demos: no network, same input -> same output. Structured
+// results are generated from the requested JSON schema (or taken from a fixture file), with
+// quotes copied from the document so citations verify like real ones.
+
+const estimateTokens = text => Math.ceil(String(text).length / 4);
+
+function textOf(messages) {
+  return messages.map(m => (typeof m.content === "string" ? m.content : JSON.stringify(m.input ?? ""))).join("\n");
+}
+
+// First marked passage ([page 1] / [paragraph 3] ...) after `heading` in the prompt.
+function firstPassage(prompt, heading) {
+  const at = prompt.indexOf(`\n${heading}\n`);
+  if (at === -1) return { location: "", quote: "", text: "" };
+
+  const body = prompt.slice(at + heading.length + 2);
+  const m = /^\[([^\]\n]+)\]\n([^\n]+)/m.exec(body);
+  const line = (m ? m[2] : body.split("\n").find(l => l.trim()) || "").trim();
+  const quote = line.length > 80 ? line.slice(0, 80).replace(/\s+\S*$/, "") : line;
+  return { location: m ? m[1] : "", quote, text: body };
+}
+
+function generate(schema, name, ctx) {
+  if (Array.isArray(schema?.enum)) return schema.enum[0];
+
+  switch (schema?.type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, prop]) => [
+          key,
+          generate(prop, key, key === "cross_reference" ? ctx.cross : ctx)
+        ])
+      );
+    case "array":
+      return [generate(schema.items, name, ctx)];
+    case "number":
+    case "integer":
+      return 1;
+    case "boolean":
+      return false;
+    default:
+      if (name === "quote") return ctx.quote;
+      if (name === "location") return ctx.location;
+      if (name === "translated_text") return ctx.main.text.replace(/^\[[^\]\n]+\]\n/gm, "").split(/\n(?:CHANGES FROM BASELINE|CROSS DOCUMENTS):/)[0].trim();
+      if (name === "response_template") return "Dear [RECIPIENT NAME],\n\nThank you for your inquiry.\n\n[INSERT DETAILS HERE]\n\nKind regards,\n[YOUR NAME]";
+      return `Mock ${name || "text"}${ctx.quote ? `: ${ctx.quote}` : ""}`;
+  }
+}
+
+export function createMockProvider({ model = "mock", fixture = null }) {
+  function checkConfig() {}
+
+  async function complete({ messages }) {
+    const prompt = textOf(messages);
+    const text = `Mock response to: ${prompt.slice(0, 80)}`;
+    return { text, stopReason: "done", usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(text) } };
+  }
+
+  async function structured({ messages, schema, onInputJson }) {
+    const prompt = textOf(messages);
+    const main = firstPassage(prompt, "MAIN DOCUMENT:");
+    const cross = firstPassage(prompt, "CROSS DOCUMENTS:");
+    const ctx = { ...main, main, cross: { ...cross, main } };
+
+    // Fixture values win for the keys the schema asks for; the rest is generated.
+    const input = generate(schema, "", ctx);
+    for (const key of Object.keys(input)) {
+      if (fixture && key in fixture) input[key] = fixture[key];
+    }
+
+    const json = JSON.stringify(input);
+    if (onInputJson) {
+      for (let i = 0; i < json.length; i += 64) onInputJson(json.slice(i, i + 64));
+    }
+
+    const calls = messages.filter(m => m.role === "tool_call").length;
+    return {
+      id: `mock_${calls + 1}`,
+      input,
+      text: "",
+      stopReason: "done",
+      usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(json) }
+    };
+  }
+
+  return { name: "mock", model, checkConfig, complete, structured };
+}
@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { httpError } from "../http-error.js";
+
+// Any server speaking the OpenAI chat completions API (vLLM, llama.cpp, Ollama, LM Studio...).
+// Structured output is a forced function call ("tools") or, for servers without tool
+// support, a JSON-schema response format ("json_schema").
+export function createOpenAIProvider({ baseUrl, apiKey, model, structuredMode = "tools", timeoutMs = 10 * 60 * 1000 }) {
+  function checkConfig() {
+    if (!baseUrl) throw httpError(500, "OPENAI_BASE_URL is not set.");
+    if (!model) throw httpError(500, "OPENAI_MODEL is not set.");
+  }
+
+  function toWire(messages, toolName) {
+    return messages.flatMap((m) => {
+      if (m.role === "tool_call") {
+        if (structuredMode === "json_schema") return [{ role: "assistant", content: JSON.stringify(m.input) }];
+        return [{
+          role: "assistant",
+          content: null,
+          tool_calls: [{ id: m.id, type: "function", function: { name: toolName, arguments: JSON.stringify(m.input) } }]
+        }];
+      }
+      if (m.role === "tool_error") {
+        if (structuredMode === "json_schema") return [{ role: "user", content: m.content }];
+        return [{ role: "tool", tool_call_id: m.id, content: m.content }];
+      }
+      return [{ role: m.role, content: m.content }];
+    });
+  }
+
+  async function chat(body) {
+    checkConfig();
+    const res = await fetch(`${baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({ model, ...body }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!res.ok) {
+      throw httpError(502, `The model server returned HTTP ${res.status}.`, (await res.text().catch(() => "")).slice(0, 2000) || null);
+    }
+
+    const data = await res.json();
+    const choice = data.choices?.[0];
+    if (!choice) throw httpError(502, "The model server returned no choices.", data);
+    return {
+      choice,
+      stopReason: choice.finish_reason === "length" ? "max_tokens" : "done",
+      usage: { input_tokens: data.usage?.prompt_tokens || 0, output_tokens: data.usage?.completion_tokens || 0 }
+    };
+  }
+
+  // Unparseable JSON is passed through as a string so schema validation reports it and the
+  // repair loop can ask for a corrected result.
+  function parseArguments(text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  async function complete({ messages, maxTokens }) {
+    const { choice, stopReason, usage } = await chat({ max_tokens: maxTokens, messages: toWire(messages) });
+    return { text: choice.message?.content || "", stopReason, usage };
+  }
+
+  async function structured({ messages, schema, tool, maxTokens, onInputJson }) {
+    const body = { max_tokens: maxTokens, messages: toWire(messages, tool.name) };
+    if (structuredMode === "json_schema") {
+      body.response_format = { type: "json_schema", json_schema: { name: tool.name, schema } };
+    } else {
+      body.tools = [{ type: "function", function: { name: tool.name, description: tool.description, parameters: schema } }];
+      body.tool_choice = { type: "function", function: { name: tool.name } };
+    }
+
+    const { choice, stopReason, usage } = await chat(body);
+    const call = choice.message?.tool_calls?.find(c => c.function?.name === tool.name);
+    const raw = structuredMode === "json_schema" ? choice.message?.content : call?.function?.arguments;
+
+    // Not streamed: sections are reported all at once when the response is complete.
+    if (raw && onInputJson) onInputJson(raw);
+    return {
+      id: call?.id || `call_${crypto.randomUUID()}`,
+      input: raw ? parseArguments(raw) : null,
+      text: structuredMode === "json_schema" ? "" : choice.message?.content || "",
+      stopReason,
+      usage
+    };
+  }
+
+  return { name: "openai", model, checkConfig, complete, structured };
+}
@@ -0,0 +1,259 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// Local pseudonymisation: personal data found by the configured rules is replaced with
+// tokens such as [[PERSON_1]] before any text is sent to the model, and the tokens in the
+// model's answer are swapped back for the original values afterwards.
+//
+// Names are only found after a title or a label ("Mr", "Account holder:") or when listed
+// under terms; there is no general name detector. Runs of capitalised words left in the
+// redacted text are reported as possible_names so a missed name is noticed, not silently sent.
+
+const TOKEN_RE = /\[\[\s*([A-Z][A-Z_]*_\d+)\s*\]\]/g;
+const TYPE_RE = /^[A-Z][A-Z_]*$/;
+const NAME_LIKE_RE = /(?<![\p{L}\p{N}])\p{Lu}\p{Ll}[\p{L}'-]*(?:[ \t]+\p{Lu}\p{Ll}[\p{L}'-]*)+(?![\p{L}\p{N}])/gu;
+// Capitalised words that start a sentence or a greeting rather than a name.
+const NOT_NAMES = new Set(["A", "An", "And", "As", "At", "By", "Dear", "For", "From", "If", "In", "Of", "On", "Our", "Please", "The", "This", "That", "These", "To", "We", "With", "Your"]);
+
+function ibanValid(value) {
+  const iban = value.replace(/\s+/g, "").toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const digits = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+  let rest = 0;
+  for (const d of digits) rest = (rest * 10 + Number(d)) % 97;
+  return rest === 1;
+}
+
+// 9-15 digits, and not a date or a date range ("01.02.2024 10", "01/2024 - 03.2024").
+function phoneValid(value) {
+  const digits = value.replace(/\D/g, "").length;
+  if (digits < 9 || digits > 15) return false;
+  return !/\d{1,2}[./-]\d{1,2}[./-]\d{2,4}|\d{1,2}[./](?:19|20)\d{2}/.test(value);
+}
+
+const VALIDATORS = { iban: ibanValid, phone: phoneValid };
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Reads the rules: { rules: [{ type, pattern, flags?, group?, validate? }], terms?: { TYPE: ["literal", ...] } }.
+// group picks the capture group to redact (the rest of the match is context, e.g. a label);
+// validate names an extra check (iban, phone). Terms are matched as whole words, ignoring case.
+export function loadRedactionRules(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const rules = [];
+
+  (Array.isArray(raw?.rules) ? raw.rules : []).forEach((r, i) => {
+    const type = String(r?.type || "");
+    if (!TYPE_RE.test(type)) throw new Error(`${file}: rule #${i + 1} needs a type in capitals, e.g. PERSON`);
+    if (r.validate && !VALIDATORS[r.validate]) {
+      throw new Error(`${file}: rule #${i + 1} has unknown validate "${r.validate}" (available: ${Object.keys(VALIDATORS).join(", ")})`);
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(String(r.pattern || ""), `${String(r.flags || "").replace(/[gd]/g, "")}gd`);
+    } catch (err) {
+      throw new Error(`${file}: rule #${i + 1} (${type}): ${err.message}`);
+    }
+    if (!r.pattern || regex.test("")) throw new Error(`${file}: rule #${i + 1} (${type}) matches empty text`);
+
+    rules.push({ type, regex, group: Number(r.group) || 0, validate: VALIDATORS[r.validate] || null });
+  });
+
+  for (const [type, terms] of Object.entries(raw?.terms || {})) {
+    if (!TYPE_RE.test(type)) throw new Error(`${file}: terms type "${type}" must be in capitals, e.g. PERSON`);
+    const words = (Array.isArray(terms) ? terms : []).map(t => String(t).trim()).filter(Boolean);
+    if (!words.length) continue;
+    // Longest first, so "Anna Maria Schmidt" wins over "Anna Maria".
+    const alternation = words.sort((a, b) => b.length - a.length).map(escapeRegExp).join("|");
+    rules.push({ type, regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternation})(?![\\p{L}\\p{N}])`, "giud"), group: 0, validate: null });
+  }
+
+  return rules;
+}
+
+// Identifies a rule set in cache keys: results redacted with other rules are not reused.
+export function redactionFingerprint(rules) {
+  const material = JSON.stringify(rules.map(r => [r.type, r.regex.source, r.regex.flags, r.group, r.validate?.name || null]));
+  return crypto.createHash("sha256").update(material).digest("hex").slice(0, 12);
+}
+
+// Keyed on the exact text (line breaks aside) so restoring gives back what the document said.
+function valueKey(type, value) {
+  return `${type}:${value.replace(/\s+/g, " ")}`;
+}
+
+function preview(value) {
+  return value.length > 6 ? `${value.slice(0, 2)}…${value.slice(-2)}` : "…";
+}
+
+// One redactor per analysis, shared by all of its documents so a value that appears in
+// several of them gets one token. Once a value is known (found by a rule anywhere, or passed
+// to learn), every later occurrence of it is redacted too, with or without the context the
+// rule needed: "Name: John Smith" in a KYC file also hides a bare "John Smith" in the letter.
+// With no rules it passes text through unchanged.
+export function createRedactor(rules) {
+  const byKey = new Map();
+  const byToken = new Map();
+  const counters = {};
+  const possibleNames = new Map();
+  let known = null;
+
+  function tokenFor(type, value, source, count) {
+    const key = valueKey(type, value);
+    let entry = byKey.get(key);
+    if (!entry) {
+      counters[type] = (counters[type] || 0) + 1;
+      entry = { token: `[[${type}_${counters[type]}]]`, type, value, occurrences: 0, sources: new Set() };
+      byKey.set(key, entry);
+      byToken.set(entry.token.slice(2, -2), entry);
+      known = null;
+    }
+    if (count) entry.occurrences++;
+    if (source) entry.sources.add(source);
+    return entry.token;
+  }
+
+  // Known values of 3+ characters as one whole-word regex, longest first.
+  function knownValues() {
+    if (known) return known;
+    const entries = [...byKey.values()].filter(e => e.value.length >= 3).sort((a, b) => b.value.length - a.value.length);
+    known = entries.length
+      ? {
+          regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${entries.map(e => escapeRegExp(e.value).replace(/\s+/g, "\\s+")).join("|")})(?![\\p{L}\\p{N}])`, "gu"),
+          typeOf: new Map(entries.map(e => [e.value.replace(/\s+/g, " "), e.type]))
+        }
+      : { regex: null };
+    return known;
+  }
+
+  // Non-overlapping matches in order; of overlapping ones the earliest, then longest, wins.
+  function matches(input) {
+    const found = [];
+    for (const rule of rules) {
+      rule.regex.lastIndex = 0;
+      let m;
+      while ((m = rule.regex.exec(input))) {
+        const span = m.indices[rule.group];
+        if (!span || span[0] === span[1] || (rule.validate && !rule.validate(m[rule.group]))) {
+          rule.regex.lastIndex = m.index + 1;
+          continue;
+        }
+        // Trailing punctuation picked up by a label rule ("Address: 1 Main St, Leeds.") stays.
+        let [start, end] = span;
+        while (end > start && /[\s.,;:]/.test(input[end - 1])) end--;
+        if (end > start) found.push({ start, end, type: rule.type });
+      }
+    }
+
+    const { regex, typeOf } = knownValues();
+    if (regex) {
+      regex.lastIndex = 0;
+      let m;
+      while ((m = regex.exec(input))) {
+        found.push({ start: m.index, end: m.index + m[0].length, type: typeOf.get(m[0].replace(/\s+/g, " ")) });
+      }
+    }
+
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    let at = 0;
+    return found.filter((f) => {
+      if (f.start < at) return false;
+      at = f.end;
+      return true;
+    });
+  }
+
+  // Registers the values in a document without redacting it, so they are caught in the
+  // documents redacted after it even where no rule would find them.
+  function learn(doc) {
+    if (!rules.length) return;
+    const texts = doc?.segments?.length ? doc.segments.map(s => s.text) : [doc?.text];
+    for (const text of texts) {
+      const input = String(text ?? "");
+      for (const f of matches(input)) tokenFor(f.type, input.slice(f.start, f.end), null, false);
+    }
+  }
+
+  // Two or more capitalised words in a row that were sent as they are, leading sentence
+  // words ("Dear", "The") aside. Most are places, companies or headings; some are names.
+  function notePossibleNames(text, source) {
+    for (const m of text.matchAll(NAME_LIKE_RE)) {
+      const words = m[0].split(/\s+/);
+      while (words.length && NOT_NAMES.has(words[0])) words.shift();
+      if (words.length < 2) continue;
+
+      const value = words.join(" ");
+      const entry = possibleNames.get(value) || { value, occurrences: 0, sources: new Set() };
+      entry.occurrences++;
+      if (source) entry.sources.add(source);
+      possibleNames.set(value, entry);
+    }
+  }
+
+  function redact(text, source = null, { count = true } = {}) {
+    const input = String(text ?? "");
+    if (!rules.length || !input) return input;
+
+    let out = "";
+    let at = 0;
+    for (const f of matches(input)) {
+      out += input.slice(at, f.start) + tokenFor(f.type, input.slice(f.start, f.end), source, count);
+      at = f.end;
+    }
+    out += input.slice(at);
+    if (count) notePossibleNames(out, source);
+    return out;
+  }
+
+  // A redacted copy of an extracted document ({ text, segments }); the original is untouched.
+  // The segments hold the same text again, so only one of the two is counted in the report.
+  function redactDocument(doc, source = null) {
+    const segments = doc.segments || [];
+    return {
+      ...doc,
+      text: redact(doc.text, source, { count: !segments.length }),
+      segments: segments.map(s => ({ ...s, text: redact(s.text, source) }))
+    };
+  }
+
+  // Deep copy of value with every known token replaced by its original text.
+  function restore(value) {
+    if (!byToken.size) return value;
+    if (typeof value === "string") {
+      return value.includes("[[") ? value.replace(TOKEN_RE, (token, name) => byToken.get(name)?.value ?? token) : value;
+    }
+    if (Array.isArray(value)) return value.map(restore);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restore(v)]));
+    }
+    return value;
+  }
+
+  // What was redacted, for the response. Values are only previewed, never listed in full.
+  function report() {
+    const items = [...byKey.values()].filter(e => e.occurrences).map(e => ({
+      token: e.token,
+      type: e.type,
+      occurrences: e.occurrences,
+      sources: [...e.sources],
+      preview: preview(e.value)
+    }));
+    const byType = {};
+    for (const item of items) byType[item.type] = (byType[item.type] || 0) + 1;
+
+    return {
+      enabled: rules.length > 0,
+      rule_types: [...new Set(rules.map(r => r.type))],
+      values: items.length,
+      occurrences: items.reduce((n, i) => n + i.occurrences, 0),
+      by_type: byType,
+      items,
+      possible_names: [...possibleNames.values()].map(e => ({ occurrences: e.occurrences, sources: [...e.sources], preview: preview(e.value) }))
+    };
+  }
+
+  return { learn, redact, redactDocument, restore, report };
+}
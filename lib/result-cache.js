@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Cache key for an analysis: everything that determines the result. Cross documents keep
+// their order, since it is the order the model sees them in. baselineSha256 is only set for
+// the compare output; redaction is the fingerprint of the redaction rules in force;
+// customOutputs are the definitions of the requested custom outputs, so editing one of them
+// in the config invalidates the results it produced.
+export function resultCacheKey({ mainSha256, crossSha256, baselineSha256, outputs, targetLanguage, provider, model, promptVersion, departments, redaction, customOutputs = [] }) {
+  const material = JSON.stringify({
+    main: mainSha256,
+    cross: crossSha256,
+    baseline: baselineSha256,
+    outputs: [...outputs].sort(),
+    target_language: targetLanguage.toLowerCase(),
+    provider,
+    model,
+    prompt_version: promptVersion,
+    departments,
+    redaction,
+    custom_outputs: customOutputs
+  });
+  return crypto.createHash("sha256").update(material).digest("hex");
+}
+
+// Finished results under <dataDir>/cache/<key>.json. Entries expire after ttlMs; beyond
+// maxEntries or maxBytes the least recently used ones are evicted.
+export function createResultCache(dataDir, { ttlMs, maxEntries, maxBytes }) {
+  const dir = path.join(dataDir, "cache");
+  let index = null;
+
+  async function load() {
+    if (index) return index;
+
+    await fs.mkdir(dir, { recursive: true });
+    const loaded = new Map();
+    for (const name of await fs.readdir(dir)) {
+      if (!name.endsWith(".json")) continue;
+      const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (!stat) continue;
+      // The file's mtime is the creation time (entries are never rewritten).
+      loaded.set(name.slice(0, -5), { created_at: stat.mtimeMs, used_at: stat.atimeMs, size: stat.size });
+    }
+    index = loaded;
+    return index;
+  }
+
+  function expired(entry) {
+    return Date.now() - entry.created_at > ttlMs;
+  }
+
+  async function drop(key) {
+    index.delete(key);
+    await fs.rm(path.join(dir, `${key}.json`), { force: true });
+  }
+
+  async function evict() {
+    for (const [key, entry] of index) {
+      if (expired(entry)) await drop(key);
+    }
+
+    let bytes = [...index.values()].reduce((n, e) => n + e.size, 0);
+    const byAge = [...index.entries()].sort((a, b) => a[1].used_at - b[1].used_at);
+    for (const [key, entry] of byAge) {
+      if (index.size <= maxEntries && bytes <= maxBytes) break;
+      bytes -= entry.size;
+      await drop(key);
+    }
+  }
+
+  async function has(key) {
+    const entry = (await load()).get(key);
+    return Boolean(entry && !expired(entry));
+  }
+
+  // Resolves to { result, cached_at } or null.
+  async function get(key) {
+    const entry = (await load()).get(key);
+    if (!entry) return null;
+    if (expired(entry)) {
+      await drop(key);
+      return null;
+    }
+
+    try {
+      const result = JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), "utf8"));
+      entry.used_at = Date.now();
+      return { result, cached_at: new Date(entry.created_at).toISOString() };
+    } catch (err) {
+      console.error(`Dropping unreadable cache entry ${key}:`, err.message);
+      await drop(key);
+      return null;
+    }
+  }
+
+  async function set(key, result) {
+    await load();
+    const body = JSON.stringify(result);
+    const file = path.join(dir, `${key}.json`);
+    await fs.writeFile(`${file}.tmp`, body);
+    await fs.rename(`${file}.tmp`, file);
+
+    const now = Date.now();
+    index.set(key, { created_at: now, used_at: now, size: Buffer.byteLength(body) });
+    await evict();
+  }
+
+  return { has, get, set };
+}
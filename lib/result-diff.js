@@ -0,0 +1,74 @@
+import { isNearDuplicate } from "./chunking.js";
+
+// Server-added fields that say nothing about the model's answer.
+const IGNORED_KEYS = new Set(["meta", "sources", "citation"]);
+
+function itemText(item) {
+  if (item && typeof item === "object") return item.point ?? item.task ?? item.obligation ?? item.question ?? JSON.stringify(item);
+  return String(item);
+}
+
+function label(item) {
+  const text = itemText(item);
+  return JSON.stringify(text.length > 60 ? `${text.slice(0, 57)}...` : text);
+}
+
+function diffArrays(a, b, path, out) {
+  if (![...a, ...b].some(x => x && typeof x === "object")) {
+    const before = new Set(a.map(String));
+    const after = new Set(b.map(String));
+    for (const x of before) if (!after.has(x)) out.push({ op: "-", path, before: x });
+    for (const x of after) if (!before.has(x)) out.push({ op: "+", path, after: x });
+    return;
+  }
+
+  // Findings are matched by their text, allowing small rewordings, rather than by position.
+  const unmatched = [...b];
+  for (const item of a) {
+    const i = unmatched.findIndex(other => isNearDuplicate(itemText(item), itemText(other)));
+    if (i === -1) {
+      out.push({ op: "-", path, before: item });
+      continue;
+    }
+    diffValues(item, unmatched[i], `${path}[${label(item)}]`, out);
+    unmatched.splice(i, 1);
+  }
+  for (const item of unmatched) out.push({ op: "+", path, after: item });
+}
+
+function diffValues(a, b, path, out) {
+  if (Array.isArray(a) && Array.isArray(b)) return diffArrays(a, b, path, out);
+
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (IGNORED_KEYS.has(key)) continue;
+      const p = path ? `${path}.${key}` : key;
+      if (!(key in b)) out.push({ op: "-", path: p, before: a[key] });
+      else if (!(key in a)) out.push({ op: "+", path: p, after: b[key] });
+      else diffValues(a[key], b[key], p, out);
+    }
+    return;
+  }
+
+  if (JSON.stringify(a) !== JSON.stringify(b)) out.push({ op: "~", path, before: a, after: b });
+}
+
+// Structural differences between two analysis results: [{ op: "+" | "-" | "~", path, before?, after? }].
+export function diffResults(a, b) {
+  const out = [];
+  diffValues(a || {}, b || {}, "", out);
+  return out;
+}
+
+function show(value) {
+  const text = typeof value === "string" ? value : itemText(value);
+  return JSON.stringify(text.length > 200 ? `${text.slice(0, 197)}...` : text);
+}
+
+export function formatDiff(changes) {
+  return changes.map((c) => {
+    if (c.op === "+") return `+ ${c.path}: ${show(c.after)}`;
+    if (c.op === "-") return `- ${c.path}: ${show(c.before)}`;
+    return `~ ${c.path}: ${show(c.before)} -> ${show(c.after)}`;
+  }).join("\n");
+}
@@ -0,0 +1,50 @@
+// Risk assessment of key points: the model rates likelihood and impact on a 1-5 scale;
+// score and level are derived here so every result uses the same matrix.
+
+export const RISK_CATEGORIES = [
+  "AML",
+  "Sanctions",
+  "Data protection",
+  "Conduct",
+  "Operational",
+  "Financial",
+  "Legal",
+  "Regulatory reporting",
+  "IT security",
+  "Other"
+];
+
+// Upper score bound (likelihood x impact) of each level on the 5x5 matrix.
+const LEVELS = [
+  { level: "low", max: 4 },
+  { level: "medium", max: 9 },
+  { level: "high", max: 16 },
+  { level: "critical", max: 25 }
+];
+
+export function riskLevel(score) {
+  return LEVELS.find(l => score <= l.max)?.level ?? "critical";
+}
+
+function rating(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(Math.max(n, 1), 5) : null;
+}
+
+// Adds score and level to the risk block of every key point that has one.
+export function scoreRisks(result) {
+  for (const kp of Array.isArray(result?.key_points) ? result.key_points : []) {
+    const risk = kp?.risk;
+    if (!risk || typeof risk !== "object") continue;
+
+    const likelihood = rating(risk.likelihood);
+    const impact = rating(risk.impact);
+    if (likelihood == null || impact == null) continue;
+
+    risk.likelihood = likelihood;
+    risk.impact = impact;
+    risk.score = likelihood * impact;
+    risk.level = riskLevel(risk.score);
+  }
+  return result;
+}
@@ -0,0 +1,30 @@
+import Ajv from "ajv";
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const compiled = new Map();
+
+function validatorFor(schema) {
+  const key = JSON.stringify(schema);
+  if (!compiled.has(key)) compiled.set(key, ajv.compile(schema));
+  return compiled.get(key);
+}
+
+// Returns [] when data matches schema, otherwise [{ path, message }] in a form that can be
+// shown to users and fed back to the model.
+export function validateAgainstSchema(schema, data) {
+  const validate = validatorFor(schema);
+  if (validate(data)) return [];
+
+  return validate.errors.map((err) => {
+    let message = err.message || "is invalid";
+    if (err.keyword === "enum") message += `: ${err.params.allowedValues.map(v => JSON.stringify(v)).join(", ")}`;
+    if (err.keyword === "required") message = `missing required property "${err.params.missingProperty}"`;
+    return { path: err.instancePath || "/", message };
+  });
+}
+
+export function formatViolations(violations, max = 50) {
+  const lines = violations.slice(0, max).map(v => `- ${v.path}: ${v.message}`);
+  if (violations.length > max) lines.push(`- ... and ${violations.length - max} more`);
+  return lines.join("\n");
+}
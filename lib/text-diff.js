@@ -0,0 +1,158 @@
+// Local sentence-level diff between two versions of a document, used by the "compare"
+// output. The model never sees the two full texts side by side, only the changes below.
+
+// Beyond this many cells the LCS table is not built; the differing middle is reported as
+// one replaced block instead.
+const MAX_LCS_CELLS = 4_000_000;
+
+// Changes sent to the model; the rest are still listed in the result, unexplained.
+const MAX_PROMPT_CHANGES = Number(process.env.COMPARE_MAX_CHANGES) || 200;
+const MAX_PROMPT_CHANGE_CHARS = 1500;
+
+function normalize(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+// Sentence-sized units with the label of the segment they came from. Whitespace is
+// normalized first so re-wrapped lines in a PDF do not show up as changes.
+function units(segments) {
+  const out = [];
+  for (const seg of segments) {
+    const text = normalize(seg.text);
+    if (!text) continue;
+    for (const sentence of text.split(/(?<=[.!?;:])\s+(?=[\p{Lu}\p{N}("\u201c\u201e\[])/u)) {
+      out.push({ label: seg.label, text: sentence });
+    }
+  }
+  return out;
+}
+
+// Edit script between two arrays of strings: [{ op: "=" | "-" | "+", a?, b? }] with indexes
+// into a and b, in order.
+function diffSequences(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ op: "=", a: i, b: i });
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_LCS_CELLS) {
+    for (let i = start; i < endA; i++) ops.push({ op: "-", a: i });
+    for (let j = start; j < endB; j++) ops.push({ op: "+", b: j });
+  } else {
+    // lcs[i][j]: length of the LCS of a[start+i..endA) and b[start+j..endB)
+    const width = m + 1;
+    const lcs = new Uint16Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        ops.push({ op: "=", a: start + i++, b: start + j++ });
+      } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push({ op: "-", a: start + i++ });
+      } else {
+        ops.push({ op: "+", b: start + j++ });
+      }
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) ops.push({ op: "=", a: endA + k, b: endB + k });
+  return ops;
+}
+
+// Word-level view of a modified passage: [{ op: "=" | "-" | "+", text }], adjacent runs merged.
+function wordDiff(before, after) {
+  const a = before.split(" ");
+  const b = after.split(" ");
+  const parts = [];
+  for (const { op, a: i, b: j } of diffSequences(a, b)) {
+    const text = op === "+" ? b[j] : a[i];
+    const last = parts[parts.length - 1];
+    if (last?.op === op) last.text += ` ${text}`;
+    else parts.push({ op, text });
+  }
+  return parts;
+}
+
+// Changes between two extracted documents ({ segments: [{ label, text }] } each):
+// [{ id, type: "added" | "removed" | "modified", before, after, before_location,
+// after_location, words? }] in document order. Consecutive changed sentences form one change.
+export function diffDocuments(baseline, revised) {
+  const a = units(baseline.segments);
+  const b = units(revised.segments);
+  const ops = diffSequences(a.map(u => u.text), b.map(u => u.text));
+
+  const changes = [];
+  let hunk = null;
+  const flush = () => {
+    if (!hunk) return;
+    const before = hunk.removed.map(u => u.text).join(" ");
+    const after = hunk.added.map(u => u.text).join(" ");
+    const type = !hunk.removed.length ? "added" : !hunk.added.length ? "removed" : "modified";
+    changes.push({
+      id: `C${changes.length + 1}`,
+      type,
+      before,
+      after,
+      before_location: hunk.removed[0]?.label ?? null,
+      after_location: hunk.added[0]?.label ?? hunk.at ?? null,
+      ...(type === "modified" && before.length + after.length <= 20000 ? { words: wordDiff(before, after) } : {})
+    });
+    hunk = null;
+  };
+
+  for (const { op, a: i, b: j } of ops) {
+    if (op === "=") {
+      // A pure removal is located in the revised text by the unit that follows it.
+      if (hunk) hunk.at = b[j].label;
+      flush();
+      continue;
+    }
+    hunk ||= { removed: [], added: [], at: null };
+    if (op === "-") hunk.removed.push(a[i]);
+    else hunk.added.push(b[j]);
+  }
+  flush();
+
+  return changes;
+}
+
+function clip(text) {
+  return text.length > MAX_PROMPT_CHANGE_CHARS ? `${text.slice(0, MAX_PROMPT_CHANGE_CHARS)} [...]` : text;
+}
+
+// The change list as the model sees it.
+export function formatChangesForPrompt(changes) {
+  if (!changes.length) return "(no differences found)";
+
+  const listed = changes.slice(0, MAX_PROMPT_CHANGES).map((c) => {
+    const where = [c.before_location && `baseline ${c.before_location}`, c.after_location && `revised ${c.after_location}`].filter(Boolean).join(", ");
+    return [
+      `[${c.id}] ${c.type}${where ? ` (${where})` : ""}`,
+      c.before ? `BEFORE: ${clip(c.before)}` : "",
+      c.after ? `AFTER: ${clip(c.after)}` : ""
+    ].filter(Boolean).join("\n");
+  });
+  const more = changes.length > MAX_PROMPT_CHANGES ? `\n(${changes.length - MAX_PROMPT_CHANGES} further changes not shown)` : "";
+  return `${listed.join("\n\n")}${more}`;
+}
+
+export function promptChangeIds(changes) {
+  return changes.slice(0, MAX_PROMPT_CHANGES).map(c => c.id);
+}
@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { httpError } from "./http-error.js";
+import { parseIsoDate } from "./obligations.js";
+
+export const TODO_STATUSES = ["open", "in_progress", "done", "wont_do"];
+
+const MAX_OWNER_CHARS = 100;
+const MAX_COMMENT_CHARS = 2000;
+
+// Like history entries, tasks without an owner are only shown to admins.
+function visibleTo(user, item) {
+  return !user || (item.user ? item.user.id === user.id : user.admin);
+}
+
+// The same task of the same document (by content hash) for the same user is tracked once,
+// however often the document is analyzed again or served from the result cache.
+function taskKey({ source_sha256, analysis_id, user, department, task }) {
+  return [user?.id || "", source_sha256 || analysis_id, department, String(task).trim().toLowerCase()].join("\n");
+}
+
+// Tracked to-dos in <dataDir>/todos.json: every task of every saved analysis becomes an
+// item with owner, status, due date and comments, linked back to the analysis
+// (analysis_id is the history ID of the first analysis that found it) and to the key point
+// it came from (source_point).
+export function createTodoStore(dataDir) {
+  const file = path.join(dataDir, "todos.json");
+  let items = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (items) return items;
+    try {
+      items = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      items = [];
+    }
+    return items;
+  }
+
+  function persist() {
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(items));
+      await fs.rename(`${file}.tmp`, file);
+    });
+    return writing;
+  }
+
+  // Adds the to-dos of a history record that are not tracked yet; resolves to the new items.
+  async function addFromAnalysis(record) {
+    const byDept = record.result?.todos_by_department;
+    if (!byDept || typeof byDept !== "object") return [];
+
+    const tracked = new Set((await load()).map(taskKey));
+    const now = new Date().toISOString();
+    const added = [];
+    for (const [department, tasks] of Object.entries(byDept)) {
+      for (const t of Array.isArray(tasks) ? tasks : []) {
+        if (!t?.task) continue;
+        const item = {
+          id: crypto.randomUUID(),
+          analysis_id: record.id,
+          source_sha256: record.files?.main?.sha256 || null,
+          file: record.files?.main?.name || null,
+          department,
+          task: String(t.task),
+          source_point: t.source_point || null,
+          quote: t.quote || null,
+          location: t.location || null,
+          owner: null,
+          status: "open",
+          due_date: null,
+          comments: [],
+          user: record.user || null,
+          created_at: now,
+          updated_at: now
+        };
+        if (tracked.has(taskKey(item))) continue;
+        tracked.add(taskKey(item));
+        added.push(item);
+      }
+    }
+    if (!added.length) return added;
+
+    items.push(...added);
+    await persist();
+    return added;
+  }
+
+  // Soonest due date first (undated last), then newest first.
+  async function list(user, { department, status, analysisId, owner, limit = 500, offset = 0 } = {}) {
+    const wantedOwner = owner ? owner.toLowerCase() : null;
+    const all = (await load())
+      .filter(t => visibleTo(user, t))
+      .filter(t => !department || t.department === department)
+      .filter(t => !status || t.status === status)
+      .filter(t => !analysisId || t.analysis_id === analysisId)
+      .filter(t => !wantedOwner || String(t.owner || "").toLowerCase() === wantedOwner)
+      .sort((a, b) => String(a.due_date || "9999").localeCompare(String(b.due_date || "9999"))
+        || String(b.created_at).localeCompare(String(a.created_at)));
+    return { total: all.length, items: all.slice(offset, offset + limit) };
+  }
+
+  async function get(user, id) {
+    const item = (await load()).find(t => t.id === id);
+    return item && visibleTo(user, item) ? item : null;
+  }
+
+  // Changes owner, status and/or due_date (YYYY-MM-DD); null or "" clears owner and due date.
+  async function update(user, id, changes = {}) {
+    const item = await get(user, id);
+    if (!item) throw httpError(404, "To-do not found.");
+
+    const next = {};
+    if (changes.status !== undefined) {
+      if (!TODO_STATUSES.includes(changes.status)) {
+        throw httpError(400, `Unknown status "${changes.status}". Available: ${TODO_STATUSES.join(", ")}.`);
+      }
+      next.status = changes.status;
+    }
+    if (changes.owner !== undefined) {
+      next.owner = String(changes.owner ?? "").trim().slice(0, MAX_OWNER_CHARS) || null;
+    }
+    if (changes.due_date !== undefined) {
+      if (changes.due_date === null || changes.due_date === "") {
+        next.due_date = null;
+      } else {
+        if (!parseIsoDate(changes.due_date)) throw httpError(400, "due_date must be a date as YYYY-MM-DD.");
+        next.due_date = String(changes.due_date).trim();
+      }
+    }
+    if (!Object.keys(next).length) throw httpError(400, "Nothing to update: send owner, status and/or due_date.");
+
+    Object.assign(item, next, { updated_at: new Date().toISOString() });
+    await persist();
+    return item;
+  }
+
+  async function addComment(user, id, text) {
+    const item = await get(user, id);
+    if (!item) throw httpError(404, "To-do not found.");
+
+    const body = String(text ?? "").trim();
+    if (!body) throw httpError(400, "Comment text is empty.");
+
+    const comment = {
+      id: crypto.randomUUID(),
+      text: body.slice(0, MAX_COMMENT_CHARS),
+      author: user ? { id: user.id, username: user.username } : null,
+      created_at: new Date().toISOString()
+    };
+    item.comments.push(comment);
+    item.updated_at = comment.created_at;
+    await persist();
+    return comment;
+  }
+
+  return { addFromAnalysis, list, get, update, addComment };
+}
@@ -0,0 +1,97 @@
+import fs from "fs/promises";
+import path from "path";
+
+export function emptyUsage() {
+  return { input_tokens: 0, output_tokens: 0, requests: 0 };
+}
+
+// Adds the usage block of one API response to a running total.
+export function addUsage(total, usage) {
+  total.input_tokens += usage?.input_tokens || 0;
+  total.output_tokens += usage?.output_tokens || 0;
+  total.requests += 1;
+  return total;
+}
+
+function dayOf(iso) {
+  return String(iso).slice(0, 10);
+}
+
+// Append-only ledger of model usage per analysis in <dataDir>/usage.jsonl, one line per
+// analysis (failed ones included, since their tokens are billed too).
+export function createUsageLedger(dataDir) {
+  const file = path.join(dataDir, "usage.jsonl");
+  let entries = null;
+
+  async function load() {
+    if (entries) return entries;
+    try {
+      const raw = await fs.readFile(file, "utf8");
+      entries = raw.split("\n").filter(Boolean).flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          console.error("Skipping unreadable usage line:", line.slice(0, 80));
+          return [];
+        }
+      });
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      entries = [];
+    }
+    return entries;
+  }
+
+  async function record(entry) {
+    const all = await load();
+    const line = { at: new Date().toISOString(), ...entry };
+    await fs.mkdir(dataDir, { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify(line)}\n`);
+    all.push(line);
+    return line;
+  }
+
+  // Spend on one day (UTC, default today), for everyone or a single user.
+  async function spentOn({ day = dayOf(new Date().toISOString()), userId } = {}) {
+    let cost = 0;
+    for (const e of await load()) {
+      if (dayOf(e.at) !== day) continue;
+      if (userId !== undefined && (e.user?.id ?? null) !== userId) continue;
+      cost += e.cost?.total || 0;
+    }
+    return cost;
+  }
+
+  // Totals grouped by day and user, newest day first; from/to are YYYY-MM-DD (inclusive).
+  async function summary({ from, to, userId } = {}) {
+    const groups = new Map();
+    for (const e of await load()) {
+      const day = dayOf(e.at);
+      if ((from && day < from) || (to && day > to)) continue;
+      if (userId !== undefined && (e.user?.id ?? null) !== userId) continue;
+
+      const key = `${day}|${e.user?.id ?? ""}`;
+      const g = groups.get(key) || {
+        day,
+        user: e.user?.username ?? null,
+        analyses: 0,
+        failed: 0,
+        input_tokens: 0,
+        output_tokens: 0,
+        cost: 0
+      };
+      g.analyses += 1;
+      if (e.failed) g.failed += 1;
+      g.input_tokens += e.input_tokens || 0;
+      g.output_tokens += e.output_tokens || 0;
+      g.cost += e.cost?.total || 0;
+      groups.set(key, g);
+    }
+
+    return [...groups.values()]
+      .map(g => ({ ...g, cost: Math.round(g.cost * 1e6) / 1e6 }))
+      .sort((a, b) => b.day.localeCompare(a.day) || String(a.user).localeCompare(String(b.user)));
+  }
+
+  return { record, spentOn, summary };
+}
@@ -0,0 +1,202 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import { httpError } from "./http-error.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const API_KEY_PREFIX = "da_";
+// last_used_at is only rewritten once it is this old, so busy API clients don't rewrite
+// users.json on every request.
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+// Stored as scrypt$N$r$p$salt$hash so the cost parameters can be raised later without
+// invalidating existing hashes.
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function publicUser(user) {
+  return { id: user.id, username: user.username, admin: Boolean(user.admin), created_at: user.created_at };
+}
+
+function publicApiKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+// Local accounts in <dataDir>/users.json. Passwords are scrypt hashes; API keys are stored
+// as SHA-256 hashes and only shown in full once, when created.
+export function createUserStore(dataDir) {
+  const file = path.join(dataDir, "users.json");
+  let users = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (users) return users;
+    try {
+      users = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      users = [];
+    }
+    return users;
+  }
+
+  // Writes are chained so two requests never interleave their write-then-rename.
+  function persist() {
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(users, null, 2));
+      await fs.rename(`${file}.tmp`, file);
+    });
+    return writing;
+  }
+
+  async function findByUsername(username) {
+    const name = String(username || "").trim().toLowerCase();
+    return (await load()).find(u => u.username.toLowerCase() === name) || null;
+  }
+
+  async function count() {
+    return (await load()).length;
+  }
+
+  async function list() {
+    return (await load()).map(publicUser);
+  }
+
+  async function get(id) {
+    const user = (await load()).find(u => u.id === id);
+    return user ? publicUser(user) : null;
+  }
+
+  async function create({ username, password, admin = false }) {
+    const name = String(username || "").trim();
+    if (!/^[\w.@-]{2,64}$/.test(name)) {
+      throw httpError(400, "Username must be 2-64 characters: letters, digits, and . _ @ -");
+    }
+    if (String(password || "").length < 8) throw httpError(400, "Password must be at least 8 characters.");
+    if (await findByUsername(name)) throw httpError(409, `User "${name}" already exists.`);
+
+    const user = {
+      id: crypto.randomUUID(),
+      username: name,
+      password_hash: await hashPassword(password),
+      admin: Boolean(admin),
+      api_keys: [],
+      created_at: new Date().toISOString()
+    };
+    users.push(user);
+    await persist();
+    return publicUser(user);
+  }
+
+  async function setPassword(username, password) {
+    const user = await findByUsername(username);
+    if (!user) throw httpError(404, `User "${username}" not found.`);
+    if (String(password || "").length < 8) throw httpError(400, "Password must be at least 8 characters.");
+
+    user.password_hash = await hashPassword(password);
+    await persist();
+    return publicUser(user);
+  }
+
+  async function setAdmin(username, admin) {
+    const user = await findByUsername(username);
+    if (!user) throw httpError(404, `User "${username}" not found.`);
+
+    user.admin = Boolean(admin);
+    await persist();
+    return publicUser(user);
+  }
+
+  async function remove(username) {
+    const user = await findByUsername(username);
+    if (!user) return false;
+    users.splice(users.indexOf(user), 1);
+    await persist();
+    return true;
+  }
+
+  // Resolves to the public user, or null for an unknown name or wrong password.
+  async function verifyLogin(username, password) {
+    const user = await findByUsername(username);
+    if (!user || !(await verifyPassword(password, user.password_hash))) return null;
+    return publicUser(user);
+  }
+
+  async function createApiKey(userId, name) {
+    const user = (await load()).find(u => u.id === userId);
+    if (!user) throw httpError(404, "User not found.");
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name: String(name || "").trim().slice(0, 100) || "API key",
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      hash: hashApiKey(key),
+      created_at: new Date().toISOString(),
+      last_used_at: null
+    };
+    user.api_keys.push(record);
+    await persist();
+    return { key, ...publicApiKey(record) };
+  }
+
+  async function listApiKeys(userId) {
+    const user = (await load()).find(u => u.id === userId);
+    return user ? user.api_keys.map(publicApiKey) : [];
+  }
+
+  async function revokeApiKey(userId, keyId) {
+    const user = (await load()).find(u => u.id === userId);
+    const i = user ? user.api_keys.findIndex(k => k.id === keyId) : -1;
+    if (i === -1) return false;
+    user.api_keys.splice(i, 1);
+    await persist();
+    return true;
+  }
+
+  async function findByApiKey(key) {
+    if (!String(key || "").startsWith(API_KEY_PREFIX)) return null;
+
+    const hash = hashApiKey(key);
+    for (const user of await load()) {
+      const record = user.api_keys.find(k => k.hash === hash);
+      if (record) {
+        if (!record.last_used_at || Date.now() - Date.parse(record.last_used_at) >= LAST_USED_RESOLUTION_MS) {
+          record.last_used_at = new Date().toISOString();
+          persist().catch(err => console.error("Could not record API key use:", err));
+        }
+        return publicUser(user);
+      }
+    }
+    return null;
+  }
+
+  return { count, list, get, create, setPassword, setAdmin, remove, verifyLogin, createApiKey, listApiKeys, revokeApiKey, findByApiKey };
+}
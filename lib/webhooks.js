@@ -0,0 +1,333 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
+import { httpError } from "./http-error.js";
+
+export const WEBHOOK_EVENTS = ["analysis.completed"];
+
+const SECRET_PREFIX = "whsec_";
+const MAX_LOGGED_DELIVERIES = 1000;
+
+// Signature of one delivery: HMAC-SHA256 over "<timestamp>.<raw body>" with the
+// subscription's secret, sent as X-Webhook-Signature: sha256=<hex>.
+export function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// For receivers: checks the signature and that the timestamp is recent (replay protection).
+export function verifyWebhookSignature(secret, { timestamp, signature, body, toleranceSeconds = 300 }) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhook(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ""));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function publicSubscription(sub) {
+  const { secret, ...rest } = sub;
+  return { ...rest, secret_hint: `...${secret.slice(-4)}` };
+}
+
+// Loopback, private, link-local and other addresses that are not on the public internet.
+const NON_PUBLIC = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+]) {
+  NON_PUBLIC.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  NON_PUBLIC.addSubnet(prefix, bits, "ipv6");
+}
+
+function isPublicAddress(address) {
+  return !NON_PUBLIC.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// Webhook subscriptions (<dataDir>/webhooks.json) and their deliveries. A delivery is
+// retried with exponential backoff (retryBaseMs, x4 each time) until it gets a 2xx or
+// maxAttempts is reached. Bodies of deliveries still being retried are kept under
+// <dataDir>/webhooks/ so retries survive a restart; every attempt is appended to
+// <dataDir>/webhook-deliveries.jsonl, which backs the delivery log and is compacted to the
+// latest MAX_LOGGED_DELIVERIES deliveries once it holds twice that many lines.
+//
+// Webhooks may not point at the server's own network: hosts that are or resolve to loopback,
+// private or link-local addresses are refused unless listed in allowedHosts. The check runs
+// when a subscription is created and again before every attempt, in case the DNS changed.
+// With requireHttps, plain http URLs are refused as well.
+export function createWebhooks(dataDir, { maxAttempts = 5, retryBaseMs = 30 * 1000, timeoutMs = 10 * 1000, allowedHosts = [], requireHttps = true } = {}) {
+  const file = path.join(dataDir, "webhooks.json");
+  const logFile = path.join(dataDir, "webhook-deliveries.jsonl");
+  const pendingDir = path.join(dataDir, "webhooks");
+  let subscriptions = null;
+  let deliveries = null;
+  let logLines = 0;
+  let writing = Promise.resolve();
+  let logging = Promise.resolve();
+  const allowed = allowedHosts.map(h => String(h).trim().toLowerCase()).filter(Boolean);
+
+  async function checkUrl(value) {
+    let url;
+    try {
+      url = new URL(String(value || ""));
+    } catch {
+      throw httpError(400, "Webhook url must be an absolute http(s) URL.");
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") throw httpError(400, "Webhook url must be an absolute http(s) URL.");
+    if (requireHttps && url.protocol !== "https:") throw httpError(400, "Webhook url must use https.");
+
+    const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    if (allowed.includes(host)) return url.toString();
+
+    let addresses = [host];
+    if (!net.isIP(host)) {
+      try {
+        addresses = (await dns.lookup(host, { all: true })).map(a => a.address);
+      } catch {
+        throw httpError(400, `Webhook host ${host} could not be resolved.`);
+      }
+    }
+    if (!addresses.every(isPublicAddress)) {
+      throw httpError(400, `Webhook host ${host} is a local or private address. Add it to WEBHOOK_ALLOWED_HOSTS to allow it.`);
+    }
+    return url.toString();
+  }
+
+  async function load() {
+    if (subscriptions) return subscriptions;
+    try {
+      subscriptions = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      subscriptions = [];
+    }
+    return subscriptions;
+  }
+
+  function persist() {
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(subscriptions, null, 2));
+      await fs.rename(`${file}.tmp`, file);
+    });
+    return writing;
+  }
+
+  // Latest state of each delivery, newest last; rebuilt from the attempt log on first use.
+  async function loadDeliveries() {
+    if (deliveries) return deliveries;
+    const byId = new Map();
+    try {
+      for (const line of (await fs.readFile(logFile, "utf8")).split("\n")) {
+        if (!line) continue;
+        logLines++;
+        try {
+          const entry = JSON.parse(line);
+          byId.delete(entry.id);
+          byId.set(entry.id, entry);
+        } catch {
+          console.error("Skipping unreadable webhook delivery line:", line.slice(0, 80));
+        }
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    deliveries = byId;
+    return deliveries;
+  }
+
+  async function log(delivery) {
+    const all = await loadDeliveries();
+    all.delete(delivery.id);
+    all.set(delivery.id, { ...delivery });
+    while (all.size > MAX_LOGGED_DELIVERIES) all.delete(all.keys().next().value);
+
+    // Chained like persist(), so an append never lands in a file that is being replaced.
+    const line = `${JSON.stringify(delivery)}\n`;
+    logging = logging.catch(() => {}).then(async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      if (logLines < 2 * MAX_LOGGED_DELIVERIES) {
+        await fs.appendFile(logFile, line);
+        logLines++;
+        return;
+      }
+      await fs.writeFile(`${logFile}.tmp`, [...all.values()].map(d => `${JSON.stringify(d)}\n`).join(""));
+      await fs.rename(`${logFile}.tmp`, logFile);
+      logLines = all.size;
+    });
+    return logging;
+  }
+
+  async function list(user) {
+    return (await load()).filter(s => !user || !s.user || s.user.id === user.id).map(publicSubscription);
+  }
+
+  // Resolves to the subscription including its secret, which is only returned here.
+  async function create(user, { url, events, description } = {}) {
+    const wanted = events == null ? WEBHOOK_EVENTS : Array.isArray(events) ? events.map(String) : [String(events)];
+    const unknown = wanted.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (!wanted.length || unknown.length) {
+      throw httpError(400, `Unknown webhook event(s): ${unknown.join(", ") || "(none)"}. Available: ${WEBHOOK_EVENTS.join(", ")}.`);
+    }
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      url: await checkUrl(url),
+      events: [...new Set(wanted)],
+      description: String(description || "").trim().slice(0, 200),
+      secret: `${SECRET_PREFIX}${crypto.randomBytes(24).toString("base64url")}`,
+      user: user ? { id: user.id, username: user.username } : null,
+      created_at: new Date().toISOString()
+    };
+    (await load()).push(subscription);
+    await persist();
+    return { ...publicSubscription(subscription), secret: subscription.secret };
+  }
+
+  async function find(user, id) {
+    const sub = (await load()).find(s => s.id === id);
+    return sub && (!user || !sub.user || sub.user.id === user.id) ? sub : null;
+  }
+
+  async function remove(user, id) {
+    const sub = await find(user, id);
+    if (!sub) return false;
+    subscriptions = subscriptions.filter(s => s !== sub);
+    await persist();
+    return true;
+  }
+
+  function pendingFile(id) {
+    return path.join(pendingDir, `${id}.json`);
+  }
+
+  function schedule(delivery, delayMs) {
+    setTimeout(() => {
+      attempt(delivery).catch(err => console.error(`Webhook delivery ${delivery.id} failed:`, err));
+    }, delayMs).unref();
+  }
+
+  async function attempt(delivery) {
+    const sub = (await load()).find(s => s.id === delivery.subscription_id);
+    let body;
+    try {
+      ({ body } = JSON.parse(await fs.readFile(pendingFile(delivery.id), "utf8")));
+    } catch {
+      body = null;
+    }
+
+    if (!sub || body == null) {
+      delivery.status = "gave_up";
+      delivery.last_error = !sub ? "Subscription was deleted." : "Delivery body is missing.";
+      delivery.next_attempt_at = null;
+      delivery.updated_at = new Date().toISOString();
+      await fs.rm(pendingFile(delivery.id), { force: true });
+      await log(delivery);
+      return delivery;
+    }
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    delivery.attempts += 1;
+    try {
+      await checkUrl(sub.url);
+      const res = await fetch(sub.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "document-analyzer-webhooks",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": signWebhook(sub.secret, timestamp, body)
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      delivery.last_status = res.status;
+      delivery.last_error = res.ok ? null : `HTTP ${res.status}: ${(await res.text().catch(() => "")).slice(0, 300)}`;
+    } catch (err) {
+      delivery.last_status = null;
+      delivery.last_error = err?.name === "TimeoutError" ? `No response within ${timeoutMs / 1000}s.` : err?.cause?.message || err?.message || String(err);
+    }
+
+    delivery.updated_at = new Date().toISOString();
+    if (!delivery.last_error) {
+      delivery.status = "delivered";
+      delivery.next_attempt_at = null;
+    } else if (delivery.attempts >= maxAttempts) {
+      delivery.status = "gave_up";
+      delivery.next_attempt_at = null;
+    } else {
+      const delay = retryBaseMs * 4 ** (delivery.attempts - 1);
+      delivery.status = "retrying";
+      delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+      schedule(delivery, delay);
+    }
+
+    if (delivery.status !== "retrying") await fs.rm(pendingFile(delivery.id), { force: true });
+    await log(delivery);
+    return delivery;
+  }
+
+  async function enqueue(sub, event, data) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscription_id: sub.id,
+      url: sub.url,
+      event,
+      status: "pending",
+      attempts: 0,
+      last_status: null,
+      last_error: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      next_attempt_at: null,
+      user: sub.user
+    };
+    const body = JSON.stringify({ id: delivery.id, event, created_at: delivery.created_at, data });
+
+    await fs.mkdir(pendingDir, { recursive: true });
+    await fs.writeFile(pendingFile(delivery.id), JSON.stringify({ body }));
+    return attempt(delivery);
+  }
+
+  // Sends event to every subscription of the owner that wants it (all of them when the
+  // owner is null, i.e. authentication is off). Resolves once each first attempt is made.
+  async function dispatch(event, data, { user = null } = {}) {
+    const targets = (await load()).filter(s => s.events.includes(event) && (!user || !s.user || s.user.id === user.id));
+    return Promise.all(targets.map(sub => enqueue(sub, event, data)));
+  }
+
+  // A "ping" delivery to one subscription, so a receiver can be checked without analyzing.
+  async function test(user, id) {
+    const sub = await find(user, id);
+    if (!sub) throw httpError(404, "Webhook not found.");
+    return enqueue(sub, "ping", { subscription_id: sub.id, message: "Test delivery from Document Analyzer." });
+  }
+
+  // Newest first. status: pending, retrying, delivered or gave_up; "failed" means any
+  // delivery whose last attempt failed (retrying or gave_up).
+  async function deliveryLog(user, { status, subscriptionId, limit = 100 } = {}) {
+    return [...(await loadDeliveries()).values()]
+      .reverse()
+      .filter(d => !user || !d.user || d.user.id === user.id)
+      .filter(d => !subscriptionId || d.subscription_id === subscriptionId)
+      .filter(d => !status || (status === "failed" ? d.status === "retrying" || d.status === "gave_up" : d.status === status))
+      .slice(0, limit);
+  }
+
+  // Picks up retries that were waiting when the server stopped.
+  async function resume() {
+    for (const delivery of (await loadDeliveries()).values()) {
+      if (delivery.status !== "retrying" && delivery.status !== "pending") continue;
+      const due = delivery.next_attempt_at ? Date.parse(delivery.next_attempt_at) - Date.now() : 0;
+      schedule({ ...delivery }, Math.max(due, 0));
+    }
+  }
+
+  return { list, create, remove, dispatch, test, deliveryLog, resume };
+}
@@ -1,9 +1,18 @@
 // Use relative path - works for any deployment
-const ENDPOINT = "/api/analyze";
+const JOBS_ENDPOINT = "/api/jobs";
+const BATCHES_ENDPOINT = "/api/batches";
+const HISTORY_ENDPOINT = "/api/history";
+const TODOS_ENDPOINT = "/api/todos";
+const CONFIG_ENDPOINT = "/api/config";
+const EXPORT_DOCX_ENDPOINT = "/api/export/docx";
+const AUTH_ENDPOINT = "/api/auth";
 
 const form = document.getElementById("analyzeForm");
 const fileInput = document.getElementById("fileInput");
 const crossFilesInput = document.getElementById("crossFiles");
+const baselineFileInput = document.getElementById("baselineFile");
+const forceReanalyzeInput = document.getElementById("forceReanalyze");
+const formatsHintEl = document.getElementById("formatsHint");
 const translateTo = document.getElementById("translateTo");
 const analyzeBtn = document.getElementById("analyzeBtn");
 const clearBtn = document.getElementById("clearBtn");
@@ -15,19 +24,66 @@ const translatedDisclosure = document.getElementById("translatedDisclosure");
 const translatedDocEl = document.getElementById("translatedDoc");
 const summaryEl = document.getElementById("summary");
 const keyPointsEl = document.getElementById("keyPoints");
+const riskEl = document.getElementById("riskRegister");
 const todosEl = document.getElementById("todos");
+const obligationsEl = document.getElementById("obligations");
 const crossRefEl = document.getElementById("crossRef");
+const compareEl = document.getElementById("compareView");
+const customOutputsBlock = document.getElementById("customOutputsBlock");
+const customOutputsEl = document.getElementById("customOutputs");
 const templateBoxEl = document.getElementById("templateBox");
 const templateFillToggle = document.getElementById("templateFillToggle");
+const sourceDisclosure = document.getElementById("sourceDisclosure");
+const sourceViewEl = document.getElementById("sourceView");
 
 const exportTranslationBtn = document.getElementById("exportTranslationBtn");
 const exportTodosBtn = document.getElementById("exportTodosBtn");
+const exportRisksBtn = document.getElementById("exportRisksBtn");
+const exportObligationsCsvBtn = document.getElementById("exportObligationsCsvBtn");
+const exportObligationsIcsBtn = document.getElementById("exportObligationsIcsBtn");
 const exportTemplateBtn = document.getElementById("exportTemplateBtn");
 
-const DEPARTMENTS = ["Finance", "Compliance", "Operations", "HR", "Board", "IT"];
+const batchCard = document.getElementById("batchCard");
+const batchDocsEl = document.getElementById("batchDocs");
+const batchTodosEl = document.getElementById("batchTodos");
+const exportBatchTodosBtn = document.getElementById("exportBatchTodosBtn");
+
+const historyListEl = document.getElementById("historyList");
+const historyRefreshBtn = document.getElementById("historyRefreshBtn");
+
+const todoBoardEl = document.getElementById("todoBoard");
+const todoDeptFilter = document.getElementById("todoDeptFilter");
+const todoStatusFilter = document.getElementById("todoStatusFilter");
+const todoViewSelect = document.getElementById("todoViewSelect");
+const todoBoardRefreshBtn = document.getElementById("todoBoardRefreshBtn");
+
+const appView = document.getElementById("appView");
+const userBar = document.getElementById("userBar");
+const userNameEl = document.getElementById("userName");
+const logoutBtn = document.getElementById("logoutBtn");
+const loginCard = document.getElementById("loginCard");
+const loginForm = document.getElementById("loginForm");
+const loginStatusEl = document.getElementById("loginStatus");
+const apiKeysCard = document.getElementById("apiKeysCard");
+const apiKeyForm = document.getElementById("apiKeyForm");
+const apiKeyNameInput = document.getElementById("apiKeyName");
+const newApiKeyEl = document.getElementById("newApiKey");
+const apiKeyListEl = document.getElementById("apiKeyList");
+
+// Department taxonomy ({ name, description, aliases }), loaded from the server config.
+let DEPARTMENTS = [];
+
+// Custom output types ({ key, label, description, schema }), loaded from the server config.
+let CUSTOM_OUTPUTS = [];
 
 let lastResult = null;
+let lastBatch = null;
 let originalTemplateText = "";
+let templateFields = [];
+
+// The running job is remembered so a reload or dropped connection can pick it up again.
+const ACTIVE_JOB_KEY = "documentAnalyzer.activeJob";
+const POLL_INTERVAL_MS = 2000;
 
 function setStatus(message, kind = "info") {
   statusEl.classList.remove("good", "bad", "warn");
@@ -52,6 +108,30 @@ function normalizeArray(value) {
   return [value];
 }
 
+// Saved results carry the department names they were produced with, so they keep
+// rendering correctly after the taxonomy changes.
+function departmentNamesFor(data) {
+  const fromResult = normalizeArray(data?.meta?.departments);
+  return fromResult.length ? fromResult : DEPARTMENTS.map(d => d.name);
+}
+
+// Configured departments first, then any extra keys the result contains.
+function todoDepartments(data) {
+  const names = departmentNamesFor(data);
+  const extra = Object.keys(data?.todos_by_department || {}).filter(k => !names.includes(k));
+  return [...names, ...extra];
+}
+
+// Saved results carry the custom output definitions they were produced with.
+function customOutputsFor(data) {
+  const fromResult = normalizeArray(data?.meta?.custom_outputs);
+  return fromResult.length ? fromResult : CUSTOM_OUTPUTS;
+}
+
+function departmentTitle(name) {
+  return DEPARTMENTS.find(d => d.name === name)?.description || "";
+}
+
 function getSelectedOutputs() {
   const checks = [...outputsWrap.querySelectorAll('input[type="checkbox"][name="outputs"]')];
   return checks.filter(c => c.checked).map(c => c.value);
@@ -73,28 +153,52 @@ updateAnalyzeEnabled(true);
 function resetResults() {
   lastResult = null;
   originalTemplateText = "";
+  templateFields = [];
 
   translatedDocEl.textContent = "No data yet.";
   summaryEl.textContent = "No data yet.";
   keyPointsEl.textContent = "No data yet.";
+  riskEl.textContent = "No data yet.";
   todosEl.textContent = "No data yet.";
+  obligationsEl.textContent = "No data yet.";
   crossRefEl.textContent = "No data yet.";
+  compareEl.textContent = "No data yet.";
+  customOutputsEl.textContent = "No data yet.";
   templateBoxEl.textContent = "No data yet.";
+  sourceViewEl.textContent = "No data yet.";
 
   translatedDocEl.classList.add("subtle");
   summaryEl.classList.add("subtle");
   keyPointsEl.classList.add("subtle");
+  riskEl.classList.add("subtle");
   todosEl.classList.add("subtle");
+  obligationsEl.classList.add("subtle");
   crossRefEl.classList.add("subtle");
+  compareEl.classList.add("subtle");
+  customOutputsEl.classList.add("subtle");
   templateBoxEl.classList.add("subtle");
+  sourceViewEl.classList.add("subtle");
+  customOutputsBlock.hidden = !CUSTOM_OUTPUTS.length;
 
   templateFillToggle.checked = false;
+  riskView = { sort: "score", dir: -1, cell: null };
+}
+
+function resetBatch() {
+  lastBatch = null;
+  batchCard.hidden = true;
+  batchDocsEl.textContent = "No data yet.";
+  batchTodosEl.textContent = "No data yet.";
+  batchDocsEl.classList.add("subtle");
+  batchTodosEl.classList.add("subtle");
 }
 
 clearBtn.addEventListener("click", () => {
   resetResults();
+  resetBatch();
   fileInput.value = "";
   crossFilesInput.value = "";
+  baselineFileInput.value = "";
   setStatus("Cleared. Ready.", "info");
 });
 
@@ -128,12 +232,12 @@ function renderKeyPoints(data) {
     const text = kp?.point ?? "";
     const dept = kp?.department ?? "";
     const tags = normalizeArray(kp?.tags).filter(Boolean);
-    const deptLabel = DEPARTMENTS.includes(dept) ? dept : "Unassigned";
+    const deptLabel = departmentNamesFor(data).includes(dept) ? dept : "Unassigned";
 
     return `
       <div class="kp">
         <div class="kp-top">
-          <span class="badge">${escapeHtml(deptLabel)}</span>
+          <span class="badge" title="${escapeHtml(departmentTitle(deptLabel))}">${escapeHtml(deptLabel)}</span>
           ${
             tags.length
               ? `<div class="tags">${tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join("")}</div>`
@@ -141,11 +245,158 @@ function renderKeyPoints(data) {
           }
         </div>
         <div>${text ? escapeHtml(text) : "<span class='subtle'>No text</span>"}</div>
+        ${renderRiskSummary(kp)}
+        ${renderCitation(kp, data)}
       </div>
     `;
   }).join("");
 }
 
+// Risk assessment
+
+// Score and level come from the server; streamed partial results only have the ratings.
+function riskOf(kp) {
+  const r = kp?.risk;
+  if (!r || !r.likelihood || !r.impact) return null;
+  const score = r.score ?? r.likelihood * r.impact;
+  const level = r.level ?? (score <= 4 ? "low" : score <= 9 ? "medium" : score <= 16 ? "high" : "critical");
+  return { ...r, score, level };
+}
+
+function renderRiskSummary(kp) {
+  const risk = riskOf(kp);
+  if (!risk) return "";
+  return `
+    <div class="todo-meta">
+      <span class="badge risk-${escapeHtml(risk.level)}">Risk ${escapeHtml(risk.level)} · ${risk.score} (L${risk.likelihood} × I${risk.impact})</span>
+      ${escapeHtml(risk.category || "")}: ${escapeHtml(risk.rationale || "")}
+    </div>
+  `;
+}
+
+const RISK_COLUMNS = [
+  { key: "score", label: "Score", value: r => r.risk.score },
+  { key: "likelihood", label: "Likelihood", value: r => r.risk.likelihood },
+  { key: "impact", label: "Impact", value: r => r.risk.impact },
+  { key: "category", label: "Category", value: r => r.risk.category || "" },
+  { key: "department", label: "Department", value: r => r.kp.department || "" },
+  { key: "point", label: "Key point", value: r => r.kp.point || "" }
+];
+
+let riskView = { sort: "score", dir: -1, cell: null };
+
+function riskRows(data) {
+  return normalizeArray(data?.key_points)
+    .map(kp => ({ kp, risk: riskOf(kp) }))
+    .filter(r => r.risk);
+}
+
+function renderHeatMap(rows) {
+  const cells = [];
+  for (let impact = 5; impact >= 1; impact--) {
+    cells.push(`<div class="heat-axis">${impact}</div>`);
+    for (let likelihood = 1; likelihood <= 5; likelihood++) {
+      const inCell = rows.filter(r => r.risk.likelihood === likelihood && r.risk.impact === impact);
+      const level = riskOf({ risk: { likelihood, impact } }).level;
+      const selected = riskView.cell?.likelihood === likelihood && riskView.cell?.impact === impact;
+      cells.push(`
+        <button type="button" class="heat-cell risk-${level}${selected ? " selected" : ""}" data-likelihood="${likelihood}" data-impact="${impact}"
+          title="${escapeHtml(inCell.map(r => r.kp.point).join("\n") || "No key points")}">${inCell.length || ""}</button>
+      `);
+    }
+  }
+  cells.push(`<div></div>`, ...[1, 2, 3, 4, 5].map(n => `<div class="heat-axis">${n}</div>`));
+
+  return `
+    <div class="heat-map-wrap">
+      <div class="heat-label-y">Impact</div>
+      <div>
+        <div class="heat-map">${cells.join("")}</div>
+        <div class="heat-label-x">Likelihood</div>
+      </div>
+    </div>
+  `;
+}
+
+function renderRiskRegister(data) {
+  const rows = riskRows(data);
+  riskEl.classList.remove("subtle");
+
+  if (!rows.length) {
+    riskEl.innerHTML = `<p class="subtle">No risk assessment in response.</p>`;
+    return;
+  }
+
+  const column = RISK_COLUMNS.find(c => c.key === riskView.sort) || RISK_COLUMNS[0];
+  const shown = rows
+    .filter(r => !riskView.cell || (r.risk.likelihood === riskView.cell.likelihood && r.risk.impact === riskView.cell.impact))
+    .sort((a, b) => {
+      const va = column.value(a);
+      const vb = column.value(b);
+      const order = typeof va === "number" ? va - vb : String(va).localeCompare(String(vb));
+      return order * riskView.dir || b.risk.score - a.risk.score;
+    });
+
+  const arrow = key => key === riskView.sort ? (riskView.dir < 0 ? " ▼" : " ▲") : "";
+  const filterNote = riskView.cell
+    ? `<p class="subtle">Showing likelihood ${riskView.cell.likelihood} × impact ${riskView.cell.impact}. Click the cell again to show all.</p>`
+    : "";
+
+  riskEl.innerHTML = `
+    ${renderHeatMap(rows)}
+    ${filterNote}
+    <div class="table-wrap">
+      <table class="register">
+        <thead>
+          <tr>
+            ${RISK_COLUMNS.map(c => `<th><button type="button" class="sort" data-sort="${c.key}">${escapeHtml(c.label)}${arrow(c.key)}</button></th>`).join("")}
+            <th>Rationale</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${shown.map(({ kp, risk }) => `
+            <tr>
+              <td><span class="badge risk-${escapeHtml(risk.level)}">${risk.score} ${escapeHtml(risk.level)}</span></td>
+              <td>${risk.likelihood}</td>
+              <td>${risk.impact}</td>
+              <td>${escapeHtml(risk.category || "")}</td>
+              <td>${escapeHtml(kp.department || "Unassigned")}</td>
+              <td>${escapeHtml(kp.point || "")}${renderCitation(kp, data)}</td>
+              <td>${escapeHtml(risk.rationale || "")}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+riskEl.addEventListener("click", (e) => {
+  const sort = e.target.closest("button[data-sort]");
+  const cell = e.target.closest("button.heat-cell");
+  if (!lastResult || (!sort && !cell)) return;
+
+  if (sort) {
+    const key = sort.dataset.sort;
+    riskView.dir = riskView.sort === key ? -riskView.dir : (key === "score" || key === "likelihood" || key === "impact" ? -1 : 1);
+    riskView.sort = key;
+  } else {
+    const likelihood = Number(cell.dataset.likelihood);
+    const impact = Number(cell.dataset.impact);
+    const same = riskView.cell?.likelihood === likelihood && riskView.cell?.impact === impact;
+    riskView.cell = same ? null : { likelihood, impact };
+  }
+  renderRiskRegister(lastResult);
+});
+
+// Risk columns for to-do exports: the key point a to-do came from (matched on its text).
+function riskForSourcePoint(data, sourcePoint) {
+  const wanted = String(sourcePoint || "").trim().toLowerCase();
+  if (!wanted) return null;
+  const kp = normalizeArray(data?.key_points).find(k => String(k?.point || "").trim().toLowerCase() === wanted);
+  return riskOf(kp);
+}
+
 function renderTodos(data) {
   const byDeptObj = data?.todos_by_department ?? null;
   todosEl.classList.remove("subtle");
@@ -155,26 +406,94 @@ function renderTodos(data) {
     return;
   }
 
-  todosEl.innerHTML = DEPARTMENTS.map((dept) => {
+  const known = departmentNamesFor(data);
+  todosEl.innerHTML = todoDepartments(data).map((dept) => {
     const items = normalizeArray(byDeptObj[dept]);
+    const label = known.includes(dept) ? dept : `${dept} (unassigned)`;
     return `
       <div class="todo-dept">
-        <strong>${escapeHtml(dept)}</strong>
+        <strong title="${escapeHtml(departmentTitle(dept))}">${escapeHtml(label)}</strong>
         <div style="margin-top:8px;">
-          ${items.length ? items.map(renderTodoItem).join("") : `<div class="subtle">No tasks.</div>`}
+          ${items.length ? items.map(item => renderTodoItem(item, data)).join("") : `<div class="subtle">No tasks.</div>`}
         </div>
       </div>
     `;
   }).join("");
 }
 
-function renderTodoItem(item) {
+function renderTodoItem(item, data) {
   const task = item?.task ?? "";
   const source = item?.source_point ?? "";
   return `
     <div class="todo-item">
       <div>${task ? escapeHtml(task) : "<span class='subtle'>No task text</span>"}</div>
       ${source ? `<div class="todo-meta">Source: ${escapeHtml(source)}</div>` : ""}
+      ${renderCitation(item, data)}
+    </div>
+  `;
+}
+
+// Obligations register
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+const DUE_BASIS_NOTES = {
+  stated: "",
+  document_date: "counted from the document date",
+  analysis_date: "counted from the analysis date (no document date found)"
+};
+
+// Dated obligations first, soonest first; undated ones by severity.
+function sortedObligations(data) {
+  return normalizeArray(data?.obligations).slice().sort((a, b) => {
+    const da = a?.due_date_resolved || "";
+    const db = b?.due_date_resolved || "";
+    if (da && db && da !== db) return da.localeCompare(db);
+    if (Boolean(da) !== Boolean(db)) return da ? -1 : 1;
+    return (SEVERITY_RANK[b?.severity] ?? 0) - (SEVERITY_RANK[a?.severity] ?? 0);
+  });
+}
+
+function describeDue(ob) {
+  const wording = ob?.due_text ? `<div class="todo-meta">"${escapeHtml(ob.due_text)}"</div>` : "";
+  if (!ob?.due_date_resolved) {
+    // Partial results streamed before the server resolved the dates.
+    const pending = ob?.due_date || (ob?.due_offset_unit && ob.due_offset_unit !== "none" ? `+${ob.due_offset_value} ${ob.due_offset_unit.replace("_", " ")}` : "");
+    return `${pending ? escapeHtml(pending) : "<span class='subtle'>No deadline</span>"}${wording}`;
+  }
+  const basis = DUE_BASIS_NOTES[ob.due_date_basis] || "";
+  return `<strong>${escapeHtml(ob.due_date_resolved)}</strong>${basis ? `<div class="todo-meta">${escapeHtml(basis)}</div>` : ""}${wording}`;
+}
+
+function renderObligations(data) {
+  const items = sortedObligations(data);
+  obligationsEl.classList.remove("subtle");
+
+  if (!items.length) {
+    obligationsEl.innerHTML = `<p class="subtle">No obligations in response.</p>`;
+    return;
+  }
+
+  const docDate = data?.document_date ? `<p class="subtle">Document date: ${escapeHtml(data.document_date)}</p>` : "";
+  obligationsEl.innerHTML = `
+    ${docDate}
+    <div class="table-wrap">
+      <table class="register">
+        <thead>
+          <tr><th>Due</th><th>Obligation</th><th>Legal basis</th><th>Department</th><th>Recurs</th><th>Severity</th></tr>
+        </thead>
+        <tbody>
+          ${items.map(ob => `
+            <tr>
+              <td>${describeDue(ob)}</td>
+              <td>${escapeHtml(ob?.obligation ?? "")}${renderCitation(ob, data)}</td>
+              <td>${ob?.legal_reference ? escapeHtml(ob.legal_reference) : "<span class='subtle'>None cited</span>"}</td>
+              <td><span class="badge" title="${escapeHtml(departmentTitle(ob?.department))}">${escapeHtml(ob?.department || "Unassigned")}</span></td>
+              <td>${ob?.recurrence && ob.recurrence !== "none" ? escapeHtml(ob.recurrence) : "<span class='subtle'>Once</span>"}</td>
+              <td><span class="badge severity-${escapeHtml(ob?.severity || "")}">${escapeHtml(ob?.severity || "")}</span></td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
     </div>
   `;
 }
@@ -203,42 +522,330 @@ function renderCrossReference(data) {
         </div>
         <div><strong>Q:</strong> ${escapeHtml(q)}</div>
         <div><strong>A:</strong> ${a ? escapeHtml(a) : "<span class='subtle'>Not found.</span>"}</div>
+        ${renderCitation(f, data)}
       </div>
     `;
   }).join("");
 }
 
+// Version comparison: the local diff (version_diff) side by side, with the model's
+// explanation (version_changes) under each change it found material.
+
+function renderChangeSide(change, side) {
+  const words = normalizeArray(change.words);
+  if (!words.length) {
+    const text = side === "before" ? change.before : change.after;
+    const tag = side === "before" ? "del" : "ins";
+    return text ? `<${tag}>${escapeHtml(text)}</${tag}>` : `<span class="subtle">(nothing)</span>`;
+  }
+
+  return words.map((w) => {
+    if (w.op === "=") return escapeHtml(w.text);
+    if (w.op === "-" && side === "before") return `<del>${escapeHtml(w.text)}</del>`;
+    if (w.op === "+" && side === "after") return `<ins>${escapeHtml(w.text)}</ins>`;
+    return "";
+  }).join(" ");
+}
+
+function renderChange(change, explanation) {
+  const location = (label, side) => label ? `<span class="subtle">${escapeHtml(side)} · ${escapeHtml(label)}</span>` : `<span class="subtle">${escapeHtml(side)}</span>`;
+  const detail = explanation
+    ? `
+      <div class="change-explain">
+        <div class="kp-top">
+          <span class="badge" title="${escapeHtml(departmentTitle(explanation.department))}">${escapeHtml(explanation.department || "Unassigned")}</span>
+          <strong>${escapeHtml(explanation.change_summary || "")}</strong>
+        </div>
+        <div><strong>Impact:</strong> ${escapeHtml(explanation.compliance_impact || "")}</div>
+        <div><strong>Action:</strong> ${escapeHtml(explanation.recommended_action || "")}</div>
+      </div>
+    `
+    : `<div class="todo-meta">Not flagged as material.</div>`;
+
+  return `
+    <div class="change${explanation ? " material" : ""}">
+      <div class="kp-top">
+        <span class="badge">${escapeHtml(change.id)}</span>
+        <span class="badge">${escapeHtml(change.type)}</span>
+      </div>
+      <div class="change-sides">
+        <div>${location(change.before_location, "Previous")}<div>${renderChangeSide(change, "before")}</div></div>
+        <div>${location(change.after_location, "Revised")}<div>${renderChangeSide(change, "after")}</div></div>
+      </div>
+      ${detail}
+    </div>
+  `;
+}
+
+function renderCompare(data) {
+  const changes = normalizeArray(data?.version_diff?.changes);
+  const explanations = new Map(normalizeArray(data?.version_changes).map(c => [c?.change_id, c]));
+  compareEl.classList.remove("subtle");
+
+  if (!data?.version_diff) {
+    compareEl.innerHTML = explanations.size
+      ? `<p class="subtle">${explanations.size} material change(s) found; the side-by-side view appears when the analysis finishes.</p>`
+      : `<p class="subtle">No comparison in response.</p>`;
+    return;
+  }
+  if (!changes.length) {
+    compareEl.innerHTML = `<p class="subtle">No differences between ${escapeHtml(data.version_diff.baseline_file || "the previous version")} and this document.</p>`;
+    return;
+  }
+
+  const material = changes.filter(c => explanations.has(c.id)).length;
+  compareEl.innerHTML = `
+    <p class="subtle">${changes.length} change(s) from ${escapeHtml(data.version_diff.baseline_file || "the previous version")}, ${material} material.</p>
+    ${changes.map(c => renderChange(c, explanations.get(c.id))).join("")}
+  `;
+}
+
+// Citations
+
+function sourceFor(data, id) {
+  if (id === "main") return data?.sources?.main || null;
+  const m = /^cross:(\d+)$/.exec(id || "");
+  return m ? normalizeArray(data?.sources?.cross)[Number(m[1])] || null : null;
+}
+
+// Badge plus quote for an item's citation. Verified quotes jump to the passage in the
+// source panel; quotes the server could not find in the text get a warning instead.
+function renderCitation(item, data) {
+  const quote = item?.quote ?? "";
+  const citation = item?.citation;
+  if (!quote) return "";
+
+  const file = citation?.source && citation.source !== "main" ? sourceFor(data, citation.source)?.file : "";
+  const where = [file, citation?.label || item?.location].filter(Boolean).join(", ");
+
+  let badge = "";
+  if (citation?.verified) {
+    badge = `
+      <button type="button" class="badge cite" title="Show in source${citation.partial ? " (matched part of the quote)" : ""}"
+        data-source="${escapeHtml(citation.source)}" data-segment="${citation.segment}"
+        data-start="${citation.start}" data-end="${citation.end}">${escapeHtml(where || "Source")}</button>
+    `;
+  } else if (citation) {
+    badge = `<span class="badge cite-unverified" title="This quote was not found in the extracted text; check it manually.">Unverified${where ? `: ${escapeHtml(where)}` : ""}</span>`;
+  } else if (where) {
+    badge = `<span class="badge">${escapeHtml(where)}</span>`;
+  }
+
+  return `
+    <div class="kp-top">${badge}</div>
+    <div class="quote">"${escapeHtml(quote)}"</div>
+  `;
+}
+
+function sourceSegmentId(sourceId, index) {
+  return `src-${sourceId.replace(":", "-")}-${index}`;
+}
+
+function renderSources(data) {
+  const sources = [
+    ["main", data?.sources?.main],
+    ...normalizeArray(data?.sources?.cross).map((src, i) => [`cross:${i}`, src])
+  ].filter(([, src]) => normalizeArray(src?.segments).length);
+
+  if (!sources.length) {
+    sourceViewEl.innerHTML = `<p class="subtle">No source text in response.</p>`;
+    return;
+  }
+
+  sourceViewEl.classList.remove("subtle");
+  sourceViewEl.innerHTML = sources.map(([id, src]) => `
+    <h4 class="source-file">${escapeHtml(src.file || (id === "main" ? "Main document" : "Cross document"))}</h4>
+    ${normalizeArray(src.segments).map((seg, i) => `
+      <div class="source-seg" id="${sourceSegmentId(id, i)}">
+        <div class="source-label">${escapeHtml(seg.label)}</div>
+        <pre class="doc">${escapeHtml(seg.text)}</pre>
+      </div>
+    `).join("")}
+  `).join("");
+}
+
+function showCitation({ source, segment, start, end }) {
+  const seg = normalizeArray(sourceFor(lastResult, source)?.segments)[Number(segment)];
+  const el = document.getElementById(sourceSegmentId(source, segment));
+  if (!seg || !el) return;
+
+  // Only one passage is highlighted at a time.
+  for (const active of sourceViewEl.querySelectorAll(".source-seg.active")) {
+    active.classList.remove("active");
+    active.querySelector("pre").textContent = active.querySelector("pre").textContent;
+  }
+
+  const s = Number(start);
+  const e = Number(end);
+  el.querySelector("pre").innerHTML =
+    `${escapeHtml(seg.text.slice(0, s))}<mark>${escapeHtml(seg.text.slice(s, e))}</mark>${escapeHtml(seg.text.slice(e))}`;
+  el.classList.add("active");
+
+  sourceDisclosure.open = true;
+  el.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+document.addEventListener("click", (e) => {
+  const badge = e.target.closest("button.cite");
+  if (badge) showCitation(badge.dataset);
+});
+
+// Template placeholders
+
+// Same placeholder shape the DOCX export highlights: [INSERT KYC DATA HERE], [Client name], ...
+const PLACEHOLDER_RE = /\[[^\[\]\n]{1,120}\]/g;
+const PLACEHOLDER_FILLER_WORDS = new Set(["insert", "here", "enter", "add", "fill", "your", "the", "and", "for", "with", "from", "this"]);
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+function keywords(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(w => (w.length > 2 || /\d/.test(w)) && !PLACEHOLDER_FILLER_WORDS.has(w));
+}
+
+// One field per distinct placeholder, in order of first appearance.
+function findPlaceholders(text) {
+  const seen = new Set();
+  return (text.match(PLACEHOLDER_RE) || []).filter((p) => {
+    if (!/\p{L}/u.test(p) || seen.has(p)) return false;
+    seen.add(p);
+    return true;
+  });
+}
+
+// The answered cross-reference finding whose question shares the most keywords with the
+// placeholder (at least half of them); ties go to the more confident answer.
+function matchCrossReference(placeholder, findings) {
+  const wanted = keywords(placeholder);
+  if (!wanted.length) return null;
+
+  let best = null;
+  for (const f of findings) {
+    if (!f?.answer) continue;
+    const have = new Set(keywords(f.question));
+    const score = wanted.filter(w => have.has(w)).length / wanted.length;
+    if (score < 0.5) continue;
+
+    const rank = CONFIDENCE_RANK[f.confidence] ?? 0;
+    if (!best || score > best.score || (score === best.score && rank > best.rank)) best = { finding: f, score, rank };
+  }
+  return best?.finding || null;
+}
+
+// One pass over the original text, so a filled-in value that looks like a placeholder is
+// never replaced again.
+function filledTemplateText() {
+  const values = new Map(templateFields.filter(f => f.value).map(f => [f.placeholder, f.value]));
+  return originalTemplateText.replace(PLACEHOLDER_RE, m => values.get(m) ?? m);
+}
+
+function renderTemplatePreview() {
+  const preview = templateBoxEl.querySelector(".template-preview");
+  if (!preview) return;
+
+  // Placeholders that are still open stay highlighted.
+  const text = filledTemplateText();
+  let html = "";
+  let last = 0;
+  for (const m of text.matchAll(PLACEHOLDER_RE)) {
+    html += `${escapeHtml(text.slice(last, m.index))}<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  preview.innerHTML = html + escapeHtml(text.slice(last));
+}
+
+function renderTemplateField(field, i) {
+  const suggestion = field.suggestion;
+  return `
+    <div class="template-field">
+      <label for="templateField${i}">${escapeHtml(field.placeholder)}</label>
+      <textarea id="templateField${i}" data-index="${i}" rows="2" placeholder="Leave empty to keep the placeholder">${escapeHtml(field.value)}</textarea>
+      ${
+        suggestion
+          ? `<div class="kp-top">
+              <span class="badge">From cross-reference</span>
+              <span class="badge">Confidence: ${escapeHtml(suggestion.confidence || "unknown")}</span>
+              <span class="todo-meta">${escapeHtml(suggestion.question || "")}</span>
+            </div>`
+          : ""
+      }
+    </div>
+  `;
+}
+
 function renderTemplate(data) {
   const tmpl = data?.response_template ?? "";
   templateBoxEl.classList.remove("subtle");
 
   originalTemplateText = tmpl || "";
   if (!tmpl) {
+    templateFields = [];
     templateBoxEl.innerHTML = `<p class="subtle">No template in response.</p>`;
     return;
   }
 
-  templateBoxEl.innerHTML = `<pre class="doc">${escapeHtml(tmpl)}</pre>`;
+  const findings = normalizeArray(data?.cross_reference);
+  templateFields = findPlaceholders(tmpl).map(placeholder => ({
+    placeholder,
+    value: "",
+    suggestion: matchCrossReference(placeholder, findings),
+    edited: false
+  }));
+
+  templateBoxEl.innerHTML = `
+    ${
+      templateFields.length
+        ? `<div class="template-fields">${templateFields.map(renderTemplateField).join("")}</div>`
+        : `<p class="subtle">No placeholders to fill.</p>`
+    }
+    <pre class="doc template-preview"></pre>
+  `;
+  applyTemplateFillPreference();
 }
 
+// With the toggle on, fields the user has not typed into take the matching cross-reference
+// answer; with it off they are cleared again.
 function applyTemplateFillPreference() {
   if (!lastResult || !originalTemplateText) return;
 
-  // For now, the backend already tries to use cross-reference data when it can.
-  // The toggle is a user hint/flag; we keep the content the same.
-  // You can extend this later to modify placeholders client-side.
-  templateBoxEl.innerHTML = `<pre class="doc">${escapeHtml(originalTemplateText)}</pre>`;
+  templateFields.forEach((field, i) => {
+    if (field.edited) return;
+    field.value = templateFillToggle.checked && field.suggestion ? field.suggestion.answer : "";
+    const input = templateBoxEl.querySelector(`textarea[data-index="${i}"]`);
+    if (input) input.value = field.value;
+  });
+  renderTemplatePreview();
 }
 
 templateFillToggle.addEventListener("change", () => {
   applyTemplateFillPreference();
 });
 
+templateBoxEl.addEventListener("input", (e) => {
+  const field = templateFields[Number(e.target.dataset?.index)];
+  if (!field) return;
+  field.value = e.target.value;
+  field.edited = true;
+  renderTemplatePreview();
+});
+
+// Schema violations (see /api/analyze 502 responses) are appended to the message.
+function describeErrorBody(j) {
+  const message = j?.error || j?.message || JSON.stringify(j);
+  const violations = normalizeArray(j?.violations);
+  if (!violations.length) return message;
+
+  const listed = violations.slice(0, 3).map(v => `${v.path}: ${v.message}`).join("; ");
+  const more = violations.length > 3 ? ` (+${violations.length - 3} more)` : "";
+  return `${message} ${listed}${more}`;
+}
+
 async function safeReadError(res) {
   const ct = res.headers.get("content-type") || "";
   if (ct.includes("application/json")) {
     const j = await res.json().catch(() => null);
-    return j?.error || j?.message || JSON.stringify(j);
+    return describeErrorBody(j);
   }
   return await res.text().catch(() => "Unknown error");
 }
@@ -257,13 +864,41 @@ function downloadBlob(content, filename, type) {
   URL.revokeObjectURL(url);
 }
 
+async function downloadDocx(kind, text) {
+  try {
+    const res = await apiFetch(EXPORT_DOCX_ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ kind, text, meta: lastResult?.meta || {} })
+    });
+
+    if (!res.ok) {
+      const details = await safeReadError(res);
+      setStatus(`Export failed (${res.status}). ${details || ""}`.trim(), "bad");
+      return;
+    }
+
+    const disposition = res.headers.get("content-disposition") || "";
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `${kind}.docx`;
+    const blob = await res.blob();
+    downloadBlob(blob, filename, blob.type);
+  } catch (err) {
+    setStatus(`Network error: ${err?.message || String(err)}`, "bad");
+  }
+}
+
 function exportTranslationDocx() {
   if (!lastResult || !lastResult.translated_text) {
     setStatus("No translated text to export.", "warn");
     return;
   }
-  const html = `<html><body><pre>${escapeHtml(lastResult.translated_text)}</pre></body></html>`;
-  downloadBlob(html, "translation.docx", "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
+  downloadDocx("translation", lastResult.translated_text);
+}
+
+function toCsv(rows) {
+  return rows
+    .map(r => r.map(v => `"${v}"`).join(","))
+    .join("\n");
 }
 
 function exportTodosCsv() {
@@ -272,25 +907,188 @@ function exportTodosCsv() {
     return;
   }
 
-  const rows = [["department", "task", "source_point"]];
-  for (const dept of DEPARTMENTS) {
+  const rows = [["department", "task", "source_point", "location", "quote", "quote_verified", "risk_score", "risk_level", "risk_category"]];
+  for (const dept of todoDepartments(lastResult)) {
     const items = normalizeArray(lastResult.todos_by_department[dept]);
     for (const item of items) {
       const task = item?.task ?? "";
       const source = item?.source_point ?? "";
+      const location = item?.citation?.label || item?.location || "";
+      const quote = item?.quote ?? "";
+      const risk = riskForSourcePoint(lastResult, source);
       rows.push([
-        dept,
+        dept.replaceAll('"', '""'),
         task.replaceAll('"', '""'),
-        source.replaceAll('"', '""')
+        source.replaceAll('"', '""'),
+        location.replaceAll('"', '""'),
+        quote.replaceAll('"', '""'),
+        item?.citation ? String(Boolean(item.citation.verified)) : "",
+        risk ? String(risk.score) : "",
+        risk?.level ?? "",
+        (risk?.category ?? "").replaceAll('"', '""')
       ]);
     }
   }
 
-  const csv = rows
-    .map(r => r.map(v => `"${v}"`).join(","))
-    .join("\n");
+  downloadBlob(toCsv(rows), "todos.csv", "text/csv;charset=utf-8;");
+}
+
+function exportBatchTodosCsv() {
+  if (!lastBatch || !lastBatch.todos_by_department) {
+    setStatus("No batch to-dos to export.", "warn");
+    return;
+  }
+
+  const rows = [["department", "document", "task", "source_point", "location", "quote", "risk_score", "risk_level", "risk_category"]];
+  for (const dept of todoDepartments(lastBatch)) {
+    for (const item of normalizeArray(lastBatch.todos_by_department[dept])) {
+      const docResult = normalizeArray(lastBatch.documents)[item?.document?.index]?.result;
+      const risk = riskForSourcePoint(docResult, item?.source_point);
+      rows.push([
+        dept,
+        item?.document?.file ?? "",
+        item?.task ?? "",
+        item?.source_point ?? "",
+        item?.citation?.label || item?.location || "",
+        item?.quote ?? "",
+        risk ? risk.score : "",
+        risk?.level ?? "",
+        risk?.category ?? ""
+      ].map(v => String(v).replaceAll('"', '""')));
+    }
+  }
+
+  downloadBlob(toCsv(rows), "batch-todos.csv", "text/csv;charset=utf-8;");
+}
+
+function exportRisksCsv() {
+  const rows = riskRows(lastResult).sort((a, b) => b.risk.score - a.risk.score);
+  if (!rows.length) {
+    setStatus("No risk assessment to export.", "warn");
+    return;
+  }
+
+  const out = [["risk_score", "risk_level", "likelihood", "impact", "risk_category", "department", "key_point", "rationale", "tags", "location", "quote", "quote_verified", "source_document"]];
+  for (const { kp, risk } of rows) {
+    out.push([
+      risk.score,
+      risk.level,
+      risk.likelihood,
+      risk.impact,
+      risk.category ?? "",
+      kp.department ?? "",
+      kp.point ?? "",
+      risk.rationale ?? "",
+      normalizeArray(kp.tags).join("; "),
+      kp.citation?.label || kp.location || "",
+      kp.quote ?? "",
+      kp.citation ? String(Boolean(kp.citation.verified)) : "",
+      lastResult?.meta?.source_filename ?? ""
+    ].map(v => String(v).replaceAll('"', '""')));
+  }
+
+  downloadBlob(toCsv(out), "risk-register.csv", "text/csv;charset=utf-8;");
+}
+
+function exportObligationsCsv() {
+  const items = sortedObligations(lastResult);
+  if (!items.length) {
+    setStatus("No obligations to export.", "warn");
+    return;
+  }
+
+  const rows = [["due_date", "due_date_basis", "due_text", "obligation", "legal_reference", "department", "recurrence", "severity", "location", "quote", "quote_verified", "source_document"]];
+  for (const ob of items) {
+    rows.push([
+      ob?.due_date_resolved ?? "",
+      ob?.due_date_basis ?? "",
+      ob?.due_text ?? "",
+      ob?.obligation ?? "",
+      ob?.legal_reference ?? "",
+      ob?.department ?? "",
+      ob?.recurrence ?? "",
+      ob?.severity ?? "",
+      ob?.citation?.label || ob?.location || "",
+      ob?.quote ?? "",
+      ob?.citation ? String(Boolean(ob.citation.verified)) : "",
+      lastResult?.meta?.source_filename ?? ""
+    ].map(v => String(v).replaceAll('"', '""')));
+  }
+
+  downloadBlob(toCsv(rows), "obligations.csv", "text/csv;charset=utf-8;");
+}
+
+const ICS_RRULES = {
+  daily: "FREQ=DAILY",
+  weekly: "FREQ=WEEKLY",
+  monthly: "FREQ=MONTHLY",
+  quarterly: "FREQ=MONTHLY;INTERVAL=3",
+  annually: "FREQ=YEARLY"
+};
+
+function icsText(value) {
+  return String(value ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Content lines longer than 75 octets are folded onto continuation lines starting with a space.
+function icsFold(line) {
+  const encoder = new TextEncoder();
+  const out = [];
+  let current = "";
+  for (const ch of line) {
+    if (encoder.encode(current + ch).length > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+function exportObligationsIcs() {
+  const items = sortedObligations(lastResult).filter(ob => ob?.due_date_resolved);
+  if (!items.length) {
+    setStatus("No obligations with a due date to export.", "warn");
+    return;
+  }
 
-  downloadBlob(csv, "todos.csv", "text/csv;charset=utf-8;");
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  const docId = lastResult?.meta?.history_id || stamp;
+  const source = lastResult?.meta?.source_filename || "document";
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Document Analyzer//Obligations//EN", "CALSCALE:GREGORIAN"];
+
+  items.forEach((ob, i) => {
+    const day = ob.due_date_resolved.replaceAll("-", "");
+    const next = new Date(`${ob.due_date_resolved}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    const description = [
+      ob.obligation,
+      ob.legal_reference ? `Legal basis: ${ob.legal_reference}` : "",
+      `Department: ${ob.department || "Unassigned"}`,
+      `Severity: ${ob.severity || ""}`,
+      ob.due_text ? `Deadline as written: ${ob.due_text}` : "",
+      `Source: ${source}${ob.citation?.label ? ` (${ob.citation.label})` : ""}`
+    ].filter(Boolean).join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${docId}-${i + 1}@document-analyzer`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${day}`,
+      `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replaceAll("-", "")}`,
+      `SUMMARY:${icsText(`[${ob.severity || "obligation"}] ${ob.obligation || ""}`.slice(0, 200))}`,
+      `DESCRIPTION:${icsText(description)}`,
+      `CATEGORIES:${icsText(ob.department || "Unassigned")}`,
+      ...(ICS_RRULES[ob.recurrence] ? [`RRULE:${ICS_RRULES[ob.recurrence]}`] : []),
+      "END:VEVENT"
+    );
+  });
+  lines.push("END:VCALENDAR");
+
+  downloadBlob(lines.map(icsFold).join("\r\n") + "\r\n", "obligations.ics", "text/calendar;charset=utf-8");
+  const undated = normalizeArray(lastResult?.obligations).length - items.length;
+  if (undated) setStatus(`Exported ${items.length} obligation(s) to the calendar; ${undated} without a due date were left out.`, "info");
 }
 
 function exportTemplateDocx() {
@@ -298,79 +1096,984 @@ function exportTemplateDocx() {
     setStatus("No template to export.", "warn");
     return;
   }
-  const html = `<html><body><pre>${escapeHtml(originalTemplateText)}</pre></body></html>`;
-  downloadBlob(html, "response-template.docx", "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
+  downloadDocx("template", filledTemplateText());
 }
 
 exportTranslationBtn.addEventListener("click", exportTranslationDocx);
 exportTodosBtn.addEventListener("click", exportTodosCsv);
+exportObligationsCsvBtn.addEventListener("click", exportObligationsCsv);
+exportRisksBtn.addEventListener("click", exportRisksCsv);
+exportObligationsIcsBtn.addEventListener("click", exportObligationsIcs);
 exportTemplateBtn.addEventListener("click", exportTemplateDocx);
+exportBatchTodosBtn.addEventListener("click", exportBatchTodosCsv);
 
-form.addEventListener("submit", async (e) => {
-  e.preventDefault();
+// Custom outputs have no renderer of their own: their values are laid out from their JSON
+// schema. Objects become labelled fields, lists of objects a table, other lists bullet
+// points, and enum values badges.
 
-  const file = fileInput.files?.[0];
-  if (!file) {
-    setStatus("Choose a PDF or DOCX file first.", "warn");
-    return;
+function fieldLabel(key, schema) {
+  if (schema?.title) return schema.title;
+  const words = String(key).replaceAll("_", " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function renderSchemaValue(schema, value) {
+  if (value === undefined || value === null || value === "") return `<span class="subtle">None</span>`;
+
+  if (Array.isArray(value)) {
+    if (!value.length) return `<span class="subtle">None</span>`;
+    const items = schema?.items || {};
+    const columns = Object.entries(items.properties || {});
+    if (columns.length && value.every(isPlainObject)) {
+      return `
+        <div class="table-wrap">
+          <table class="register">
+            <thead>
+              <tr>${columns.map(([key, prop]) => `<th>${escapeHtml(fieldLabel(key, prop))}</th>`).join("")}</tr>
+            </thead>
+            <tbody>
+              ${value.map(row => `<tr>${columns.map(([key, prop]) => `<td>${renderSchemaValue(prop, row[key])}</td>`).join("")}</tr>`).join("")}
+            </tbody>
+          </table>
+        </div>
+      `;
+    }
+    return `<ul>${value.map(v => `<li>${renderSchemaValue(items, v)}</li>`).join("")}</ul>`;
   }
 
-  const outputs = getSelectedOutputs();
-  if (outputs.length < 1) {
-    setStatus("Choose at least one output.", "warn");
+  if (isPlainObject(value)) {
+    const props = schema?.properties || {};
+    const keys = [...Object.keys(props).filter(k => k in value), ...Object.keys(value).filter(k => !(k in props))];
+    return keys.map(k => `<div><strong>${escapeHtml(fieldLabel(k, props[k]))}:</strong> ${renderSchemaValue(props[k], value[k])}</div>`).join("");
+  }
+
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (Array.isArray(schema?.enum)) return `<span class="badge">${escapeHtml(value)}</span>`;
+  return `<span class="custom-text">${escapeHtml(value)}</span>`;
+}
+
+// While a job runs, outputs not streamed yet show as waiting rather than missing.
+function renderCustomOutputs(data, outputs, { pending = false } = {}) {
+  const defs = customOutputsFor(data).filter(o => outputs.includes(o.key));
+  customOutputsEl.classList.remove("subtle");
+  if (!defs.length) {
+    customOutputsEl.innerHTML = `<p class="subtle">Not requested.</p>`;
     return;
   }
 
-  const wantsCrossRef = outputs.includes("cross_reference") || outputs.includes("generate_template");
+  customOutputsBlock.hidden = false;
+  customOutputsEl.innerHTML = defs.map((def) => {
+    const body = data && def.key in data
+      ? renderSchemaValue(def.schema, data[def.key])
+      : `<span class="subtle">${pending ? "Waiting for results..." : "Not in response."}</span>`;
+    return `
+      <div class="kp">
+        <div class="kp-top"><strong>${escapeHtml(def.label)}</strong></div>
+        <div>${body}</div>
+      </div>
+    `;
+  }).join("");
+}
 
-  analyzeBtn.disabled = true;
-  resetResults();
-  setStatus("Uploading and analyzing...", "info");
+// Output checkbox value -> result key, panel and renderer
+const OUTPUT_SECTIONS = {
+  translation: { key: "translated_text", el: translatedDocEl, render: renderTranslatedDoc },
+  summary: { key: "summary", el: summaryEl, render: renderSummary },
+  key_points: { key: "key_points", el: keyPointsEl, render: renderKeyPoints },
+  risk_assessment: { key: "key_points", el: riskEl, render: renderRiskRegister },
+  todos: { key: "todos_by_department", el: todosEl, render: renderTodos },
+  obligations: { key: "obligations", el: obligationsEl, render: renderObligations },
+  cross_reference: { key: "cross_reference", el: crossRefEl, render: renderCrossReference },
+  compare: { key: "version_changes", el: compareEl, render: renderCompare },
+  generate_template: { key: "response_template", el: templateBoxEl, render: renderTemplate }
+};
+
+function renderPending(outputs) {
+  for (const [output, section] of Object.entries(OUTPUT_SECTIONS)) {
+    section.el.innerHTML = outputs.includes(output)
+      ? `<p class="subtle">Waiting for results...</p>`
+      : `<p class="subtle">Not requested.</p>`;
+  }
+  renderCustomOutputs({}, outputs, { pending: true });
+}
 
-  try {
-    const fd = new FormData();
-    fd.append("file", file);
-    fd.append("targetLanguage", translateTo.value);
-    outputs.forEach(o => fd.append("outputs", o));
+// Several panels can show the same key (key points feed the risk register too); only the
+// panels of requested outputs are rendered.
+function renderSection(key, data, outputs) {
+  for (const [output, section] of Object.entries(OUTPUT_SECTIONS)) {
+    if (section.key === key && outputs.includes(output)) section.render(data);
+  }
+  if (outputs.includes(key) && customOutputsFor(data).some(o => o.key === key)) {
+    renderCustomOutputs(data, outputs, { pending: true });
+  }
+}
 
-    if (wantsCrossRef) {
-      const crossFiles = [...(crossFilesInput?.files || [])];
-      crossFiles.forEach(f => fd.append("crossFiles", f));
-    }
+function renderResult(data, outputs) {
+  for (const [output, section] of Object.entries(OUTPUT_SECTIONS)) {
+    if (outputs.includes(output)) section.render(data);
+    else section.el.innerHTML = `<p class="subtle">Not requested.</p>`;
+  }
+  renderCustomOutputs(data, outputs);
+  renderSources(data);
+}
 
-    const res = await fetch(ENDPOINT, { method: "POST", body: fd });
+function describeProgress(job) {
+  if (job.status === "queued") {
+    return job.position ? `Queued (position ${job.position})...` : "Queued...";
+  }
 
-    if (!res.ok) {
-      const details = await safeReadError(res);
-      setStatus(`Request failed (${res.status}). ${details || ""}`.trim(), "bad");
-      return;
+  const p = job.progress || {};
+  switch (p.stage) {
+    case "upload_received":
+      return "Extracting text...";
+    case "cache_hit":
+      return "Found a cached result...";
+    case "text_extracted": {
+      const cross = p.cross_documents
+        ? ` + ${p.cross_chars.toLocaleString()} from ${p.cross_documents} cross document(s)`
+        : "";
+      const ocr = p.ocr_pages ? ` ${p.ocr_pages} scanned page(s) read with OCR.` : "";
+      const changes = p.version_changes != null ? ` ${p.version_changes} change(s) from the previous version.` : "";
+      const redacted = p.redacted ? ` ${p.redacted} personal data item(s) replaced with tokens before sending.` : "";
+      return `Extracted ${p.main_chars.toLocaleString()} characters${cross}.${changes}${ocr}${redacted}`;
     }
+    case "model_started":
+      if (p.chunks > 1) {
+        return `Analyzing in ${p.chunks} parts with ${p.model}... (${p.chunks_done || 0}/${p.chunks} done)`;
+      }
+      return `Analyzing with ${p.model}...`;
+    case "combining_parts":
+      return "Combining parts...";
+    case "repairing":
+      return `The model's output did not match the expected format; asking for a corrected version (attempt ${p.attempt})...`;
+    default:
+      return "Running...";
+  }
+}
+
+const LOW_OCR_CONFIDENCE = 70;
+
+function describeOcr(meta) {
+  const entries = normalizeArray(meta?.ocr);
+  if (!entries.length) return { message: "", lowConfidence: false };
+
+  const used = entries.filter(o => !o.error).map((o) => {
+    const pages = normalizeArray(o.pages).map(p => p.page).join(", ");
+    return `page(s) ${pages} of ${o.file || "document"} (avg. confidence ${o.average_confidence}%)`;
+  });
+  const failed = entries.filter(o => o.error).map((o) => {
+    return `page(s) ${normalizeArray(o.failed_pages).join(", ")} of ${o.file || "document"}`;
+  });
+  return {
+    message: (used.length ? ` OCR was used for ${used.join("; ")}.` : "")
+      + (failed.length ? ` OCR failed for ${failed.join("; ")}, so their text may be missing.` : ""),
+    lowConfidence: failed.length > 0 || entries.some(o => (o.average_confidence ?? 100) < LOW_OCR_CONFIDENCE)
+  };
+}
+
+function describeCache(meta) {
+  if (!meta?.cache?.hit) return "";
+  const when = meta.cache.cached_at ? ` on ${new Date(meta.cache.cached_at).toLocaleString()}` : "";
+  return ` Served from cache: this document was already analyzed with the same options${when}. Tick "Re-analyze" for a fresh result.`;
+}
 
-    const data = await res.json();
-    lastResult = data;
+// The model saw tokens instead of these; the result shows the original values again.
+function describeRedaction(meta) {
+  const byType = Object.entries(meta?.redaction?.by_type || {});
+  const possibleNames = meta?.redaction?.possible_names?.length || 0;
+  const redacted = byType.length
+    ? ` Personal data was redacted before sending (${byType.map(([type, n]) => `${n} ${type.toLowerCase().replaceAll("_", " ")}`).join(", ")}) and restored in this result.`
+    : "";
+  const unsure = possibleNames
+    ? ` ${possibleNames} capitalised phrase(s) that may be names were sent unredacted: names are only detected after a title or label, or when listed in the redaction terms.`
+    : "";
+  return redacted + unsure;
+}
 
-    setStatus("Done.", "good");
+function describeUsage(meta) {
+  const usage = meta?.usage;
+  if (!usage?.requests) return "";
 
-    if (outputs.includes("translation")) renderTranslatedDoc(data);
-    else translatedDocEl.innerHTML = `<p class="subtle">Not requested.</p>`;
+  const tokens = `${usage.input_tokens.toLocaleString()} input + ${usage.output_tokens.toLocaleString()} output tokens`;
+  const cost = usage.cost
+    ? `, est. ${usage.cost.total.toLocaleString(undefined, { style: "currency", currency: usage.cost.currency, maximumFractionDigits: 4 })}`
+    : "";
+  return ` ${tokens} in ${usage.requests} request(s)${cost}.`;
+}
 
-    if (outputs.includes("summary")) renderSummary(data);
-    else summaryEl.innerHTML = `<p class="subtle">Not requested.</p>`;
+function loadActiveJob() {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
 
-    if (outputs.includes("key_points")) renderKeyPoints(data);
-    else keyPointsEl.innerHTML = `<p class="subtle">Not requested.</p>`;
+function saveActiveJob(job) {
+  if (job) localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(job));
+  else localStorage.removeItem(ACTIVE_JOB_KEY);
+}
 
-    if (outputs.includes("todos")) renderTodos(data);
-    else todosEl.innerHTML = `<p class="subtle">Not requested.</p>`;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-    if (outputs.includes("cross_reference")) renderCrossReference(data);
-    else crossRefEl.innerHTML = `<p class="subtle">Not requested.</p>`;
+// fetch for the signed-in API: a 401 means the session is gone, so show the sign-in form.
+async function apiFetch(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 401) showLogin("Your session has ended. Please sign in again.");
+  return res;
+}
 
-    if (outputs.includes("generate_template")) renderTemplate(data);
-    else templateBoxEl.innerHTML = `<p class="subtle">Not requested.</p>`;
-  } catch (err) {
-    setStatus(`Network error: ${err?.message || String(err)}`, "bad");
-  } finally {
-    updateAnalyzeEnabled(false);
-  }
-});
+async function fetchJson(url) {
+  const res = await apiFetch(url);
+  const body = res.headers.get("content-type")?.includes("application/json") ? await res.json() : null;
+  return { res, body };
+}
+
+async function pollJob(jobId, outputs) {
+  const rendered = new Set();
+
+  for (;;) {
+    let status;
+    try {
+      const { res, body } = await fetchJson(`${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`);
+      if (res.status === 401) return;
+      if (res.status === 404) {
+        saveActiveJob(null);
+        setStatus("The analysis job has expired or the server was restarted.", "bad");
+        return;
+      }
+      if (!res.ok) throw new Error(body?.error || `HTTP ${res.status}`);
+      status = body;
+    } catch (err) {
+      setStatus(`Connection lost (${err?.message || String(err)}). Retrying...`, "warn");
+      await sleep(POLL_INTERVAL_MS * 2);
+      continue;
+    }
+
+    if (status.status === "done" || status.status === "failed") {
+      const { res, body } = await fetchJson(`${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}/result`);
+      saveActiveJob(null);
+
+      if (!res.ok) {
+        setStatus(`Request failed (${res.status}). ${body ? describeErrorBody(body) : ""}`.trim(), "bad");
+        return;
+      }
+
+      lastResult = body;
+      renderResult(body, outputs);
+
+      const chunks = body?.meta?.chunks || 1;
+      const done = chunks > 1 ? `Done. Long document analyzed in ${chunks} parts.` : "Done.";
+      const ocr = describeOcr(body?.meta);
+      const unsure = ocr.lowConfidence || body?.meta?.redaction?.possible_names?.length > 0;
+      setStatus(`${done}${describeCache(body?.meta)}${describeUsage(body?.meta)}${describeRedaction(body?.meta)}${ocr.message}`, unsure ? "warn" : "good");
+      return;
+    }
+
+    setStatus(describeProgress(status), "info");
+
+    // Sections retracted by a repair go back to waiting until the corrected ones arrive.
+    const done = status.sections_done || [];
+    if ([...rendered].some(k => !done.includes(k))) {
+      renderPending(outputs);
+      rendered.clear();
+    }
+
+    const fresh = done.filter(k => !rendered.has(k));
+    if (fresh.length) {
+      const { res, body } = await fetchJson(`${JOBS_ENDPOINT}/${encodeURIComponent(jobId)}/result`).catch(() => ({ res: {} }));
+      if (res.status === 202 && body?.partial) {
+        lastResult = { ...body.partial };
+        for (const key of fresh) {
+          if (key in body.partial) {
+            renderSection(key, body.partial, outputs);
+            rendered.add(key);
+          }
+        }
+      }
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+async function runJob(jobId, outputs, batch = false) {
+  analyzeBtn.disabled = true;
+  try {
+    if (batch) await pollBatch(jobId);
+    else await pollJob(jobId, outputs);
+  } finally {
+    updateAnalyzeEnabled(false);
+    loadHistory();
+    loadTodoBoard();
+  }
+}
+
+// Batches
+
+function isBatchUpload(files) {
+  return files.length > 1 || /\.zip$/i.test(files[0]?.name || "");
+}
+
+function describeBatchProgress(batch) {
+  if (batch.status === "queued") {
+    return batch.position ? `Batch queued (position ${batch.position})...` : "Batch queued...";
+  }
+
+  const p = batch.progress || {};
+  if (!p.documents) return "Starting batch...";
+  const failed = p.failed ? ` (${p.failed} failed)` : "";
+  return `Analyzing batch: ${p.done + p.failed} of ${p.documents} document(s) finished${failed}...`;
+}
+
+function renderBatchDocument(doc) {
+  const detail = doc.status === "done"
+    ? escapeHtml(doc.result?.summary ? doc.result.summary.slice(0, 160) + (doc.result.summary.length > 160 ? "..." : "") : "Analyzed.")
+    : `Failed: ${escapeHtml(describeErrorBody(doc.error))}`;
+
+  return `
+    <div class="history-item${doc.status === "failed" ? " failed" : ""}" data-history-id="${escapeHtml(doc.history_id || "")}">
+      <div>
+        <div><strong>${escapeHtml(doc.file || `Document ${doc.index + 1}`)}</strong>${doc.result?.meta?.cache?.hit ? ` <span class="subtle">(cached)</span>` : ""}</div>
+        <div class="todo-meta">${detail}</div>
+      </div>
+      <div class="history-actions">
+        ${doc.history_id ? `<button type="button" class="btn-export" data-action="open">Open</button>` : ""}
+      </div>
+    </div>
+  `;
+}
+
+function renderBatchTodos(data) {
+  const byDept = data?.todos_by_department || {};
+  const depts = todoDepartments(data).filter(d => normalizeArray(byDept[d]).length);
+  batchTodosEl.classList.toggle("subtle", !depts.length);
+
+  if (!depts.length) {
+    batchTodosEl.innerHTML = `<p class="subtle">No to-dos in this batch.</p>`;
+    return;
+  }
+
+  batchTodosEl.innerHTML = depts.map((dept) => {
+    const items = normalizeArray(byDept[dept]);
+    return `
+      <div class="todo-dept">
+        <strong title="${escapeHtml(departmentTitle(dept))}">${escapeHtml(dept)} <span class="subtle">(${items.length})</span></strong>
+        <div style="margin-top:8px;">
+          ${items.map(item => `
+            <div class="todo-item">
+              <div>${escapeHtml(item?.task ?? "")}</div>
+              <div class="todo-meta">Document: ${escapeHtml(item?.document?.file || "unknown")}${item?.source_point ? ` · Source: ${escapeHtml(item.source_point)}` : ""}</div>
+            </div>
+          `).join("")}
+        </div>
+      </div>
+    `;
+  }).join("");
+}
+
+function renderBatch(data) {
+  lastBatch = data;
+  batchCard.hidden = false;
+  batchDocsEl.classList.remove("subtle");
+
+  const skipped = normalizeArray(data?.skipped);
+  batchDocsEl.innerHTML = normalizeArray(data?.documents).map(renderBatchDocument).join("") + (skipped.length
+    ? `<p class="hint">Skipped: ${skipped.map(s => `${escapeHtml(s.file || "file")} (${escapeHtml(s.reason)})`).join(", ")}</p>`
+    : "");
+
+  renderBatchTodos(data);
+}
+
+async function pollBatch(batchId) {
+  batchCard.hidden = false;
+
+  for (;;) {
+    let status;
+    try {
+      const { res, body } = await fetchJson(`${BATCHES_ENDPOINT}/${encodeURIComponent(batchId)}`);
+      if (res.status === 401) return;
+      if (res.status === 404) {
+        saveActiveJob(null);
+        setStatus("The batch has expired or the server was restarted.", "bad");
+        return;
+      }
+      if (!res.ok) throw new Error(body?.error || `HTTP ${res.status}`);
+      status = body;
+    } catch (err) {
+      setStatus(`Connection lost (${err?.message || String(err)}). Retrying...`, "warn");
+      await sleep(POLL_INTERVAL_MS * 2);
+      continue;
+    }
+
+    if (status.status === "done" || status.status === "failed") {
+      const { res, body } = await fetchJson(`${BATCHES_ENDPOINT}/${encodeURIComponent(batchId)}/result`);
+      saveActiveJob(null);
+
+      if (!res.ok) {
+        setStatus(`Batch failed (${res.status}). ${body ? describeErrorBody(body) : ""}`.trim(), "bad");
+        return;
+      }
+
+      renderBatch(body);
+      const { documents, done, failed } = body.meta || {};
+      const failedNote = failed ? ` ${failed} failed; see the list below.` : "";
+      setStatus(`Batch done: ${done} of ${documents} document(s) analyzed.${failedNote}${describeUsage(body.meta)}`, failed ? "warn" : "good");
+      return;
+    }
+
+    setStatus(describeBatchProgress(status), "info");
+    batchDocsEl.textContent = `${normalizeArray(status.files).length} document(s) in this batch.`;
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+batchDocsEl.addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-action='open']");
+  const item = e.target.closest(".history-item");
+  if (button && item?.dataset.historyId) openHistoryEntry(item.dataset.historyId);
+});
+
+// History
+
+function renderHistoryItem(entry) {
+  const when = entry.created_at ? new Date(entry.created_at).toLocaleString() : "";
+  const name = entry.files?.main?.name || "Untitled document";
+  const crossCount = normalizeArray(entry.files?.cross).length;
+  const active = lastResult?.meta?.history_id === entry.id;
+
+  return `
+    <div class="history-item${active ? " active" : ""}" data-id="${escapeHtml(entry.id)}">
+      <div>
+        <div><strong>${escapeHtml(name)}</strong>${crossCount ? ` <span class="subtle">+ ${crossCount} cross document(s)</span>` : ""}</div>
+        <div class="todo-meta">
+          ${escapeHtml(when)} · ${escapeHtml(entry.target_language || "")} · ${escapeHtml(normalizeArray(entry.outputs).join(", "))} · ${escapeHtml(entry.model || "")}
+        </div>
+      </div>
+      <div class="history-actions">
+        <button type="button" class="btn-export" data-action="open">Open</button>
+        <button type="button" class="btn-export" data-action="delete">Delete</button>
+      </div>
+    </div>
+  `;
+}
+
+async function loadHistory() {
+  try {
+    const res = await apiFetch(`${HISTORY_ENDPOINT}?limit=50`);
+    if (!res.ok) {
+      historyListEl.innerHTML = `<p class="subtle">Could not load history (${res.status}).</p>`;
+      return;
+    }
+
+    const { items } = await res.json();
+    historyListEl.classList.toggle("subtle", !items.length);
+    historyListEl.innerHTML = items.length
+      ? items.map(renderHistoryItem).join("")
+      : "No saved analyses yet.";
+  } catch (err) {
+    historyListEl.innerHTML = `<p class="subtle">Could not load history: ${escapeHtml(err?.message || String(err))}</p>`;
+  }
+}
+
+async function openHistoryEntry(id) {
+  try {
+    const res = await apiFetch(`${HISTORY_ENDPOINT}/${encodeURIComponent(id)}`);
+    if (!res.ok) {
+      const details = await safeReadError(res);
+      setStatus(`Could not open saved analysis (${res.status}). ${details || ""}`.trim(), "bad");
+      return;
+    }
+
+    const record = await res.json();
+    resetResults();
+    lastResult = record.result;
+    renderResult(record.result, normalizeArray(record.outputs));
+    setStatus(`Showing saved analysis of ${record.files?.main?.name || "document"} from ${new Date(record.created_at).toLocaleString()}.${describeUsage(record.result?.meta)}`, "info");
+    loadHistory();
+  } catch (err) {
+    setStatus(`Network error: ${err?.message || String(err)}`, "bad");
+  }
+}
+
+async function deleteHistoryEntry(id) {
+  if (!confirm("Delete this saved analysis?")) return;
+  try {
+    const res = await apiFetch(`${HISTORY_ENDPOINT}/${encodeURIComponent(id)}`, { method: "DELETE" });
+    if (!res.ok && res.status !== 404) {
+      const details = await safeReadError(res);
+      setStatus(`Could not delete saved analysis (${res.status}). ${details || ""}`.trim(), "bad");
+    }
+  } catch (err) {
+    setStatus(`Network error: ${err?.message || String(err)}`, "bad");
+  }
+  loadHistory();
+}
+
+historyListEl.addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-action]");
+  const item = e.target.closest(".history-item");
+  if (!button || !item) return;
+
+  if (button.dataset.action === "open") openHistoryEntry(item.dataset.id);
+  if (button.dataset.action === "delete") deleteHistoryEntry(item.dataset.id);
+});
+
+historyRefreshBtn.addEventListener("click", loadHistory);
+
+// To-do board
+
+const TODO_STATUS_LABELS = { open: "Open", in_progress: "In progress", done: "Done", wont_do: "Won't do" };
+
+let boardItems = [];
+
+function fillTodoDeptFilter() {
+  const current = todoDeptFilter.value;
+  todoDeptFilter.innerHTML = `<option value="">All departments</option>${DEPARTMENTS.map(d => `<option value="${escapeHtml(d.name)}">${escapeHtml(d.name)}</option>`).join("")}`;
+  todoDeptFilter.value = current;
+}
+
+function isOverdue(item) {
+  return Boolean(item.due_date) && !["done", "wont_do"].includes(item.status) && item.due_date < new Date().toISOString().slice(0, 10);
+}
+
+function renderTodoComment(comment) {
+  const when = comment.created_at ? new Date(comment.created_at).toLocaleString() : "";
+  return `
+    <div class="board-comment">
+      <div>${escapeHtml(comment.text)}</div>
+      <div class="todo-meta">${escapeHtml([comment.author?.username, when].filter(Boolean).join(" · "))}</div>
+    </div>
+  `;
+}
+
+function renderBoardTodo(item, openComments) {
+  const comments = normalizeArray(item.comments);
+  const statusOptions = Object.entries(TODO_STATUS_LABELS)
+    .map(([value, label]) => `<option value="${value}"${item.status === value ? " selected" : ""}>${escapeHtml(label)}</option>`)
+    .join("");
+
+  return `
+    <div class="board-todo${isOverdue(item) ? " overdue" : ""}" data-id="${escapeHtml(item.id)}" data-analysis-id="${escapeHtml(item.analysis_id)}">
+      <div>${escapeHtml(item.task)}</div>
+      <div class="todo-meta">${escapeHtml(item.department)} · ${escapeHtml(item.file || "Untitled document")}</div>
+      ${item.source_point ? `<div class="todo-meta">Source: ${escapeHtml(item.source_point)}</div>` : ""}
+      <div class="board-fields">
+        <select data-field="status" aria-label="Status">${statusOptions}</select>
+        <input type="text" data-field="owner" placeholder="Owner" maxlength="100" value="${escapeHtml(item.owner || "")}" aria-label="Owner" />
+        <input type="date" data-field="due_date" value="${escapeHtml(item.due_date || "")}" aria-label="Due date" />
+      </div>
+      <details class="board-comments"${openComments ? " open" : ""}>
+        <summary class="todo-meta">Comments (${comments.length})</summary>
+        ${comments.map(renderTodoComment).join("")}
+        <form class="board-comment-form">
+          <input type="text" name="text" placeholder="Add a comment" maxlength="2000" />
+          <button type="submit" class="btn-export">Add</button>
+        </form>
+      </details>
+      <div class="history-actions">
+        <button type="button" class="btn-export" data-action="open-analysis">Open analysis</button>
+      </div>
+    </div>
+  `;
+}
+
+// Board: one column per status (only the filtered one, if any). List: one column by due date.
+function renderTodoBoard(openCommentsFor = null) {
+  todoBoardEl.classList.toggle("subtle", !boardItems.length);
+  if (!boardItems.length) {
+    todoBoardEl.textContent = todoDeptFilter.value || todoStatusFilter.value ? "No to-dos match these filters." : "No tracked to-dos yet.";
+    return;
+  }
+
+  const render = item => renderBoardTodo(item, item.id === openCommentsFor);
+  if (todoViewSelect.value === "list") {
+    todoBoardEl.innerHTML = `<div class="board-list">${boardItems.map(render).join("")}</div>`;
+    return;
+  }
+
+  const statuses = todoStatusFilter.value ? [todoStatusFilter.value] : Object.keys(TODO_STATUS_LABELS);
+  todoBoardEl.innerHTML = `
+    <div class="board">
+      ${statuses.map((status) => {
+        const items = boardItems.filter(t => t.status === status);
+        return `
+          <div class="board-column">
+            <strong>${escapeHtml(TODO_STATUS_LABELS[status])} <span class="subtle">${items.length}</span></strong>
+            ${items.map(render).join("")}
+          </div>
+        `;
+      }).join("")}
+    </div>
+  `;
+}
+
+async function loadTodoBoard() {
+  const params = new URLSearchParams();
+  if (todoDeptFilter.value) params.set("department", todoDeptFilter.value);
+  if (todoStatusFilter.value) params.set("status", todoStatusFilter.value);
+
+  try {
+    const res = await apiFetch(`${TODOS_ENDPOINT}?${params}`);
+    if (!res.ok) {
+      todoBoardEl.innerHTML = `<p class="subtle">Could not load to-dos (${res.status}).</p>`;
+      return;
+    }
+    boardItems = normalizeArray((await res.json()).items);
+    renderTodoBoard();
+  } catch (err) {
+    todoBoardEl.innerHTML = `<p class="subtle">Could not load to-dos: ${escapeHtml(err?.message || String(err))}</p>`;
+  }
+}
+
+async function updateTodo(id, changes) {
+  try {
+    const res = await apiFetch(`${TODOS_ENDPOINT}/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(changes)
+    });
+    if (!res.ok) {
+      const details = await safeReadError(res);
+      setStatus(`Could not update to-do (${res.status}). ${details || ""}`.trim(), "bad");
+      loadTodoBoard();
+      return;
+    }
+
+    const updated = await res.json();
+    boardItems = boardItems.map(t => t.id === id ? updated : t);
+    // A new status moves the card to another column; a new due date may change "overdue".
+    if ("status" in changes || "due_date" in changes) renderTodoBoard();
+  } catch (err) {
+    setStatus(`Network error: ${err?.message || String(err)}`, "bad");
+  }
+}
+
+async function addTodoComment(id, text) {
+  try {
+    const res = await apiFetch(`${TODOS_ENDPOINT}/${encodeURIComponent(id)}/comments`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text })
+    });
+    if (!res.ok) {
+      const details = await safeReadError(res);
+      setStatus(`Could not add comment (${res.status}). ${details || ""}`.trim(), "bad");
+      return;
+    }
+
+    const comment = await res.json();
+    const item = boardItems.find(t => t.id === id);
+    if (item) item.comments = [...normalizeArray(item.comments), comment];
+    renderTodoBoard(id);
+  } catch (err) {
+    setStatus(`Network error: ${err?.message || String(err)}`, "bad");
+  }
+}
+
+todoBoardEl.addEventListener("change", (e) => {
+  const field = e.target.dataset?.field;
+  const card = e.target.closest(".board-todo");
+  if (!field || !card) return;
+  updateTodo(card.dataset.id, { [field]: e.target.value || null });
+});
+
+todoBoardEl.addEventListener("submit", (e) => {
+  const commentForm = e.target.closest(".board-comment-form");
+  const card = e.target.closest(".board-todo");
+  if (!commentForm || !card) return;
+  e.preventDefault();
+
+  const text = commentForm.elements.text.value.trim();
+  if (text) addTodoComment(card.dataset.id, text);
+});
+
+todoBoardEl.addEventListener("click", async (e) => {
+  const button = e.target.closest("button[data-action='open-analysis']");
+  const card = e.target.closest(".board-todo");
+  if (!button || !card) return;
+
+  await openHistoryEntry(card.dataset.analysisId);
+  if (lastResult?.meta?.history_id === card.dataset.analysisId) todosEl.scrollIntoView({ behavior: "smooth", block: "start" });
+});
+
+todoDeptFilter.addEventListener("change", loadTodoBoard);
+todoStatusFilter.addEventListener("change", loadTodoBoard);
+todoViewSelect.addEventListener("change", () => renderTodoBoard());
+todoBoardRefreshBtn.addEventListener("click", loadTodoBoard);
+
+form.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const files = [...(fileInput.files || [])];
+  if (!files.length) {
+    setStatus("Choose a document first.", "warn");
+    return;
+  }
+  const batch = isBatchUpload(files);
+
+  const outputs = getSelectedOutputs();
+  if (outputs.length < 1) {
+    setStatus("Choose at least one output.", "warn");
+    return;
+  }
+
+  const wantsCrossRef = outputs.includes("cross_reference") || outputs.includes("generate_template");
+  const baselineFile = baselineFileInput.files?.[0];
+  if (batch && outputs.includes("compare")) {
+    setStatus("Compare works on one document at a time; upload the revised document on its own.", "warn");
+    return;
+  }
+  if (outputs.includes("compare") && !baselineFile) {
+    setStatus("Choose the previous version of the document to compare against.", "warn");
+    return;
+  }
+
+  analyzeBtn.disabled = true;
+  resetResults();
+  resetBatch();
+  if (!batch) renderPending(outputs);
+  setStatus("Uploading...", "info");
+
+  let job;
+  try {
+    const fd = new FormData();
+    files.forEach(f => fd.append("file", f));
+    fd.append("targetLanguage", translateTo.value);
+    outputs.forEach(o => fd.append("outputs", o));
+    if (forceReanalyzeInput.checked) fd.append("force", "true");
+
+    if (wantsCrossRef) {
+      const crossFiles = [...(crossFilesInput?.files || [])];
+      crossFiles.forEach(f => fd.append("crossFiles", f));
+    }
+    if (outputs.includes("compare")) fd.append("baselineFile", baselineFile);
+
+    const res = await apiFetch(batch ? BATCHES_ENDPOINT : JOBS_ENDPOINT, { method: "POST", body: fd });
+
+    if (!res.ok) {
+      const details = await safeReadError(res);
+      setStatus(`Request failed (${res.status}). ${details || ""}`.trim(), "bad");
+      updateAnalyzeEnabled(false);
+      return;
+    }
+
+    job = await res.json();
+  } catch (err) {
+    setStatus(`Network error: ${err?.message || String(err)}`, "bad");
+    updateAnalyzeEnabled(false);
+    return;
+  }
+
+  saveActiveJob({ id: job.id, outputs, batch });
+  await runJob(job.id, outputs, batch);
+});
+
+// Resume a job that was still running when the page was closed or reloaded.
+function resumeActiveJob() {
+  const pendingJob = loadActiveJob();
+  if (!pendingJob?.id) return;
+
+  const outputs = normalizeArray(pendingJob.outputs);
+  if (!pendingJob.batch) renderPending(outputs);
+  setStatus(pendingJob.batch ? "Resuming previous batch..." : "Resuming previous analysis...", "info");
+  runJob(pendingJob.id, outputs, Boolean(pendingJob.batch));
+}
+
+// One checkbox per custom output type, after the built-in ones.
+function addCustomOutputChecks() {
+  for (const el of outputsWrap.querySelectorAll("label[data-custom]")) el.remove();
+  for (const custom of CUSTOM_OUTPUTS) {
+    const label = document.createElement("label");
+    label.className = "check";
+    label.dataset.custom = custom.key;
+    label.title = custom.description || "";
+    label.innerHTML = `<input type="checkbox" name="outputs" value="${escapeHtml(custom.key)}" /><span>${escapeHtml(custom.label)}</span>`;
+    outputsWrap.appendChild(label);
+  }
+  if (CUSTOM_OUTPUTS.length) customOutputsBlock.hidden = false;
+}
+
+async function loadConfig() {
+  try {
+    const res = await fetch(CONFIG_ENDPOINT);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const config = await res.json();
+    DEPARTMENTS = normalizeArray(config?.departments);
+    CUSTOM_OUTPUTS = normalizeArray(config?.custom_outputs);
+    fillTodoDeptFilter();
+    addCustomOutputChecks();
+
+    // Keep the pickers in sync with the extractors the server actually has.
+    if (config?.accept) {
+      fileInput.accept = `${config.accept},.zip,application/zip`;
+      crossFilesInput.accept = config.accept;
+      baselineFileInput.accept = config.accept;
+    }
+    const formats = normalizeArray(config?.formats).map(f => f.label);
+    if (formats.length) {
+      formatsHintEl.textContent = `${formats.join(", ")}. Tip: Start with short docs to reduce token usage.`;
+    }
+  } catch (err) {
+    setStatus(`Could not load configuration: ${err?.message || String(err)}`, "warn");
+  }
+}
+
+// Sign-in and API keys
+
+function showLogin(message = "") {
+  appView.hidden = true;
+  userBar.hidden = true;
+  loginCard.hidden = false;
+  loginStatusEl.hidden = !message;
+  loginStatusEl.className = "status warn";
+  loginStatusEl.textContent = message;
+}
+
+function showApp(me) {
+  loginCard.hidden = true;
+  appView.hidden = false;
+  userBar.hidden = !me?.user;
+  userNameEl.textContent = me?.user?.username || "";
+  apiKeysCard.hidden = !me?.user;
+
+  loadConfig().then(resumeActiveJob);
+  loadHistory();
+  loadTodoBoard();
+  if (me?.user) loadApiKeys();
+}
+
+async function checkSession() {
+  try {
+    const res = await fetch(`${AUTH_ENDPOINT}/me`);
+    if (res.status === 401) {
+      showLogin();
+      return;
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    showApp(await res.json());
+  } catch (err) {
+    showLogin(`Could not reach the server: ${err?.message || String(err)}`);
+  }
+}
+
+loginForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  loginStatusEl.hidden = true;
+
+  try {
+    const res = await fetch(`${AUTH_ENDPOINT}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: document.getElementById("loginUsername").value,
+        password: document.getElementById("loginPassword").value
+      })
+    });
+    if (!res.ok) {
+      loginStatusEl.hidden = false;
+      loginStatusEl.className = "status bad";
+      loginStatusEl.textContent = (await safeReadError(res)) || `Sign-in failed (${res.status}).`;
+      return;
+    }
+
+    document.getElementById("loginPassword").value = "";
+    showApp({ user: (await res.json()).user });
+  } catch (err) {
+    showLogin(`Network error: ${err?.message || String(err)}`);
+  }
+});
+
+logoutBtn.addEventListener("click", async () => {
+  try {
+    await fetch(`${AUTH_ENDPOINT}/logout`, { method: "POST" });
+  } finally {
+    saveActiveJob(null);
+    resetResults();
+    historyListEl.textContent = "No saved analyses yet.";
+    boardItems = [];
+    todoBoardEl.textContent = "No tracked to-dos yet.";
+    showLogin();
+  }
+});
+
+function renderApiKey(key) {
+  const created = key.created_at ? new Date(key.created_at).toLocaleString() : "";
+  const used = key.last_used_at ? `last used ${new Date(key.last_used_at).toLocaleString()}` : "never used";
+  return `
+    <div class="history-item" data-id="${escapeHtml(key.id)}">
+      <div>
+        <div><strong>${escapeHtml(key.name)}</strong> <span class="subtle">${escapeHtml(key.prefix)}...</span></div>
+        <div class="todo-meta">Created ${escapeHtml(created)} · ${escapeHtml(used)}</div>
+      </div>
+      <div class="history-actions">
+        <button type="button" class="btn-export" data-action="revoke">Revoke</button>
+      </div>
+    </div>
+  `;
+}
+
+async function loadApiKeys() {
+  try {
+    const res = await apiFetch(`${AUTH_ENDPOINT}/keys`);
+    if (!res.ok) {
+      apiKeyListEl.innerHTML = `<p class="subtle">Could not load API keys (${res.status}).</p>`;
+      return;
+    }
+
+    const { items } = await res.json();
+    apiKeyListEl.classList.toggle("subtle", !items.length);
+    apiKeyListEl.innerHTML = items.length ? items.map(renderApiKey).join("") : "No API keys yet.";
+  } catch (err) {
+    apiKeyListEl.innerHTML = `<p class="subtle">Could not load API keys: ${escapeHtml(err?.message || String(err))}</p>`;
+  }
+}
+
+apiKeyForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  try {
+    const res = await apiFetch(`${AUTH_ENDPOINT}/keys`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: apiKeyNameInput.value })
+    });
+    if (!res.ok) {
+      const details = await safeReadError(res);
+      setStatus(`Could not create API key (${res.status}). ${details || ""}`.trim(), "bad");
+      return;
+    }
+
+    // The full key is only available in this response.
+    const created = await res.json();
+    apiKeyNameInput.value = "";
+    newApiKeyEl.hidden = false;
+    newApiKeyEl.innerHTML = `New key "${escapeHtml(created.name)}" (copy it now, it will not be shown again):<br><code>${escapeHtml(created.key)}</code>`;
+    loadApiKeys();
+  } catch (err) {
+    setStatus(`Network error: ${err?.message || String(err)}`, "bad");
+  }
+});
+
+apiKeyListEl.addEventListener("click", async (e) => {
+  const button = e.target.closest("button[data-action='revoke']");
+  const item = e.target.closest(".history-item");
+  if (!button || !item || !confirm("Revoke this API key? Scripts using it will stop working.")) return;
+
+  try {
+    const res = await apiFetch(`${AUTH_ENDPOINT}/keys/${encodeURIComponent(item.dataset.id)}`, { method: "DELETE" });
+    if (!res.ok && res.status !== 404) {
+      const details = await safeReadError(res);
+      setStatus(`Could not revoke API key (${res.status}). ${details || ""}`.trim(), "bad");
+    }
+  } catch (err) {
+    setStatus(`Network error: ${err?.message || String(err)}`, "bad");
+  }
+  newApiKeyEl.hidden = true;
+  loadApiKeys();
+});
+
+checkSession();
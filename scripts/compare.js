@@ -0,0 +1,191 @@
+// Re-runs a corpus of documents through the analyzer and diffs the structured results of
+// two runs, e.g. before and after a prompt change:
+//
+//   LLM_CASSETTE=record node scripts/compare.js run ./corpus ./runs/before
+//   (edit the prompt)
+//   LLM_CASSETTE=record node scripts/compare.js run ./corpus ./runs/after
+//   node scripts/compare.js diff ./runs/before ./runs/after
+//
+// With LLM_CASSETTE=record every model call is saved, so the same run can later be repeated
+// offline with LLM_CASSETTE=replay. Replay never calls the model: a changed prompt, option
+// or document is a cassette miss and fails that document, so record again after a change.
+// Cross documents for corpus/letter.pdf go in corpus/letter.pdf.cross/.
+// Options for run: --outputs=summary,key_points,todos  --language=English (custom outputs
+// from CUSTOM_OUTPUTS_CONFIG are requested by their key)
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { analyzeDocument, PROMPT_VERSION } from "../lib/analyzer.js";
+import { markSegments, verifyCitations } from "../lib/citations.js";
+import { loadCustomOutputs } from "../lib/custom-outputs.js";
+import { loadDepartments } from "../lib/departments.js";
+import { extractBuffer, findExtractor } from "../lib/extractors/index.js";
+import { resolveObligationDates } from "../lib/obligations.js";
+import { createProvider } from "../lib/providers/index.js";
+import { createRedactor, loadRedactionRules } from "../lib/redaction.js";
+import { diffResults, formatDiff } from "../lib/result-diff.js";
+import { scoreRisks } from "../lib/risk.js";
+import { emptyUsage } from "../lib/usage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const DEPARTMENTS_CONFIG = process.env.DEPARTMENTS_CONFIG || path.join(__dirname, "..", "config", "departments.json");
+const REDACTION_CONFIG = process.env.REDACTION_CONFIG || path.join(__dirname, "..", "config", "redaction.json");
+const CUSTOM_OUTPUTS_CONFIG = process.env.CUSTOM_OUTPUTS_CONFIG || path.join(__dirname, "..", "config", "custom-outputs.json");
+
+function parseOptions(args) {
+  const options = {};
+  const positional = [];
+  for (const arg of args) {
+    const m = /^--([\w-]+)=(.*)$/.exec(arg);
+    if (m) options[m[1]] = m[2];
+    else positional.push(arg);
+  }
+  return { options, positional };
+}
+
+async function documentsIn(dir) {
+  const names = (await fs.readdir(dir)).sort();
+  return names.filter(name => findExtractor({ name }));
+}
+
+async function extractFile(file) {
+  return extractBuffer(await fs.readFile(file), { name: path.basename(file) });
+}
+
+// Mirrors runAnalysis in server.js, minus history, usage ledger and budgets.
+async function analyzeFile({ provider, departments, customOutputs, redactionRules, corpus, name, outputs, targetLanguage }) {
+  const main = await extractFile(path.join(corpus, name));
+  const sources = { main: { file: name, segments: main.segments }, cross: [] };
+
+  const crossDir = path.join(corpus, `${name}.cross`);
+  const crossNames = await documentsIn(crossDir).catch(() => []);
+  const cross = [];
+  for (const crossName of crossNames) {
+    const extracted = await extractFile(path.join(crossDir, crossName));
+    sources.cross.push({ file: crossName, segments: extracted.segments });
+    cross.push(extracted);
+  }
+
+  const redactor = createRedactor(redactionRules);
+  for (const doc of [main, ...cross]) redactor.learn(doc);
+  const redactedMain = redactor.redactDocument(main, name);
+
+  const parts = [];
+  for (let i = 0; i < cross.length; i++) {
+    if (!cross[i].text) continue;
+    const redacted = redactor.redactDocument(cross[i], crossNames[i]);
+    const body = redacted.segments.length ? markSegments(redacted.segments) : redacted.text;
+    parts.push(`--- Cross document ${i + 1}: ${crossNames[i]} ---\n${body}`);
+  }
+
+  const usage = emptyUsage();
+  const analysis = await analyzeDocument({
+    provider,
+    targetLanguage,
+    outputs,
+    departments,
+    customOutputs,
+    docText: redactedMain.text,
+    segments: redactedMain.segments,
+    crossText: parts.join("\n\n"),
+    usage
+  });
+  const result = redactor.restore(analysis.result);
+  const { chunks } = analysis;
+  verifyCitations(result, sources);
+  resolveObligationDates(result);
+  scoreRisks(result);
+
+  return {
+    file: name,
+    cross_files: crossNames,
+    prompt_version: PROMPT_VERSION,
+    provider: provider.name,
+    model: provider.model,
+    cassette: provider.cassette || null,
+    outputs,
+    target_language: targetLanguage,
+    chunks,
+    usage,
+    redaction: redactor.report(),
+    result
+  };
+}
+
+async function run([corpus, outDir], options) {
+  if (!corpus || !outDir) throw new Error("Usage: node scripts/compare.js run <corpusDir> <outDir> [--outputs=...] [--language=...]");
+
+  const provider = createProvider(process.env, { dataDir: DATA_DIR });
+  provider.checkConfig();
+  const departments = loadDepartments(DEPARTMENTS_CONFIG);
+  const customOutputs = loadCustomOutputs(CUSTOM_OUTPUTS_CONFIG);
+  const redactionRules = process.env.REDACTION_ENABLED !== "false" ? loadRedactionRules(REDACTION_CONFIG) : [];
+  const outputs = (options.outputs || "summary,key_points,todos").split(",").map(s => s.trim()).filter(Boolean);
+  const targetLanguage = options.language || "English";
+
+  await fs.mkdir(outDir, { recursive: true });
+  const names = await documentsIn(corpus);
+  console.log(`Prompt version ${PROMPT_VERSION}, ${provider.name}/${provider.model}${provider.cassette ? ` (${provider.cassette})` : ""}: ${names.length} document(s)`);
+
+  let failed = 0;
+  for (const name of names) {
+    try {
+      const record = await analyzeFile({ provider, departments, customOutputs, redactionRules, corpus, name, outputs, targetLanguage });
+      await fs.writeFile(path.join(outDir, `${name}.json`), JSON.stringify(record, null, 2));
+      console.log(`  ok  ${name} (${record.usage.input_tokens} in / ${record.usage.output_tokens} out tokens)`);
+    } catch (err) {
+      failed++;
+      console.error(`  ERR ${name}: ${err.message}`);
+    }
+  }
+  if (failed) process.exitCode = 1;
+}
+
+async function diff([dirA, dirB]) {
+  if (!dirA || !dirB) throw new Error("Usage: node scripts/compare.js diff <runDirA> <runDirB>");
+
+  const load = async (dir) => {
+    const records = new Map();
+    for (const name of (await fs.readdir(dir)).filter(n => n.endsWith(".json")).sort()) {
+      const record = JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+      records.set(record.file || name, record);
+    }
+    return records;
+  };
+  const a = await load(dirA);
+  const b = await load(dirB);
+
+  let changed = 0;
+  for (const file of new Set([...a.keys(), ...b.keys()])) {
+    if (!a.has(file) || !b.has(file)) {
+      console.log(`\n${file}: only in ${a.has(file) ? dirA : dirB}`);
+      continue;
+    }
+
+    const before = a.get(file);
+    const after = b.get(file);
+    const changes = diffResults(before.result, after.result);
+    const versions = before.prompt_version === after.prompt_version ? "same prompt" : `prompt ${before.prompt_version} -> ${after.prompt_version}`;
+    console.log(`\n${file} (${versions}): ${changes.length ? `${changes.length} change(s)` : "no changes"}`);
+    if (changes.length) {
+      changed++;
+      console.log(formatDiff(changes).replace(/^/gm, "  "));
+    }
+  }
+  console.log(`\n${changed} of ${new Set([...a.keys(), ...b.keys()]).size} document(s) differ.`);
+}
+
+const { options, positional: [command, ...args] } = parseOptions(process.argv.slice(2));
+const commands = { run, diff };
+
+if (!commands[command]) {
+  console.error("Usage: node scripts/compare.js run <corpusDir> <outDir> | diff <runDirA> <runDirB>");
+  console.error("Set LLM_CASSETTE=record to save model calls, or LLM_CASSETTE=replay to reuse them (replay fails on anything not recorded).");
+  process.exitCode = 1;
+} else {
+  commands[command](args, options).catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
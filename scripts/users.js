@@ -0,0 +1,56 @@
+// Manage local accounts: node scripts/users.js add|passwd|remove|grant-admin|revoke-admin|list [username]
+// add --admin creates an admin. Passwords are read from the USER_PASSWORD env var or prompted for.
+import path from "path";
+import readline from "readline/promises";
+import { fileURLToPath } from "url";
+import { createUserStore } from "../lib/users.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+async function askPassword() {
+  if (process.env.USER_PASSWORD) return process.env.USER_PASSWORD;
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await rl.question("Password (min. 8 characters): ");
+  } finally {
+    rl.close();
+  }
+}
+
+async function main(args) {
+  const [command, username] = args.filter(a => !a.startsWith("--"));
+  const users = createUserStore(DATA_DIR);
+
+  if (command === "list") {
+    for (const u of await users.list()) console.log(`${u.username}\t${u.created_at}${u.admin ? "\tadmin" : ""}`);
+    return;
+  }
+  if (!username || !["add", "passwd", "remove", "grant-admin", "revoke-admin"].includes(command)) {
+    console.error("Usage: node scripts/users.js add [--admin]|passwd|remove|grant-admin|revoke-admin <username> | list");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (command === "add") {
+    await users.create({ username, password: await askPassword(), admin: args.includes("--admin") });
+    console.log(`Created user "${username}".`);
+  } else if (command === "grant-admin" || command === "revoke-admin") {
+    await users.setAdmin(username, command === "grant-admin");
+    console.log(`${command === "grant-admin" ? "Granted" : "Revoked"} admin for "${username}".`);
+  } else if (command === "passwd") {
+    await users.setPassword(username, await askPassword());
+    console.log(`Password changed for "${username}".`);
+  } else if (await users.remove(username)) {
+    console.log(`Removed user "${username}".`);
+  } else {
+    console.error(`User "${username}" not found.`);
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
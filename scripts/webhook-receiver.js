@@ -0,0 +1,65 @@
+// Local webhook receiver for trying out subscriptions:
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port] [--fail=N]
+//
+// Register http://localhost:<port>/ as a webhook (POST /api/webhooks) and use the secret
+// it returns; the server must run with NODE_ENV=development and WEBHOOK_ALLOWED_HOSTS=localhost
+// to accept it. Each delivery is checked against its signature and summarized on stdout.
+// --fail=N answers the first N deliveries with 500, to watch the retries.
+import http from "http";
+import { verifyWebhookSignature } from "../lib/webhooks.js";
+
+const args = process.argv.slice(2);
+const port = Number(args.find(a => /^\d+$/.test(a))) || 4002;
+let failuresLeft = Number(args.find(a => a.startsWith("--fail="))?.slice(7)) || 0;
+const secret = process.env.WEBHOOK_SECRET || "";
+
+if (!secret) console.warn("WEBHOOK_SECRET is not set: signatures are not checked.");
+
+function summarize(payload) {
+  const data = payload.data || {};
+  if (payload.event !== "analysis.completed") return JSON.stringify(data);
+
+  const todos = Object.entries(data.todos_by_department || {})
+    .map(([dept, items]) => `${dept}: ${items.length}`)
+    .join(", ");
+  return `analysis ${data.analysis_id} of ${data.files?.main?.name || "?"}${todos ? ` (to-dos: ${todos})` : ""}`;
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", chunk => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const headers = {
+      id: req.headers["x-webhook-id"],
+      event: req.headers["x-webhook-event"],
+      timestamp: req.headers["x-webhook-timestamp"],
+      signature: req.headers["x-webhook-signature"]
+    };
+
+    if (secret && !verifyWebhookSignature(secret, { timestamp: headers.timestamp, signature: headers.signature, body })) {
+      console.log(`REJECTED ${headers.id}: bad or stale signature`);
+      res.writeHead(401).end("bad signature");
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`FAILING ${headers.event} ${headers.id} on purpose (${failuresLeft} more)`);
+      res.writeHead(500).end("failing on purpose");
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      res.writeHead(400).end("invalid JSON");
+      return;
+    }
+    console.log(`${new Date().toISOString()} ${headers.event} ${headers.id}${secret ? " (signature ok)" : ""}: ${summarize(payload)}`);
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port}/`));
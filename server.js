@@ -1,29 +1,105 @@
 import express from "express";
-import Anthropic from "@anthropic-ai/sdk";
 import formidable from "formidable";
-import pdfParse from "pdf-parse";
-import mammoth from "mammoth";
+import crypto from "crypto";
 import fs from "fs/promises";
+import os from "os";
 import path from "path";
 import { fileURLToPath } from "url";
+import { analyzeDocument, PROMPT_VERSION } from "./lib/analyzer.js";
+import { AUTH_ENABLED, createAuth } from "./lib/auth.js";
+import { consolidateTodos, expandBatchUploads } from "./lib/batch.js";
+import { departmentNames, loadDepartments } from "./lib/departments.js";
+import { markSegments, verifyCitations } from "./lib/citations.js";
+import { mapLimit } from "./lib/concurrency.js";
+import { loadCustomOutputs, selectCustomOutputs } from "./lib/custom-outputs.js";
+import { buildDocx, DOCX_MIME } from "./lib/docx-export.js";
+import { acceptList, extractText, listExtractors } from "./lib/extractors/index.js";
+import { errorBody, httpError } from "./lib/http-error.js";
+import { createHistoryStore } from "./lib/history.js";
+import { createJobQueue } from "./lib/jobs.js";
+import { resolveObligationDates } from "./lib/obligations.js";
+import { checkOcrBackend, OCR_ENABLED } from "./lib/ocr.js";
+import { costFor, loadPrices, priceFor } from "./lib/pricing.js";
+import { createProvider } from "./lib/providers/index.js";
+import { createRedactor, loadRedactionRules, redactionFingerprint } from "./lib/redaction.js";
+import { createResultCache, resultCacheKey } from "./lib/result-cache.js";
+import { scoreRisks } from "./lib/risk.js";
+import { diffDocuments } from "./lib/text-diff.js";
+import { createTodoStore, TODO_STATUSES } from "./lib/todos.js";
+import { createUsageLedger, emptyUsage } from "./lib/usage.js";
+import { createUserStore } from "./lib/users.js";
+import { createWebhooks, WEBHOOK_EVENTS } from "./lib/webhooks.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
 
-const DEPARTMENTS = ["Finance", "Compliance", "Operations", "HR", "Board", "IT"];
+const DEPARTMENTS_CONFIG = process.env.DEPARTMENTS_CONFIG || path.join(__dirname, "config", "departments.json");
+const PRICES_CONFIG = process.env.PRICES_CONFIG || path.join(__dirname, "config", "prices.json");
+const REDACTION_CONFIG = process.env.REDACTION_CONFIG || path.join(__dirname, "config", "redaction.json");
+const CUSTOM_OUTPUTS_CONFIG = process.env.CUSTOM_OUTPUTS_CONFIG || path.join(__dirname, "config", "custom-outputs.json");
+
+// Personal data is replaced with tokens before any text is sent to the model.
+const REDACTION_ENABLED = process.env.REDACTION_ENABLED !== "false";
+const REDACTION_STRICT = process.env.REDACTION_STRICT === "true";
+
+// Daily spend caps in the price table's currency (UTC days); unset means no cap.
+const BUDGET_DAILY = Number(process.env.BUDGET_DAILY) || null;
+const BUDGET_USER_DAILY = Number(process.env.BUDGET_USER_DAILY) || null;
+
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== "false";
+
+// Batch mode: documents analyzed at once within one batch, and the size of a batch.
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+const BATCH_MAX_DOCUMENTS = Number(process.env.BATCH_MAX_DOCUMENTS) || 100;
+const BATCH_MAX_BYTES = (Number(process.env.BATCH_MAX_MB) || 100) * 1024 * 1024;
+
+const departments = loadDepartments(DEPARTMENTS_CONFIG);
+const customOutputs = loadCustomOutputs(CUSTOM_OUTPUTS_CONFIG);
+const redactionRules = REDACTION_ENABLED ? loadRedactionRules(REDACTION_CONFIG) : [];
+const history = createHistoryStore(DATA_DIR);
+const todos = createTodoStore(DATA_DIR);
+const prices = loadPrices(PRICES_CONFIG);
+const usageLedger = createUsageLedger(DATA_DIR);
+const resultCache = createResultCache(DATA_DIR, {
+  ttlMs: (Number(process.env.CACHE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000,
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 500,
+  maxBytes: (Number(process.env.CACHE_MAX_MB) || 200) * 1024 * 1024
+});
+
+// Model backend chosen by LLM_PROVIDER (anthropic, openai or mock); see lib/providers.
+const provider = createProvider(process.env, { dataDir: DATA_DIR });
+const users = createUserStore(DATA_DIR);
+const webhooks = createWebhooks(DATA_DIR, {
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  retryBaseMs: (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000,
+  timeoutMs: (Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000,
+  allowedHosts: String(process.env.WEBHOOK_ALLOWED_HOSTS || "").split(","),
+  requireHttps: process.env.NODE_ENV !== "development"
+});
+const auth = createAuth({ users });
+
+// Behind Railway's proxy: trust X-Forwarded-* so req.secure and req.ip are the client's.
+app.set("trust proxy", 1);
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, "public")));
 
+// Cross-origin calls are only allowed from the origins listed in ALLOWED_ORIGIN
+// (comma-separated); unset, the API is same-origin only and no CORS headers are sent.
+const ALLOWED_ORIGINS = String(process.env.ALLOWED_ORIGIN || "").split(",").map(o => o.trim()).filter(Boolean);
+
 // CORS middleware
 app.use((req, res, next) => {
-  const allowedOrigin = process.env.ALLOWED_ORIGIN || "*";
-  res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
   res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS, GET");
+  const origin = req.headers.origin;
+  if (!origin || !ALLOWED_ORIGINS.includes(origin)) return next();
+
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS, GET, PATCH, DELETE");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
   res.setHeader("Access-Control-Max-Age", "86400");
 
@@ -33,11 +109,23 @@ app.use((req, res, next) => {
   next();
 });
 
+app.use(express.json({ limit: "5mb" }));
+
 // Health check endpoint for Railway
 app.get("/health", (req, res) => {
   res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
+// Client configuration (department taxonomy, custom output types, supported upload formats)
+app.get("/api/config", (req, res) => {
+  res.json({
+    departments,
+    custom_outputs: customOutputs.map(({ key, label, description, schema }) => ({ key, label, description, schema })),
+    formats: listExtractors(),
+    accept: acceptList()
+  });
+});
+
 // Helper functions
 function first(v) {
   return Array.isArray(v) ? v[0] : v;
@@ -48,23 +136,22 @@ function toArray(v) {
   return Array.isArray(v) ? v : [v];
 }
 
-function guessType(file) {
-  const name = (file?.originalFilename || "").toLowerCase();
-  const type = (file?.mimetype || "").toLowerCase();
-
-  if (name.endsWith(".pdf")) return "pdf";
-  if (name.endsWith(".docx")) return "docx";
-  if (type === "application/pdf") return "pdf";
-  if (type === "application/vnd.openxmlformats-officedocument.wordprocessingml.document") return "docx";
-
-  return null;
+async function describeFile(file) {
+  const buf = await fs.readFile(file.filepath);
+  return {
+    name: file.originalFilename || null,
+    size: buf.length,
+    sha256: crypto.createHash("sha256").update(buf).digest("hex")
+  };
 }
 
-async function parseMultipart(req) {
+async function parseMultipart(req, { maxFileSize = 10 * 1024 * 1024, maxTotalFileSize = maxFileSize, uploadDir } = {}) {
   return await new Promise((resolve, reject) => {
     const form = formidable({
       multiples: true,
-      maxFileSize: 10 * 1024 * 1024
+      maxFileSize,
+      maxTotalFileSize,
+      ...(uploadDir ? { uploadDir } : {})
     });
 
     form.parse(req, (err, fields, files) => {
@@ -74,240 +161,887 @@ async function parseMultipart(req) {
   });
 }
 
-async function extractText(file) {
-  const kind = guessType(file);
-  if (!kind) {
-    const e = new Error("Unsupported file type. Please upload a PDF or DOCX.");
-    e.statusCode = 400;
-    throw e;
+function sendError(res, err) {
+  return res.status(err?.statusCode || 500).json(errorBody(err));
+}
+
+// Sets req.user from the session cookie or bearer API key; 401 when neither is valid.
+// With AUTH_ENABLED=false every request passes with req.user = null.
+async function requireAuth(req, res, next) {
+  try {
+    req.user = await auth.authenticate(req);
+    next();
+  } catch (err) {
+    sendError(res, err);
   }
+}
 
-  const buf = await fs.readFile(file.filepath);
+// Unowned records (from before sign-in was turned on) are admin-only.
+function ownedBy(user, owner) {
+  return !user || (owner ? owner.id === user.id : user.admin);
+}
+
+app.use(["/api/analyze", "/api/jobs", "/api/batches", "/api/webhooks", "/api/todos", "/api/history", "/api/export", "/api/auth/keys", "/api/usage"], requireAuth);
 
-  if (kind === "pdf") {
-    const parsed = await pdfParse(buf);
-    return (parsed.text || "").trim();
+// Sign-in for the web UI
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    if (!AUTH_ENABLED) throw httpError(400, "Authentication is disabled on this server.");
+    const { username, password } = req.body || {};
+    const { user, token } = await auth.login(req, username, password);
+    auth.setSessionCookie(req, res, token);
+    return res.json({ user });
+  } catch (err) {
+    return sendError(res, err);
   }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  auth.endSession(req);
+  auth.clearSessionCookie(res);
+  return res.status(204).end();
+});
 
-  const result = await mammoth.extractRawText({ buffer: buf });
-  return (result.value || "").trim();
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    return res.json({ auth_enabled: AUTH_ENABLED, user: await auth.authenticate(req) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// API keys for scripted callers (Authorization: Bearer <key>)
+app.get("/api/auth/keys", async (req, res) => {
+  try {
+    if (!req.user) throw httpError(400, "Authentication is disabled on this server.");
+    return res.json({ items: await users.listApiKeys(req.user.id) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+app.post("/api/auth/keys", async (req, res) => {
+  try {
+    if (!req.user) throw httpError(400, "Authentication is disabled on this server.");
+    return res.status(201).json(await users.createApiKey(req.user.id, req.body?.name));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+app.delete("/api/auth/keys/:id", async (req, res) => {
+  try {
+    if (!req.user || !(await users.revokeApiKey(req.user.id, req.params.id))) throw httpError(404, "API key not found.");
+    return res.status(204).end();
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Validates the multipart fields of an analyze request.
+function readAnalysisRequest({ fields, files }) {
+  const uploaded = files?.file;
+  const mainFile = Array.isArray(uploaded) ? uploaded[0] : uploaded;
+  const options = readAnalysisOptions({ fields, files });
+  if (!mainFile) throw httpError(400, "Missing multipart field: file");
+
+  // The compare output diffs the main document (the revised version) against baselineFile.
+  const baselineFile = options.outputs.includes("compare") ? first(files?.baselineFile) || null : null;
+  if (options.outputs.includes("compare") && !baselineFile) {
+    throw httpError(400, "The compare output needs the previous version of the document (multipart field: baselineFile).");
+  }
+
+  return { mainFile, ...options, baselineFile };
 }
 
-function buildJsonSchemaDescription(outputs) {
-  const schemaObj = {
-    type: "object",
-    properties: {},
-    required: []
+// The fields an analyze request and a batch share: everything but the main document and
+// the baseline it is compared against.
+function readAnalysisOptions({ fields, files }) {
+  provider.checkConfig();
+
+  const targetLanguage = String(first(fields?.targetLanguage || "")).trim();
+  if (!targetLanguage) throw httpError(400, "Missing multipart field: targetLanguage");
+
+  const outputs = toArray(fields?.outputs).map(String);
+  if (!outputs.length) throw httpError(400, "Select at least one output.");
+
+  const wantsCross = outputs.includes("cross_reference");
+  const wantsTemplate = outputs.includes("generate_template");
+  const crossFiles = (wantsCross || wantsTemplate) ? toArray(files?.crossFiles) : [];
+
+  // force=true skips the result cache and always runs a fresh analysis.
+  const force = ["true", "1", "on"].includes(String(first(fields?.force) || "").toLowerCase());
+
+  return { targetLanguage, outputs, crossFiles, force };
+}
+
+// Estimated cost of the analyses that are running and not in the usage ledger yet.
+const budgetReservations = new Set();
+let budgetReleases = 0;
+
+function reservedCost(userId) {
+  let cost = 0;
+  for (const r of budgetReservations) {
+    if (userId === undefined || r.userId === userId) cost += r.cost;
+  }
+  return cost;
+}
+
+// Rough token count of a run for budget reservations (about 4 characters per token): the
+// documents plus the instructions in, and as much again as the document when translating.
+function estimateUsage(outputs, docChars, otherChars) {
+  return {
+    input_tokens: Math.ceil((docChars + otherChars) / 4) + 2000,
+    output_tokens: outputs.includes("translation") ? Math.ceil(docChars / 4) + 2000 : 2000
   };
+}
 
-  if (outputs.includes("translation")) {
-    schemaObj.properties.translated_text = { type: "string", description: "Full translation of the document" };
-    schemaObj.required.push("translated_text");
+// 429 once today's spend (overall, or for this user) plus the estimated cost of the runs
+// still in flight has reached its cap. Given an estimate, the cost of this run is reserved
+// until release() is called, once its usage is in the ledger. Nothing is awaited between
+// the check and the reservation, so concurrent runs always count each other.
+async function checkBudget(user, estimate = null) {
+  // A run released while the ledger was read may be missing from the spend: read it again.
+  let spentAll;
+  let spentUser;
+  let releases;
+  do {
+    releases = budgetReleases;
+    spentAll = BUDGET_DAILY ? await usageLedger.spentOn() : 0;
+    spentUser = BUDGET_USER_DAILY && user ? await usageLedger.spentOn({ userId: user.id }) : 0;
+  } while (releases !== budgetReleases);
+
+  if (BUDGET_DAILY) {
+    const reserved = reservedCost();
+    if (spentAll + reserved >= BUDGET_DAILY) {
+      throw httpError(429, "Today's analysis budget is used up. Try again tomorrow (UTC).", { scope: "daily", spent: spentAll, reserved, cap: BUDGET_DAILY, currency: prices.currency });
+    }
   }
+  if (BUDGET_USER_DAILY && user) {
+    const reserved = reservedCost(user.id);
+    if (spentUser + reserved >= BUDGET_USER_DAILY) {
+      throw httpError(429, "Your analysis budget for today is used up. Try again tomorrow (UTC).", { scope: "user_daily", spent: spentUser, reserved, cap: BUDGET_USER_DAILY, currency: prices.currency });
+    }
+  }
+
+  if (!estimate) return null;
+  const reservation = { userId: user?.id ?? null, cost: costFor(prices, provider.model, estimate)?.total || 0 };
+  budgetReservations.add(reservation);
+  return {
+    release() {
+      if (budgetReservations.delete(reservation)) budgetReleases++;
+    }
+  };
+}
+
+function recordUsage({ user, model, usage, historyId = null, failed = false }) {
+  if (!usage.requests) return null;
+  return usageLedger
+    .record({
+      user: user ? { id: user.id, username: user.username } : null,
+      model,
+      ...usage,
+      cost: costFor(prices, model, usage),
+      history_id: historyId,
+      failed
+    })
+    .catch(err => console.error("Could not record usage:", err));
+}
+
+function cacheKeyFor({ outputs, targetLanguage }, files) {
+  return resultCacheKey({
+    mainSha256: files.main.sha256,
+    crossSha256: files.cross.map(f => f.sha256),
+    baselineSha256: files.baseline?.sha256,
+    outputs,
+    targetLanguage,
+    provider: provider.name,
+    model: provider.model,
+    promptVersion: PROMPT_VERSION,
+    departments,
+    redaction: redactionFingerprint(redactionRules),
+    customOutputs: selectCustomOutputs(outputs, customOutputs)
+  });
+}
+
+async function describeFiles({ mainFile, crossFiles, baselineFile }) {
+  return {
+    main: await describeFile(mainFile),
+    cross: await Promise.all(crossFiles.map(describeFile)),
+    ...(baselineFile ? { baseline: await describeFile(baselineFile) } : {})
+  };
+}
+
+// Extraction plus model calls; resolves to { out, usage, reservation }. The caller releases
+// the budget reservation once the usage is recorded.
+async function analyzeUpload({ mainFile, targetLanguage, outputs, crossFiles, baselineFile, user }, onProgress) {
+  await checkBudget(user);
+
+  const main = await extractText(mainFile);
+  if (!main.text) throw httpError(400, "Could not extract any text from the uploaded file.");
+
+  // Which pages of which files had to be OCR'd, and how confident the OCR was.
+  const ocr = [];
+  if (main.ocr) ocr.push({ file: mainFile.originalFilename || null, ...main.ocr });
 
-  if (outputs.includes("summary")) {
-    schemaObj.properties.summary = { type: "string", description: "Detailed summary of the document" };
-    schemaObj.required.push("summary");
+  // Extracted segments of every file, kept so citations can be checked and shown in context.
+  const sources = { main: { file: mainFile.originalFilename || null, segments: main.segments }, cross: [] };
+
+  const cross = [];
+  for (const file of crossFiles) {
+    const extracted = await extractText(file);
+    if (extracted.ocr) ocr.push({ file: file?.originalFilename || null, ...extracted.ocr });
+    sources.cross.push({ file: file?.originalFilename || null, segments: extracted.segments });
+    cross.push(extracted);
   }
 
-  if (outputs.includes("key_points")) {
-    schemaObj.properties.key_points = {
-      type: "array",
-      items: {
-        type: "object",
-        properties: {
-          point: { type: "string" },
-          department: { type: "string", enum: DEPARTMENTS },
-          tags: { type: "array", items: { type: "string" } }
-        },
-        required: ["point", "department", "tags"]
-      }
+  let baseline = null;
+  let versionDiff = null;
+  if (baselineFile) {
+    baseline = await extractText(baselineFile);
+    if (!baseline.text) throw httpError(400, "Could not extract any text from the baseline document.");
+    if (baseline.ocr) ocr.push({ file: baselineFile.originalFilename || null, ...baseline.ocr });
+    versionDiff = {
+      baseline_file: baselineFile.originalFilename || null,
+      revised_file: mainFile.originalFilename || null,
+      changes: diffDocuments(baseline, main)
     };
-    schemaObj.required.push("key_points");
   }
 
-  if (outputs.includes("todos")) {
-    const todoItem = {
-      type: "object",
-      properties: {
-        task: { type: "string" },
-        source_point: { type: "string" }
-      },
-      required: ["task", "source_point"]
-    };
+  // The model only ever sees redacted copies; sources and the version diff keep the
+  // original text. Every document is scanned first, so personal data found in one of
+  // them is also redacted where it appears in the others.
+  const redactor = createRedactor(redactionRules);
+  for (const doc of [main, ...cross, baseline].filter(Boolean)) redactor.learn(doc);
 
-    schemaObj.properties.todos_by_department = {
-      type: "object",
-      properties: {
-        Finance: { type: "array", items: todoItem },
-        Compliance: { type: "array", items: todoItem },
-        Operations: { type: "array", items: todoItem },
-        HR: { type: "array", items: todoItem },
-        Board: { type: "array", items: todoItem },
-        IT: { type: "array", items: todoItem }
-      },
-      required: DEPARTMENTS
-    };
-    schemaObj.required.push("todos_by_department");
-  }
-
-  if (outputs.includes("cross_reference")) {
-    schemaObj.properties.cross_reference = {
-      type: "array",
-      items: {
-        type: "object",
-        properties: {
-          question: { type: "string" },
-          answer: { type: "string" },
-          found_in: { type: "string" },
-          confidence: { type: "string", enum: ["low", "medium", "high"] }
-        },
-        required: ["question", "answer", "found_in", "confidence"]
-      }
-    };
-    schemaObj.required.push("cross_reference");
+  const mainName = mainFile.originalFilename || "main document";
+  const { text: docText, segments } = redactor.redactDocument(main, mainName);
+
+  const crossText = cross
+    .map((extracted, i) => {
+      if (!extracted.text) return null;
+      const redacted = redactor.redactDocument(extracted, crossFiles[i]?.originalFilename || `cross document ${i + 1}`);
+      const body = redacted.segments.length ? markSegments(redacted.segments) : redacted.text;
+      return `--- Cross document ${i + 1}: ${crossFiles[i]?.originalFilename || "file"} ---\n${body}`;
+    })
+    .filter(Boolean)
+    .join("\n\n");
+
+  const changesForModel = versionDiff?.changes.map(c => ({
+    ...c,
+    before: redactor.redact(c.before, baselineFile.originalFilename || "baseline document"),
+    after: redactor.redact(c.after, mainName)
+  }));
+  const redaction = redactor.report();
+  if (REDACTION_STRICT && redaction.possible_names.length) {
+    throw httpError(422, "The documents contain capitalised words that may be names the redaction rules did not catch, so nothing was sent to the model. Add them to the redaction terms, or turn off REDACTION_STRICT.", { possible_names: redaction.possible_names });
+  }
+
+  onProgress("stage", {
+    stage: "text_extracted",
+    main_chars: docText.length,
+    cross_chars: crossText.length,
+    cross_documents: crossFiles.length,
+    ocr_pages: ocr.reduce((n, o) => n + o.pages.length, 0),
+    ...(versionDiff ? { version_changes: versionDiff.changes.length } : {}),
+    ...(redaction.enabled ? { redacted: redaction.occurrences } : {})
+  });
+
+  // Checked again now that the size of the prompt is known, reserving the estimated cost
+  // (nothing for cassette replays, which are free).
+  const estimate = provider.cassette === "replay"
+    ? null
+    : estimateUsage(outputs, docText.length, crossText.length + JSON.stringify(changesForModel || []).length);
+  const reservation = await checkBudget(user, estimate);
+
+  const modelName = provider.model;
+  const usage = emptyUsage();
+
+  let analysis;
+  try {
+    analysis = await analyzeDocument({
+      provider,
+      targetLanguage,
+      outputs,
+      departments,
+      customOutputs,
+      docText,
+      segments,
+      crossText,
+      changes: changesForModel,
+      // Sections streamed to the client are restored as well.
+      onProgress: (type, data) => onProgress(type, type === "section" ? { ...data, value: redactor.restore(data.value) } : data),
+      usage
+    });
+  } catch (err) {
+    await recordUsage({ user, model: modelName, usage, failed: true });
+    reservation?.release();
+    throw err;
   }
+  const out = redactor.restore(analysis.result);
+  const { chunks } = analysis;
+
+  verifyCitations(out, sources);
+  resolveObligationDates(out);
+  scoreRisks(out);
+  out.sources = sources;
+  if (versionDiff) out.version_diff = versionDiff;
+
+  out.meta = {
+    provider: provider.name,
+    cassette: provider.cassette || null,
+    model: modelName,
+    prompt_version: PROMPT_VERSION,
+    source_filename: mainFile.originalFilename || null,
+    target_language: targetLanguage,
+    departments: departmentNames(departments),
+    custom_outputs: selectCustomOutputs(outputs, customOutputs).map(({ key, label, schema }) => ({ key, label, schema })),
+    chunks,
+    ocr,
+    redaction,
+    usage: { ...usage, cost: costFor(prices, modelName, usage) },
+    generated_at: new Date().toISOString()
+  };
+
+  return { out, usage, reservation };
+}
+
+// Shared by the plain, streaming and job routes. onProgress(type, data) is called with
+// "stage", "chunk", "section" and "retract" events as the analysis moves along.
+// Identical uploads with identical options are served from the result cache unless
+// request.force is set; meta.cache.hit tells the client which happened.
+async function runAnalysis(request, onProgress = () => {}) {
+  const { mainFile, targetLanguage, outputs, crossFiles, user, force } = request;
+  const startedAt = new Date().toISOString();
+
+  onProgress("stage", {
+    stage: "upload_received",
+    file: mainFile.originalFilename || null,
+    cross_files: crossFiles.map(f => f?.originalFilename || "file")
+  });
 
-  if (outputs.includes("generate_template")) {
-    schemaObj.properties.response_template = { type: "string", description: "Response template for the document" };
-    schemaObj.required.push("response_template");
+  const files = await describeFiles(request);
+  const cacheKey = cacheKeyFor(request, files);
+  const cached = CACHE_ENABLED && !force ? await resultCache.get(cacheKey) : null;
+
+  let out;
+  let usage = emptyUsage();
+  let reservation = null;
+  if (cached) {
+    out = cached.result;
+    onProgress("stage", { stage: "cache_hit", cached_at: cached.cached_at });
+    out.meta.cache = { hit: true, key: cacheKey, cached_at: cached.cached_at, original_usage: out.meta.usage };
+    out.meta.usage = { ...usage, cost: costFor(prices, out.meta.model, usage) };
+  } else {
+    ({ out, usage, reservation } = await analyzeUpload(request, onProgress));
+    if (CACHE_ENABLED) {
+      await resultCache.set(cacheKey, out).catch(err => console.error("Could not cache result:", err));
+    }
+    out.meta.cache = { hit: false, key: cacheKey, forced: Boolean(force) };
+  }
+
+  let record;
+  try {
+    record = await history.save({
+      created_at: startedAt,
+      finished_at: new Date().toISOString(),
+      files,
+      outputs,
+      target_language: targetLanguage,
+      model: out.meta.model,
+      user: user ? { id: user.id, username: user.username } : null,
+      cache_hit: Boolean(cached),
+      result: out
+    });
+    out.meta.history_id = record.id;
+    await recordUsage({ user, model: out.meta.model, usage, historyId: record.id });
+  } finally {
+    reservation?.release();
   }
+  await todos.addFromAnalysis(record).catch(err => console.error("Could not add to-dos to the board:", err));
+
+  webhooks.dispatch("analysis.completed", analysisEvent(record, out), { user })
+    .catch(err => console.error("Could not send webhooks:", err));
+
+  return out;
+}
 
-  return JSON.stringify(schemaObj, null, 2);
+// Webhook payload for a finished analysis. The extracted source text is left out (it can
+// run to megabytes); receivers can fetch GET /api/history/:id when they need it.
+function analysisEvent(record, out) {
+  const { sources, ...result } = out;
+  return {
+    analysis_id: record.id,
+    files: record.files,
+    outputs: record.outputs,
+    target_language: record.target_language,
+    user: record.user,
+    meta: out.meta,
+    todos_by_department: out.todos_by_department ?? null,
+    result
+  };
 }
 
 // Main API endpoint
 app.post("/api/analyze", async (req, res) => {
   try {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      return res.status(500).json({ error: "ANTHROPIC_API_KEY is not set." });
-    }
+    const out = await runAnalysis({ ...readAnalysisRequest(await parseMultipart(req)), user: req.user });
+    return res.status(200).json(out);
+  } catch (err) {
+    console.error("Error processing request:", err);
+    return sendError(res, err);
+  }
+});
 
-    const { fields, files } = await parseMultipart(req);
+// Streaming variant for API clients (the UI uses jobs, which survive a page reload). Takes
+// the same multipart fields as /api/analyze and answers with Server-Sent Events:
+//   stage    { stage, ... }   progress, as in a job's progress field
+//   chunk    { index, total, label }   a part of a long document is done
+//   section  { key, value }   an output section is complete
+//   retract  { keys }         those sections failed validation and will be sent again
+//   result   same JSON as /api/analyze, last on success
+//   error    { status, error, details? }, last on failure
+app.post("/api/analyze/stream", async (req, res) => {
+  let closed = false;
+  res.on("close", () => { closed = true; });
 
-    const uploaded = files?.file;
-    const mainFile = Array.isArray(uploaded) ? uploaded[0] : uploaded;
-    if (!mainFile) return res.status(400).json({ error: "Missing multipart field: file" });
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    const targetLanguage = String(first(fields?.targetLanguage || "")).trim();
-    if (!targetLanguage) return res.status(400).json({ error: "Missing multipart field: targetLanguage" });
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
 
-    const outputs = toArray(fields?.outputs).map(String);
-    if (!outputs.length) return res.status(400).json({ error: "Select at least one output." });
+  // Keep proxies from timing out the connection during long model calls.
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": keep-alive\n\n");
+  }, 15000);
 
-    const wantsCross = outputs.includes("cross_reference");
-    const wantsTemplate = outputs.includes("generate_template");
+  try {
+    const out = await runAnalysis({ ...readAnalysisRequest(await parseMultipart(req)), user: req.user }, send);
+    send("result", out);
+  } catch (err) {
+    console.error("Error processing streaming request:", err);
+    send("error", { status: err?.statusCode || 500, ...errorBody(err) });
+  } finally {
+    clearInterval(heartbeat);
+    if (!closed) res.end();
+  }
+});
 
-    const docText = await extractText(mainFile);
-    if (!docText) return res.status(400).json({ error: "Could not extract any text from the uploaded file." });
+const jobQueue = createJobQueue({
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  ttlMs: (Number(process.env.JOB_TTL_MINUTES) || 24 * 60) * 60 * 1000,
+  run: (request, job) => runAnalysis(request, (type, data) => {
+    if (type === "stage") job.progress = { ...job.progress, ...data };
+    if (type === "chunk") job.progress = { ...job.progress, chunks_done: (job.progress?.chunks_done || 0) + 1 };
+    if (type === "section") job.partial[data.key] = data.value;
+    if (type === "retract") for (const key of data.keys) delete job.partial[key];
+  })
+});
 
-    let crossText = "";
-    if (wantsCross || wantsTemplate) {
-      const crossFiles = toArray(files?.crossFiles);
-      if (crossFiles.length) {
-        const parts = [];
-        for (let i = 0; i < crossFiles.length; i++) {
-          const t = await extractText(crossFiles[i]);
-          if (t) {
-            parts.push(`--- Cross document ${i + 1}: ${crossFiles[i]?.originalFilename || "file"} ---\n${t}`);
-          }
-        }
-        crossText = parts.join("\n\n");
-      }
-    }
+function jobStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    position: jobQueue.position(job),
+    ...job.info,
+    progress: job.progress,
+    sections_done: job.partial ? Object.keys(job.partial) : null,
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at
+  };
+}
 
-    const schemaDescription = buildJsonSchemaDescription(outputs);
+function findJob(req) {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !ownedBy(req.user, job.info.user)) throw httpError(404, "Job not found or expired.");
+  return job;
+}
 
-    const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
+// Asynchronous analysis: submit returns a job ID straight away, the analysis runs in the
+// background and the client polls for status and result.
+app.post("/api/jobs", async (req, res) => {
+  try {
+    const request = { ...readAnalysisRequest(await parseMultipart(req)), user: req.user };
+    // Cache hits cost nothing, so only fresh analyses are held to the budget.
+    if (request.force || !CACHE_ENABLED || !(await resultCache.has(cacheKeyFor(request, await describeFiles(request))))) {
+      await checkBudget(req.user);
+    }
+    const job = jobQueue.submit(request, {
+      file: request.mainFile.originalFilename || null,
+      outputs: request.outputs,
+      target_language: request.targetLanguage,
+      user: req.user ? { id: req.user.id, username: req.user.username } : null
     });
+    return res.status(202).json(jobStatus(job));
+  } catch (err) {
+    console.error("Error submitting job:", err);
+    return sendError(res, err);
+  }
+});
 
-    const prompt = [
-      `Target language: ${targetLanguage}`,
-      `Requested outputs: ${outputs.join(", ")}`,
-      "",
-      "You must respond with ONLY valid JSON matching the following schema:",
-      "```json",
-      schemaDescription,
-      "```",
-      "",
-      "Rules:",
-      "- Use ONLY the MAIN DOCUMENT for translation/summary/key points/to-dos.",
-      "- Use CROSS DOCUMENTS for cross-reference and to help fill the response template when available.",
-      "",
-      "Summary requirement (if requested):",
-      "- More detailed than a short abstract.",
-      "- Include key context, key decisions, important constraints, and risks/implications if present.",
-      "- Aim for ~8-12 sentences unless the document is extremely short.",
-      "",
-      "Template requirement (if requested):",
-      "- response_template should be a structured, reusable email/letter-style reply to the inquiry in the MAIN DOCUMENT.",
-      "- Include sections like greeting, reference to the inquiry, key answers, and closing.",
-      "- If relevant information is clearly present in CROSS DOCUMENTS (for example KYC data lists), incorporate it directly into the template.",
-      "- If relevant information is not present, leave clearly marked placeholders (e.g. [INSERT KYC DATA HERE]) for the user to fill manually.",
-      "",
-      `Allowed departments: ${DEPARTMENTS.join(", ")}`,
-      "",
-      "Cross-reference requirement (if requested):",
-      "- Identify questions/unknowns/requests in the MAIN DOCUMENT.",
-      "- Search CROSS DOCUMENTS for answers/evidence.",
-      "- If not found: answer=\"\", confidence=\"low\", found_in=\"not found\".",
-      "",
-      "MAIN DOCUMENT:",
-      docText,
-      "",
-      (wantsCross || wantsTemplate) ? "CROSS DOCUMENTS:" : "",
-      (wantsCross || wantsTemplate) ? (crossText || "(none provided)") : ""
-    ].filter(Boolean).join("\n");
-
-    const modelName = process.env.CLAUDE_MODEL || "claude-sonnet-4-20250514";
-
-    const message = await anthropic.messages.create({
-      model: modelName,
-      max_tokens: 8192,
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ]
+app.get("/api/jobs/:id", (req, res) => {
+  try {
+    return res.json(jobStatus(findJob(req)));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// 200 with the same JSON as /api/analyze once done; 202 with the sections finished so far
+// while queued/running; the original error status and body if the job failed.
+app.get("/api/jobs/:id/result", (req, res) => {
+  try {
+    const job = findJob(req);
+    if (job.status === "done") return res.json(job.result);
+    if (job.status === "failed") {
+      const { status, ...body } = job.error;
+      return res.status(status).json(body);
+    }
+    return res.status(202).json({ status: job.status, partial: job.partial });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Batch analysis: the same outputs over many main documents (several "file" parts and/or
+// ZIP archives of them). Cross documents, if any, apply to every document in the batch;
+// compare is not offered, since each document would need its own previous version.
+// Uploads and unpacked archives live in workDir, which is removed once the batch is over.
+// Each document is analyzed and saved to history as if uploaded alone; the batch result
+// lists them all and merges their to-dos per department.
+async function runBatch(request, job) {
+  const { documents, skipped, workDir, ...shared } = request;
+  const progress = { stage: "running", documents: documents.length, done: 0, failed: 0 };
+  job.progress = progress;
+
+  try {
+    const results = await mapLimit(documents, BATCH_CONCURRENCY, async (mainFile, index) => {
+      const doc = { index, file: mainFile.originalFilename || null };
+      try {
+        const result = await runAnalysis({ ...shared, mainFile });
+        progress.done++;
+        return { ...doc, status: "done", history_id: result.meta.history_id, result };
+      } catch (err) {
+        console.error(`Batch ${job.id}: ${doc.file} failed:`, err);
+        progress.failed++;
+        return { ...doc, status: "failed", history_id: null, error: { status: err?.statusCode || 500, ...errorBody(err) } };
+      }
     });
 
-    // Extract text from response
-    const responseText = message.content
-      .filter(block => block.type === "text")
-      .map(block => block.text)
-      .join("");
+    const usage = emptyUsage();
+    for (const doc of results) {
+      const u = doc.result?.meta?.usage;
+      if (!u) continue;
+      usage.input_tokens += u.input_tokens;
+      usage.output_tokens += u.output_tokens;
+      usage.requests += u.requests;
+    }
 
-    // Parse JSON from response - handle potential markdown code blocks
-    let jsonText = responseText.trim();
+    return {
+      documents: results,
+      skipped,
+      todos_by_department: consolidateTodos(results, departmentNames(departments)),
+      meta: {
+        batch_id: job.id,
+        provider: provider.name,
+        model: provider.model,
+        outputs: shared.outputs,
+        target_language: shared.targetLanguage,
+        departments: departmentNames(departments),
+        documents: results.length,
+        done: progress.done,
+        failed: progress.failed,
+        usage: { ...usage, cost: costFor(prices, provider.model, usage) },
+        generated_at: new Date().toISOString()
+      }
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
 
-    // Remove markdown code blocks if present
-    if (jsonText.startsWith("```json")) {
-      jsonText = jsonText.slice(7);
-    } else if (jsonText.startsWith("```")) {
-      jsonText = jsonText.slice(3);
+// One batch runs at a time; its documents are analyzed BATCH_CONCURRENCY at once.
+const batchQueue = createJobQueue({
+  concurrency: 1,
+  ttlMs: (Number(process.env.JOB_TTL_MINUTES) || 24 * 60) * 60 * 1000,
+  run: runBatch
+});
+
+function batchStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    position: batchQueue.position(job),
+    ...job.info,
+    progress: job.progress,
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at
+  };
+}
+
+function findBatch(req) {
+  const job = batchQueue.get(req.params.id);
+  if (!job || !ownedBy(req.user, job.info.user)) throw httpError(404, "Batch not found or expired.");
+  return job;
+}
+
+app.post("/api/batches", async (req, res) => {
+  const workDir = path.join(os.tmpdir(), `document-analyzer-batch-${crypto.randomUUID()}`);
+  try {
+    const uploadDir = path.join(workDir, "uploads");
+    await fs.mkdir(uploadDir, { recursive: true });
+    const parsed = await parseMultipart(req, { maxFileSize: BATCH_MAX_BYTES, uploadDir });
+    const request = readAnalysisOptions(parsed);
+    if (request.outputs.includes("compare")) {
+      throw httpError(400, "The compare output is not available for batches: analyze each revised document on its own with its previous version.");
     }
-    if (jsonText.endsWith("```")) {
-      jsonText = jsonText.slice(0, -3);
+    const { documents, skipped } = await expandBatchUploads(toArray(parsed.files?.file), workDir, {
+      maxDocuments: BATCH_MAX_DOCUMENTS,
+      maxBytes: BATCH_MAX_BYTES
+    });
+    await checkBudget(req.user);
+
+    const job = batchQueue.submit({ ...request, user: req.user, documents, skipped, workDir }, {
+      files: documents.map(d => d.originalFilename || null),
+      skipped,
+      outputs: request.outputs,
+      target_language: request.targetLanguage,
+      user: req.user ? { id: req.user.id, username: req.user.username } : null
+    });
+    return res.status(202).json(batchStatus(job));
+  } catch (err) {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    console.error("Error submitting batch:", err);
+    return sendError(res, err);
+  }
+});
+
+app.get("/api/batches/:id", (req, res) => {
+  try {
+    return res.json(batchStatus(findBatch(req)));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// 200 with { documents, skipped, todos_by_department, meta } once done, 202 while running.
+app.get("/api/batches/:id/result", (req, res) => {
+  try {
+    const job = findBatch(req);
+    if (job.status === "done") return res.json(job.result);
+    if (job.status === "failed") {
+      const { status, ...body } = job.error;
+      return res.status(status).json(body);
     }
-    jsonText = jsonText.trim();
-
-    let out;
-    try {
-      out = JSON.parse(jsonText);
-    } catch {
-      return res.status(502).json({
-        error: "Claude returned non-JSON output unexpectedly.",
-        details: responseText || null
-      });
+    return res.status(202).json(batchStatus(job));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Past analyses
+app.get("/api/history", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    return res.json(await history.list({ limit, offset, user: req.user }));
+  } catch (err) {
+    console.error("Error listing history:", err);
+    return sendError(res, err);
+  }
+});
+
+app.get("/api/history/:id", async (req, res) => {
+  try {
+    const record = await history.get(req.params.id);
+    if (!record || !ownedBy(req.user, record.user)) throw httpError(404, "History entry not found.");
+    return res.json(record);
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+app.delete("/api/history/:id", async (req, res) => {
+  try {
+    const record = await history.get(req.params.id);
+    if (!record || !ownedBy(req.user, record.user)) throw httpError(404, "History entry not found.");
+    await history.remove(req.params.id);
+    return res.status(204).end();
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// To-do board: the tasks of every saved analysis, tracked with owner, status, due date and
+// comments. Filters: department, status, analysis (history ID), owner.
+app.get("/api/todos", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 500, 1), 2000);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const status = TODO_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+    return res.json({
+      statuses: TODO_STATUSES,
+      ...(await todos.list(req.user, {
+        department: req.query.department || undefined,
+        status,
+        analysisId: req.query.analysis || undefined,
+        owner: req.query.owner || undefined,
+        limit,
+        offset
+      }))
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+app.get("/api/todos/:id", async (req, res) => {
+  try {
+    const item = await todos.get(req.user, req.params.id);
+    if (!item) throw httpError(404, "To-do not found.");
+    return res.json(item);
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Body: any of { owner, status, due_date }.
+app.patch("/api/todos/:id", async (req, res) => {
+  try {
+    const { owner, status, due_date } = req.body || {};
+    return res.json(await todos.update(req.user, req.params.id, { owner, status, due_date }));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+app.post("/api/todos/:id/comments", async (req, res) => {
+  try {
+    return res.status(201).json(await todos.addComment(req.user, req.params.id, req.body?.text));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Webhook subscriptions: each finished analysis is POSTed as signed JSON to the
+// subscriptions of the user who ran it (see lib/webhooks.js for the signature scheme).
+app.get("/api/webhooks", async (req, res) => {
+  try {
+    return res.json({ events: WEBHOOK_EVENTS, items: await webhooks.list(req.user) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+app.post("/api/webhooks", async (req, res) => {
+  try {
+    return res.status(201).json(await webhooks.create(req.user, req.body || {}));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+app.delete("/api/webhooks/:id", async (req, res) => {
+  try {
+    if (!(await webhooks.remove(req.user, req.params.id))) throw httpError(404, "Webhook not found.");
+    return res.status(204).end();
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Sends a "ping" event straight away and returns the outcome of the first attempt.
+app.post("/api/webhooks/:id/test", async (req, res) => {
+  try {
+    return res.json(await webhooks.test(req.user, req.params.id));
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Delivery log, newest first. ?status=failed lists deliveries that are retrying or gave up.
+app.get("/api/webhooks/deliveries", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const status = ["pending", "retrying", "delivered", "gave_up", "failed"].includes(req.query.status) ? req.query.status : undefined;
+    const items = await webhooks.deliveryLog(req.user, { status, subscriptionId: req.query.subscription || undefined, limit });
+    return res.json({ items });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Token usage and cost per day for the signed-in user. from/to are YYYY-MM-DD (UTC,
+// inclusive); admins can add scope=all for every user's rows and the overall spend.
+app.get("/api/usage", async (req, res) => {
+  try {
+    const day = /^\d{4}-\d{2}-\d{2}$/;
+    const from = day.test(req.query.from) ? req.query.from : undefined;
+    const to = day.test(req.query.to) ? req.query.to : undefined;
+    // Admins see every user's usage; everyone else only their own.
+    const all = !req.user || req.query.scope === "all";
+    if (all && req.user && !req.user.admin) throw httpError(403, "Only admins can see every user's usage.");
+    const rows = await usageLedger.summary({ from, to, userId: all ? undefined : req.user.id });
+
+    const totals = { analyses: 0, failed: 0, input_tokens: 0, output_tokens: 0, cost: 0 };
+    for (const row of rows) {
+      for (const k of Object.keys(totals)) totals[k] += row[k];
     }
+    totals.cost = Math.round(totals.cost * 1e6) / 1e6;
 
-    return res.status(200).json(out);
+    return res.json({
+      currency: prices.currency,
+      provider: provider.name,
+      model: provider.model,
+      model_priced: Boolean(priceFor(prices, provider.model)),
+      scope: all ? "all" : "user",
+      days: rows,
+      totals,
+      budget: {
+        daily: BUDGET_DAILY,
+        spent_today: all ? await usageLedger.spentOn() : null,
+        user_daily: BUDGET_USER_DAILY,
+        user_spent_today: req.user ? await usageLedger.spentOn({ userId: req.user.id }) : null
+      }
+    });
   } catch (err) {
-    console.error("Error processing request:", err);
-    const status = err?.statusCode || 500;
-    return res.status(status).json({ error: err?.message || "Server error" });
+    console.error("Error reading usage:", err);
+    return sendError(res, err);
+  }
+});
+
+// Export translation / response template as a real Word document
+app.post("/api/export/docx", async (req, res) => {
+  try {
+    const { kind, text, meta } = req.body || {};
+    const { buffer, filename } = await buildDocx({
+      kind: String(kind || ""),
+      text: String(text || ""),
+      meta: {
+        sourceFilename: meta?.source_filename || "",
+        targetLanguage: meta?.target_language || "",
+        model: meta?.model || "",
+        generatedAt: meta?.generated_at || new Date().toISOString()
+      }
+    });
+
+    res.setHeader("Content-Type", DOCX_MIME);
+    res.attachment(filename);
+    return res.send(buffer);
+  } catch (err) {
+    console.error("Error exporting document:", err);
+    return sendError(res, err);
   }
 });
 
@@ -316,6 +1050,35 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
+// First account on a fresh deployment, where there is no shell to run scripts/users.js.
+async function bootstrapAdmin() {
+  if (!AUTH_ENABLED) {
+    console.warn("AUTH_ENABLED=false: the API is open to anyone who can reach this server.");
+    return;
+  }
+  if (await users.count()) return;
+
+  const { AUTH_ADMIN_USERNAME: username, AUTH_ADMIN_PASSWORD: password } = process.env;
+  if (username && password) {
+    await users.create({ username, password, admin: true });
+    console.log(`Created initial user "${username}".`);
+  } else {
+    console.warn("No user accounts yet: create one with `npm run users -- add <username>` or set AUTH_ADMIN_USERNAME/AUTH_ADMIN_PASSWORD.");
+  }
+}
+
+bootstrapAdmin().catch(err => console.error("Could not create initial user:", err));
+webhooks.resume().catch(err => console.error("Could not resume webhook deliveries:", err));
+
+if (!priceFor(prices, provider.model)) {
+  console.warn(`No price for ${provider.model} in ${PRICES_CONFIG}: costs are not computed and budget caps cannot apply.`);
+}
+if (OCR_ENABLED) {
+  checkOcrBackend().then((problem) => {
+    if (problem) console.warn(`OCR of scanned PDF pages will fail: ${problem}. Reinstall dependencies on this platform, or set OCR_ENABLED=false.`);
+  });
+}
+
 // Start server
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { startServer, tempDir } from "./helpers.js";
+
+function parseEvents(text) {
+  return text.split("\n\n").filter(block => block.startsWith("event: ")).map((block) => {
+    const [eventLine, dataLine] = block.split("\n");
+    return { event: eventLine.slice("event: ".length), data: JSON.parse(dataLine.slice("data: ".length)) };
+  });
+}
+
+function analyzeForm(fields) {
+  const form = new FormData();
+  form.append("file", new Blob(["[paragraph 1]\nAll staff must report incidents within 24 hours.\n"], { type: "text/plain" }), "policy.txt");
+  for (const [name, value] of fields) form.append(name, value);
+  return form;
+}
+
+test("streams stages and sections, then the result", async (t) => {
+  const { base, child } = await startServer(await tempDir());
+  t.after(() => child.kill());
+
+  const res = await fetch(`${base}/api/analyze/stream`, {
+    method: "POST",
+    body: analyzeForm([["targetLanguage", "English"], ["outputs", "summary"], ["outputs", "key_points"]])
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = parseEvents(await res.text());
+  const stages = events.filter(e => e.event === "stage").map(e => e.data.stage);
+  assert.deepEqual(stages.slice(0, 2), ["upload_received", "text_extracted"]);
+  assert.ok(stages.includes("model_started"));
+  assert.deepEqual(events.filter(e => e.event === "section").map(e => e.data.key).sort(), ["key_points", "summary"]);
+
+  const last = events.at(-1);
+  assert.equal(last.event, "result");
+  assert.equal(last.data.summary, events.find(e => e.event === "section" && e.data.key === "summary").data.value);
+  assert.equal(last.data.meta.cache.hit, false);
+});
+
+test("ends with an error event when the request is invalid", async (t) => {
+  const { base, child } = await startServer(await tempDir());
+  t.after(() => child.kill());
+
+  const res = await fetch(`${base}/api/analyze/stream`, { method: "POST", body: analyzeForm([["outputs", "summary"]]) });
+  const events = parseEvents(await res.text());
+
+  assert.deepEqual(events, [{ event: "error", data: { status: 400, error: "Missing multipart field: targetLanguage" } }]);
+});
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { analyzeDocument } from "../lib/analyzer.js";
+import { createMockProvider } from "../lib/providers/mock.js";
+
+const MAX_REPAIR_ATTEMPTS = Number(process.env.MAX_REPAIR_ATTEMPTS || 2);
+const departments = [{ name: "Legal", aliases: [] }];
+
+// The mock provider, returning { summary: 5 } (not a string) for the first `invalid` calls.
+function flakyProvider(invalid) {
+  const mock = createMockProvider({});
+  const broken = createMockProvider({ fixture: { summary: 5 } });
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      ...mock,
+      structured(args) {
+        calls.push(args.messages);
+        return (calls.length <= invalid ? broken : mock).structured(args);
+      }
+    }
+  };
+}
+
+function analyze(provider, onProgress) {
+  return analyzeDocument({
+    provider,
+    targetLanguage: "English",
+    outputs: ["summary", "key_points"],
+    departments,
+    docText: "Please pay the invoice by Friday.",
+    segments: [{ label: "page 1", text: "Please pay the invoice by Friday." }],
+    crossText: "",
+    onProgress
+  });
+}
+
+test("asks the model to repair output that fails validation", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { provider, calls } = flakyProvider(1);
+  const usage = { input_tokens: 0, output_tokens: 0, requests: 0 };
+
+  const { result } = await analyzeDocument({
+    provider,
+    targetLanguage: "English",
+    outputs: ["summary"],
+    departments,
+    docText: "Please pay the invoice by Friday.",
+    crossText: "",
+    usage
+  });
+
+  assert.equal(typeof result.summary, "string");
+  assert.equal(calls.length, 2);
+  assert.equal(usage.requests, 2);
+  const repair = calls[1].find(m => m.role === "tool_error");
+  assert.match(repair.content, /- \/summary: must be string/);
+});
+
+test("gives up after the allowed repair attempts", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { provider, calls } = flakyProvider(Infinity);
+
+  await assert.rejects(analyze(provider), (err) => {
+    assert.equal(err.statusCode, 502);
+    assert.match(err.message, /did not match the expected schema/);
+    assert.deepEqual(err.violations, [{ path: "/summary", message: "must be string" }]);
+    return true;
+  });
+  assert.equal(calls.length, MAX_REPAIR_ATTEMPTS + 1);
+});
+
+test("retracts sections streamed by an attempt that failed validation", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { provider } = flakyProvider(1);
+  const events = [];
+
+  await analyze(provider, (type, data) => events.push(type === "section" ? [type, data.key, typeof data.value] : [type, data]));
+
+  assert.deepEqual(events.slice(1), [
+    ["section", "summary", "number"],
+    ["section", "key_points", "object"],
+    ["retract", { keys: ["summary", "key_points"] }],
+    ["stage", { stage: "repairing", attempt: 1 }],
+    ["section", "summary", "string"],
+    ["section", "key_points", "object"]
+  ]);
+});
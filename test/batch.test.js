@@ -0,0 +1,100 @@
+import JSZip from "jszip";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { consolidateTodos, expandBatchUploads } from "../lib/batch.js";
+import { tempDir } from "./helpers.js";
+
+// Writes a ZIP of { name: content } and returns it as a formidable-like upload.
+async function zipUpload(dir, entries, name = "batch.zip") {
+  const zip = new JSZip();
+  for (const [entry, content] of Object.entries(entries)) zip.file(entry, content);
+  const filepath = path.join(dir, name);
+  await fs.writeFile(filepath, await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" }));
+  return { filepath, originalFilename: name, mimetype: "application/zip", size: (await fs.stat(filepath)).size };
+}
+
+const limits = { maxDocuments: 10, maxBytes: 50 * 1024 * 1024 };
+
+test("unpacks supported entries and lists the rest as skipped", async () => {
+  const dir = await tempDir();
+  const upload = await zipUpload(dir, {
+    "b.txt": "Second",
+    "a.md": "First",
+    "photo.png": "not a document",
+    "__MACOSX/._a.md": "resource fork",
+    ".DS_Store": "",
+    "~$draft.docx": "lock file"
+  });
+  const plain = { filepath: path.join(dir, "c.txt"), originalFilename: "c.txt", mimetype: "text/plain", size: 5 };
+
+  const { documents, skipped } = await expandBatchUploads([upload, plain], path.join(dir, "out"), limits);
+
+  assert.deepEqual(documents.map(d => d.originalFilename), ["a.md", "b.txt", "c.txt"]);
+  assert.equal(await fs.readFile(documents[0].filepath, "utf8"), "First");
+  assert.deepEqual(skipped, [{ file: "photo.png", archive: "batch.zip", reason: "Unsupported file type." }]);
+});
+
+test("never writes outside the work directory, whatever the entry names", async () => {
+  const dir = await tempDir();
+  const out = path.join(dir, "work", "out");
+  const upload = await zipUpload(dir, { "../../escape.txt": "outside?", "/etc/absolute.txt": "absolute?" });
+
+  const { documents } = await expandBatchUploads([upload], out, limits);
+
+  assert.equal(documents.length, 2);
+  for (const doc of documents) assert.equal(path.dirname(doc.filepath), out);
+  assert.deepEqual((await fs.readdir(dir)).sort(), ["batch.zip", "work"]);
+  assert.deepEqual(await fs.readdir(path.join(dir, "work")), ["out"]);
+});
+
+test("enforces the document count and unpacked size limits", async () => {
+  const dir = await tempDir();
+  const three = await zipUpload(dir, { "1.txt": "a", "2.txt": "b", "3.txt": "c" });
+  await assert.rejects(expandBatchUploads([three], path.join(dir, "out1"), { ...limits, maxDocuments: 2 }), {
+    statusCode: 400,
+    message: "A batch can contain at most 2 documents (got 3)."
+  });
+
+  const large = await zipUpload(dir, { "1.txt": "x".repeat(600), "2.txt": "y".repeat(600) }, "large.zip");
+  await assert.rejects(expandBatchUploads([large], path.join(dir, "out2"), { ...limits, maxBytes: 1000 }), { statusCode: 413 });
+});
+
+test("skips an entry that unpacks to more than 10 MB", async () => {
+  const dir = await tempDir();
+  const upload = await zipUpload(dir, { "bomb.txt": Buffer.alloc(11 * 1024 * 1024), "ok.txt": "fine" });
+
+  const { documents, skipped } = await expandBatchUploads([upload], path.join(dir, "out"), limits);
+
+  assert.deepEqual(documents.map(d => d.originalFilename), ["ok.txt"]);
+  assert.deepEqual(skipped, [{ file: "bomb.txt", archive: "batch.zip", reason: "Larger than 10 MB." }]);
+  assert.deepEqual(await fs.readdir(path.join(dir, "out")), ["0.txt"]);
+});
+
+test("rejects unreadable archives and batches without documents", async () => {
+  const dir = await tempDir();
+  const filepath = path.join(dir, "broken.zip");
+  await fs.writeFile(filepath, "not a zip");
+  await assert.rejects(expandBatchUploads([{ filepath, originalFilename: "broken.zip", mimetype: "application/zip" }], dir, limits), {
+    statusCode: 400,
+    message: "broken.zip is not a readable ZIP file."
+  });
+
+  const images = await zipUpload(dir, { "scan.png": "png" });
+  await assert.rejects(expandBatchUploads([images], dir, limits), { statusCode: 400, message: /no documents in a supported format/ });
+});
+
+test("consolidates to-dos per department with their document", () => {
+  const documents = [
+    { index: 0, file: "a.pdf", history_id: "h1", result: { todos_by_department: { Legal: [{ task: "Sign" }], Finance: [] } } },
+    { index: 1, file: "b.pdf", history_id: null, result: null },
+    { index: 2, file: "c.pdf", history_id: "h3", result: { todos_by_department: { Legal: [{ task: "Sign" }], Other: [{ task: "File" }] } } }
+  ];
+
+  const merged = consolidateTodos(documents, ["Legal", "Finance"]);
+
+  assert.deepEqual(merged.Legal.map(t => t.document.file), ["a.pdf", "c.pdf"]);
+  assert.deepEqual(merged.Finance, []);
+  assert.deepEqual(merged.Other, [{ task: "File", document: { index: 2, file: "c.pdf", history_id: "h3" } }]);
+});
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { chunkSegments, isNearDuplicate, mergeKeyPoints, mergeObligations } from "../lib/chunking.js";
+
+const words = (n, word = "lorem") => Array.from({ length: n }, () => word).join(" ");
+
+test("packs whole segments into chunks and labels page ranges", () => {
+  const segments = [1, 2, 3, 4].map(n => ({ label: `page ${n}`, text: words(8) }));
+  const chunks = chunkSegments(segments, 100);
+
+  assert.deepEqual(chunks.map(c => c.label), ["pages 1-2", "pages 3-4"]);
+  assert.deepEqual(chunks.map(c => [c.index, c.total]), [[0, 2], [1, 2]]);
+  assert.ok(chunks.every(c => c.text.length <= 100));
+});
+
+test("labels single segments and mixed ranges", () => {
+  const one = chunkSegments([{ label: "page 7", text: "short" }], 100);
+  assert.equal(one[0].label, "page 7");
+
+  const mixed = chunkSegments([{ label: "Introduction", text: "a" }, { label: "page 2", text: "b" }], 100);
+  assert.equal(mixed[0].label, "Introduction - page 2");
+});
+
+test("splits a segment larger than the budget at paragraphs and whitespace", () => {
+  const text = [words(10), words(30), words(10)].join("\n\n");
+  const chunks = chunkSegments([{ label: "page 1", text }], 80);
+
+  assert.ok(chunks.length > 2);
+  assert.ok(chunks.every(c => c.text.length <= 80 && c.label === "page 1"));
+  const cutWords = chunks.flatMap(c => c.text.trim().split(/\s+/));
+  assert.equal(cutWords.length, 50);
+  assert.ok(cutWords.every(w => w === "lorem"));
+});
+
+test("hard-cuts a paragraph without whitespace", () => {
+  const chunks = chunkSegments([{ label: "page 1", text: "x".repeat(250) }], 100);
+
+  assert.deepEqual(chunks.map(c => c.text.length), [100, 100, 50]);
+});
+
+test("prefixes pieces with their label when marked", () => {
+  const chunks = chunkSegments([{ label: "page 1", text: "one" }, { label: "page 2", text: "two" }], 100, { marked: true });
+
+  assert.equal(chunks[0].text, "[page 1]\none\n\n[page 2]\ntwo");
+});
+
+test("treats near-duplicates as one but keeps different numbers apart", () => {
+  assert.ok(isNearDuplicate("Pay the invoice within 30 days.", "pay the invoice within 30 days"));
+  assert.ok(isNearDuplicate("The tenant must pay the monthly rent to the landlord", "The tenant must pay monthly rent to the landlord"));
+  assert.ok(!isNearDuplicate("Reply within 5 days", "Reply within 6 days"));
+  assert.ok(!isNearDuplicate("Renew the insurance", "Cancel the lease"));
+  assert.ok(!isNearDuplicate("", ""));
+});
+
+test("merges key points keeping tags and the highest rated risk", () => {
+  const merged = mergeKeyPoints([
+    [{ point: "Rent rises by 5% in March", tags: ["money"], risk: { likelihood: 2, impact: 2 } }],
+    [
+      { point: "Rent rises by 5% in March.", tags: ["deadline"], risk: { likelihood: 3, impact: 4 } },
+      { point: "Rent rises by 6% in March", tags: [] }
+    ],
+    null
+  ]);
+
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged[0].tags, ["money", "deadline"]);
+  assert.deepEqual(merged[0].risk, { likelihood: 3, impact: 4 });
+  assert.equal(merged[1].point, "Rent rises by 6% in March");
+});
+
+test("merges obligations keeping the highest severity", () => {
+  const merged = mergeObligations([
+    [{ obligation: "Return the keys within 5 days", severity: "medium" }],
+    [
+      { obligation: "Return the keys within 5 days.", severity: "critical" },
+      { obligation: "Return the keys within 6 days", severity: "low" }
+    ],
+    [{ obligation: "return the keys within 5 days", severity: "high" }]
+  ]);
+
+  assert.deepEqual(merged.map(o => o.severity), ["critical", "low"]);
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { locateQuote, markSegments, verifyCitations } from "../lib/citations.js";
+
+const segments = [
+  { label: "page 1", text: "Dear Ms Smith,\n\nThank you for your letter." },
+  { label: "page 2", text: "The rent of £900 is due on the first day of each month.\nLate payments incur a   fee of “£25”." },
+  { label: "page 3", text: "   " }
+];
+
+test("marks each non-empty segment with its label", () => {
+  assert.equal(markSegments(segments), "[page 1]\nDear Ms Smith,\n\nThank you for your letter.\n\n[page 2]\n" + segments[1].text);
+});
+
+test("locates an exact quote with offsets into its segment", () => {
+  const { start, end, ...where } = locateQuote("due on the first day of each month", segments);
+
+  assert.deepEqual(where, { segment: 1, label: "page 2", partial: false });
+  assert.equal(segments[1].text.slice(start, end), "due on the first day of each month");
+});
+
+test("locates a quote that differs in case, whitespace and quote marks", () => {
+  const found = locateQuote("LATE payments\nincur a fee of \"£25\".", segments);
+
+  assert.equal(found.label, "page 2");
+  assert.equal(segments[1].text.slice(found.start, found.end), "Late payments incur a   fee of “£25”.");
+
+  assert.equal(locateQuote("the rent of £900 IS DUE", segments).start, 0);
+});
+
+test("falls back to the longest fragment of an elided quote", () => {
+  const found = locateQuote("The rent of £900 ... Late payments incur a fee of", segments);
+
+  assert.equal(found.partial, true);
+  assert.equal(segments[1].text.slice(found.start, found.end), "Late payments incur a   fee of");
+});
+
+test("does not verify quotes that are not in the document", () => {
+  assert.equal(locateQuote("The rent of £950 is due", segments), null);
+  assert.equal(locateQuote("  ", segments), null);
+
+  const result = {
+    key_points: [{ point: "Rent", quote: "rent of £900" }, { point: "Deposit", quote: "a deposit of £1,800" }, { point: "Other", quote: "" }],
+    cross_reference: [{ question: "Fee?", found_in: "terms.pdf", quote: "fee of £25" }]
+  };
+  verifyCitations(result, {
+    main: { file: "letter.pdf", segments },
+    cross: [{ file: "other.pdf", segments: [] }, { file: "terms.pdf", segments: [{ label: "paragraph 4", text: "A fee of £25 applies." }] }]
+  });
+
+  assert.equal(result.key_points[0].citation.verified, true);
+  assert.equal(result.key_points[0].citation.source, "main");
+  assert.deepEqual(result.key_points[1].citation, { verified: false, source: "main" });
+  assert.equal(result.key_points[2].citation, null);
+  assert.equal(result.cross_reference[0].citation.source, "cross:1");
+  assert.equal(result.cross_reference[0].citation.label, "paragraph 4");
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { loadCustomOutputs, selectCustomOutputs } from "../lib/custom-outputs.js";
+import { tempDir } from "./helpers.js";
+
+const parties = {
+  key: "parties",
+  label: "Parties",
+  instructions: ["List every party to the agreement.", "", "Use their full names."],
+  schema: { type: "array", items: { type: "string" } }
+};
+
+async function configFile(content) {
+  const file = path.join(await tempDir(), "custom-outputs.json");
+  await fs.writeFile(file, typeof content === "string" ? content : JSON.stringify(content));
+  return file;
+}
+
+test("loads custom output definitions", async () => {
+  const outputs = loadCustomOutputs(await configFile([parties, { ...parties, key: "term", label: "Term", instructions: "The contract term.", description: " How long " }]));
+
+  assert.deepEqual(outputs[0], { ...parties, description: "", instructions: ["List every party to the agreement.", "Use their full names."] });
+  assert.deepEqual(outputs[1].instructions, ["The contract term."]);
+  assert.equal(outputs[1].description, "How long");
+  assert.deepEqual(selectCustomOutputs(["summary", "term"], outputs).map(o => o.key), ["term"]);
+});
+
+test("treats a missing file as no custom outputs", async () => {
+  assert.deepEqual(loadCustomOutputs(path.join(await tempDir(), "none.json")), []);
+});
+
+test("rejects invalid definitions with the reason", async () => {
+  const invalid = [
+    ["{ not json", /custom-outputs\.json: /],
+    [{ key: "parties" }, /expected an array of output types/],
+    [[{ ...parties, key: "Parties" }], /output #1 needs a key of lower-case letters/],
+    [[{ ...parties, key: "summary" }], /output key "summary" is reserved/],
+    [[{ ...parties, key: "sources" }], /output key "sources" is reserved/],
+    [[parties, parties], /output key "parties" is used more than once/],
+    [[{ ...parties, label: " " }], /output "parties" has no label/],
+    [[{ ...parties, instructions: ["", " "] }], /output "parties" has no instructions/],
+    [[{ ...parties, schema: [] }], /output "parties" needs a JSON schema object/],
+    [[{ ...parties, schema: { type: "list" } }], /output "parties" has an invalid schema/]
+  ];
+  for (const [content, message] of invalid) {
+    const file = await configFile(content);
+    assert.throws(() => loadCustomOutputs(file), { message }, JSON.stringify(content));
+  }
+});
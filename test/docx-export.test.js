@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import JSZip from "jszip";
+import { buildDocx } from "../lib/docx-export.js";
+
+async function documentXml(args) {
+  const { buffer } = await buildDocx(args);
+  const zip = await JSZip.loadAsync(buffer);
+  return { document: await zip.file("word/document.xml").async("string"), core: await zip.file("docProps/core.xml").async("string") };
+}
+
+test("drops control characters that XML does not allow", async () => {
+  const { document, core } = await documentXml({
+    kind: "translation",
+    text: "Page one ends here.\f\nPage two\u0000 starts\u000b here.\ttabbed",
+    meta: { sourceFilename: "scan\u0001.pdf", targetLanguage: "English" }
+  });
+
+  assert.doesNotMatch(document, /[\u0000-\u0008\u000b\u000c\u000e-\u001f]/);
+  assert.doesNotMatch(core, /[\u0000-\u0008\u000b\u000c\u000e-\u001f]/);
+  assert.match(document, /Page one ends here\./);
+  assert.match(document, /Page two starts here\./);
+  assert.match(document, /scan\.pdf/);
+});
+
+test("highlights placeholders and turns markdown and all-caps lines into headings", async () => {
+  const { document } = await documentXml({ kind: "template", text: "SUBJECT\nDear [RECIPIENT NAME],\n\n## Next steps\n- Call us\n- Write back" });
+
+  assert.match(document, /<w:highlight w:val="yellow"\/>.*?\[RECIPIENT NAME\]/s);
+  assert.equal((document.match(/<w:pStyle w:val="Heading2"\/>/g) || []).length, 2);
+  assert.equal((document.match(/<w:numPr>/g) || []).length, 2);
+});
+
+test("refuses unknown kinds and empty text", async () => {
+  await assert.rejects(buildDocx({ kind: "summary", text: "x" }), { statusCode: 400 });
+  await assert.rejects(buildDocx({ kind: "translation", text: " \n " }), { statusCode: 400 });
+});
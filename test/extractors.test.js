@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { extractBuffer, findExtractor } from "../lib/extractors/index.js";
+import pdf from "../lib/extractors/pdf.js";
+
+// A PDF whose first page has no text layer and whose second page has one. The comment
+// pads it out: pdf-parse's bundled pdf.js does not read very small hand-written files.
+function pdfWithScannedPage() {
+  const text = "BT /F1 14 Tf 72 720 Td (This page has a real text layer with plenty of characters in it.) Tj ET";
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R 5 0 R] /Count 2 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R >>",
+    "<< /Length 0 >>\nstream\n\nendstream",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 7 0 R >> >> /Contents 6 0 R >>",
+    `<< /Length ${text.length} >>\nstream\n${text}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>"
+  ];
+  let out = `%PDF-1.4\n%${"-".repeat(16 * 1024)}\n`;
+  const offsets = objects.map((body, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
+
+test("keeps the text layer and reports the failure when OCR fails", async (t) => {
+  const langPath = process.env.OCR_LANG_PATH;
+  process.env.OCR_LANG_PATH = "/nonexistent-tessdata";
+  t.after(() => {
+    if (langPath === undefined) delete process.env.OCR_LANG_PATH;
+    else process.env.OCR_LANG_PATH = langPath;
+  });
+  t.mock.method(console, "error", () => {});
+
+  const { text, segments, ocr } = await pdf.extract(pdfWithScannedPage());
+
+  assert.deepEqual(segments.map(s => s.label), ["page 1", "page 2"]);
+  assert.equal(segments[0].text, "");
+  assert.match(text, /real text layer/);
+  assert.deepEqual(ocr.pages, []);
+  assert.deepEqual(ocr.failed_pages, [1]);
+  assert.match(ocr.error, /^OCR failed: .*not found/);
+});
+
+test("picks the extractor by extension first, then by MIME type", () => {
+  const kind = info => findExtractor(info)?.kind ?? null;
+
+  assert.equal(kind({ name: "Letter.PDF", mimetype: "application/octet-stream" }), "pdf");
+  assert.equal(kind({ name: "notes.md", mimetype: "text/plain" }), "markdown");
+  assert.equal(kind({ name: "sheet.xlsm" }), "xlsx");
+  assert.equal(kind({ name: "upload", mimetype: "text/html; charset=utf-8" }), "html");
+  assert.equal(kind({ name: "upload", mimetype: "message/rfc822" }), "eml");
+  assert.equal(kind({ name: "archive.zip", mimetype: "application/zip" }), null);
+});
+
+test("rejects unsupported files with the supported formats", async () => {
+  await assert.rejects(extractBuffer(Buffer.from("PK"), { name: "archive.zip" }), {
+    statusCode: 400,
+    message: /^Unsupported file type\. Supported formats: PDF, .*Markdown/
+  });
+});
+
+test("extracts text files into paragraph segments", async () => {
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from("First line\r\n\r\nSecond", "utf16le")]);
+  const txt = await extractBuffer(utf16, { name: "notes.txt" });
+  assert.equal(txt.kind, "txt");
+  assert.equal(txt.text, "First line\n\nSecond");
+  assert.deepEqual(txt.segments, [{ label: "paragraph 1", text: "First line" }, { label: "paragraph 2", text: "Second" }]);
+
+  const html = await extractBuffer(Buffer.from("<h1>Notice</h1><p>Pay <a href='/x'>now</a>.</p><img src='a.png'>"), { name: "page.html" });
+  assert.equal(html.kind, "html");
+  assert.deepEqual(html.segments.map(s => s.text), ["Notice", "Pay now."]);
+});
@@ -0,0 +1,45 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { after } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const dirs = [];
+after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+// A fresh directory under the system temp dir, removed when the test file is done.
+export async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "document-analyzer-test-"));
+  dirs.push(dir);
+  return dir;
+}
+
+async function freePort() {
+  const server = net.createServer().listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+// Runs server.js with the mock provider and no sign-in on a free port; stop it with
+// child.kill().
+export async function startServer(dataDir) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: root,
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, LLM_PROVIDER: "mock", AUTH_ENABLED: "false", LLM_CASSETTE: "" },
+    stdio: "ignore"
+  });
+  const base = `http://127.0.0.1:${port}`;
+  for (let i = 0; i < 100; i++) {
+    if (await fetch(`${base}/health`).then(res => res.ok, () => false)) return { base, child };
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  child.kill();
+  throw new Error("Server did not start");
+}
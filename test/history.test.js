@@ -0,0 +1,18 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createHistoryStore } from "../lib/history.js";
+import { tempDir } from "./helpers.js";
+
+test("lists unowned records only for admins", async () => {
+  const history = createHistoryStore(await tempDir());
+  const alice = { id: "u1", username: "alice", admin: false };
+  const root = { id: "u2", username: "root", admin: true };
+  await history.save({ created_at: "2026-01-01T00:00:00Z", user: null, result: {} });
+  await history.save({ created_at: "2026-01-02T00:00:00Z", user: { id: alice.id, username: alice.username }, result: {} });
+  await history.save({ created_at: "2026-01-03T00:00:00Z", user: { id: root.id, username: root.username }, result: {} });
+
+  const owners = async (user) => (await history.list({ user })).items.map(s => s.user?.username ?? null);
+  assert.deepEqual(await owners(alice), ["alice"]);
+  assert.deepEqual(await owners(root), ["root", null]);
+  assert.deepEqual(await owners(null), ["root", "alice", null]);
+});
@@ -0,0 +1,29 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createJobQueue } from "../lib/jobs.js";
+
+async function settled(queue, job) {
+  while (!job.finished_at) await new Promise(resolve => setTimeout(resolve, 5));
+  return queue.get(job.id);
+}
+
+test("ends a job's progress with a done or failed stage", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const queue = createJobQueue({
+    run: async (input, job) => {
+      job.progress = { stage: "model_started", model: "mock" };
+      if (input.fail) throw new Error("boom");
+      return { ok: true };
+    }
+  });
+
+  const done = await settled(queue, queue.submit({}));
+  assert.equal(done.status, "done");
+  assert.deepEqual(done.progress, { stage: "done", model: "mock" });
+  assert.deepEqual(done.result, { ok: true });
+
+  const failed = await settled(queue, queue.submit({ fail: true }));
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.progress.stage, "failed");
+  assert.equal(failed.error.error, "boom");
+});
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { addOffset, parseIsoDate, resolveObligationDates } from "../lib/obligations.js";
+
+const day = date => date.toISOString().slice(0, 10);
+
+test("parses only real calendar dates", () => {
+  assert.equal(day(parseIsoDate("2024-02-29")), "2024-02-29");
+  assert.equal(parseIsoDate("2023-02-29"), null);
+  assert.equal(parseIsoDate("29.02.2024"), null);
+  assert.equal(parseIsoDate(""), null);
+});
+
+test("adds offsets in every unit", () => {
+  const friday = parseIsoDate("2024-03-01");
+  assert.equal(day(addOffset(friday, 30, "days")), "2024-03-31");
+  assert.equal(day(addOffset(friday, 2, "weeks")), "2024-03-15");
+  assert.equal(day(addOffset(friday, 1, "business_days")), "2024-03-04");
+  assert.equal(day(addOffset(friday, 5, "business_days")), "2024-03-08");
+  assert.equal(day(addOffset(friday, 1, "years")), "2025-03-01");
+  assert.equal(addOffset(friday, 1, "none"), null);
+});
+
+test("keeps month offsets within the target month", () => {
+  assert.equal(day(addOffset(parseIsoDate("2024-01-31"), 1, "months")), "2024-02-29");
+  assert.equal(day(addOffset(parseIsoDate("2023-01-31"), 1, "months")), "2023-02-28");
+  assert.equal(day(addOffset(parseIsoDate("2024-02-29"), 1, "years")), "2025-02-28");
+});
+
+test("resolves stated dates and offsets from the document date", () => {
+  const result = {
+    document_date: "2024-05-10",
+    obligations: [
+      { obligation: "File the report", due_date: "2024-06-30", due_offset_value: 0, due_offset_unit: "none" },
+      { obligation: "Reply", due_date: "", due_offset_value: 14, due_offset_unit: "days" },
+      { obligation: "Keep records", due_date: "", due_offset_value: 0, due_offset_unit: "none" },
+      { obligation: "Bad offset", due_date: "", due_offset_value: 1.5, due_offset_unit: "weeks" }
+    ]
+  };
+  resolveObligationDates(result);
+
+  assert.deepEqual(result.obligations.map(o => [o.due_date_resolved, o.due_date_basis]), [
+    ["2024-06-30", "stated"],
+    ["2024-05-24", "document_date"],
+    [null, null],
+    [null, null]
+  ]);
+});
+
+test("counts offsets from the analysis date when the document has none", () => {
+  const result = { document_date: "", obligations: [{ due_date: "", due_offset_value: 1, due_offset_unit: "months" }] };
+  resolveObligationDates(result, new Date("2024-01-31T22:15:00Z"));
+
+  assert.equal(result.obligations[0].due_date_resolved, "2024-02-29");
+  assert.equal(result.obligations[0].due_date_basis, "analysis_date");
+});
+
+test("leaves results without obligations alone", () => {
+  const result = { summary: "No obligations." };
+  assert.equal(resolveObligationDates(result), result);
+  assert.deepEqual(result, { summary: "No obligations." });
+});
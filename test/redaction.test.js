@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createRedactor, loadRedactionRules, redactionFingerprint } from "../lib/redaction.js";
+
+const rules = loadRedactionRules(path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "config", "redaction.json"));
+
+test("replaces personal data with tokens and restores it", () => {
+  const redactor = createRedactor(rules);
+  const text = "Please confirm the account of Mr. John Smith, IBAN DE89 3704 0044 0532 0130 00, email compliance@bank-example.com.";
+  const redacted = redactor.redact(text, "letter.txt");
+
+  assert.equal(redacted, "Please confirm the account of Mr. [[PERSON_1]], IBAN [[IBAN_1]], email [[EMAIL_1]].");
+  assert.equal(redactor.restore(redacted), text);
+  assert.deepEqual(redactor.restore({ list: ["[[PERSON_1]] owes", "[[UNKNOWN_1]]"] }), { list: ["John Smith owes", "[[UNKNOWN_1]]"] });
+});
+
+test("gives a value one token across documents, including where no rule matches", () => {
+  const redactor = createRedactor(rules);
+  redactor.learn({ text: "Account holder: Anna Berger" });
+
+  assert.equal(redactor.redact("Name: Anna Berger", "kyc.pdf"), "Name: [[PERSON_1]]");
+  assert.equal(redactor.redact("We spoke to Anna Berger today.", "letter.txt"), "We spoke to [[PERSON_1]] today.");
+
+  const report = redactor.report();
+  assert.equal(report.values, 1);
+  assert.equal(report.occurrences, 2);
+  assert.deepEqual(report.items[0].sources, ["kyc.pdf", "letter.txt"]);
+  assert.equal(report.items[0].preview, "An…er");
+});
+
+test("rejects IBANs and phone numbers that fail their checks", () => {
+  const redactor = createRedactor(rules);
+  assert.equal(redactor.redact("IBAN DE00370400440532013000"), "IBAN DE00370400440532013000");
+  assert.equal(redactor.redact("Period 01.02.2024 - 03.2024"), "Period 01.02.2024 - 03.2024");
+  assert.equal(redactor.redact("Call +49 30 1234 5678."), "Call [[PHONE_1]].");
+});
+
+test("reports capitalised phrases left unredacted as possible names", () => {
+  const redactor = createRedactor(rules);
+  redactor.redact("Dear Jane Doe,\nMr Smith and Jane Doe signed. The Data Protection Act applies.", "letter.txt");
+
+  assert.deepEqual(redactor.report().possible_names, [
+    { occurrences: 2, sources: ["letter.txt"], preview: "Ja…oe" },
+    { occurrences: 1, sources: ["letter.txt"], preview: "Da…ct" }
+  ]);
+});
+
+test("passes text through unchanged without rules", () => {
+  const redactor = createRedactor([]);
+  assert.equal(redactor.redact("Mr. John Smith"), "Mr. John Smith");
+  assert.equal(redactor.report().enabled, false);
+  assert.deepEqual(redactor.report().possible_names, []);
+});
+
+test("fingerprints the rule set", () => {
+  assert.equal(redactionFingerprint(rules), redactionFingerprint(loadRedactionRules(path.join("config", "redaction.json"))));
+  assert.notEqual(redactionFingerprint(rules), redactionFingerprint(rules.slice(1)));
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createResultCache, resultCacheKey } from "../lib/result-cache.js";
+import { tempDir } from "./helpers.js";
+
+const base = {
+  mainSha256: "aaa",
+  crossSha256: ["bbb", "ccc"],
+  baselineSha256: null,
+  outputs: ["summary", "todos"],
+  targetLanguage: "English",
+  provider: "anthropic",
+  model: "model-a",
+  promptVersion: "v1",
+  departments: ["Legal", "Finance"],
+  redaction: "rules-1",
+  customOutputs: []
+};
+
+test("keys the cache on everything that changes the result", () => {
+  const key = resultCacheKey(base);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(resultCacheKey({ ...base, outputs: ["todos", "summary"], targetLanguage: "english" }), key);
+
+  const changes = {
+    mainSha256: "abc",
+    crossSha256: ["ccc", "bbb"],
+    baselineSha256: "ddd",
+    outputs: ["summary"],
+    targetLanguage: "German",
+    provider: "openai",
+    model: "model-b",
+    promptVersion: "v2",
+    departments: ["Legal"],
+    redaction: "rules-2",
+    customOutputs: [{ key: "parties", type: "list" }]
+  };
+  for (const [field, value] of Object.entries(changes)) {
+    assert.notEqual(resultCacheKey({ ...base, [field]: value }), key, field);
+  }
+});
+
+test("stores results until they expire", async (t) => {
+  const cache = createResultCache(await tempDir(), { ttlMs: 60 * 1000, maxEntries: 10, maxBytes: 1e6 });
+  await cache.set("k1", { summary: "Hello" });
+
+  assert.equal(await cache.has("k1"), true);
+  const hit = await cache.get("k1");
+  assert.deepEqual(hit.result, { summary: "Hello" });
+  assert.ok(Date.parse(hit.cached_at) <= Date.now());
+  assert.equal(await cache.get("missing"), null);
+
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 61 * 1000);
+  assert.equal(await cache.has("k1"), false);
+  assert.equal(await cache.get("k1"), null);
+});
+
+test("reloads entries from disk and evicts the least recently used", async (t) => {
+  let clock = Date.now();
+  t.mock.method(Date, "now", () => clock++);
+  const dir = await tempDir();
+  const options = { ttlMs: 60 * 1000, maxEntries: 2, maxBytes: 1e6 };
+  const cache = createResultCache(dir, options);
+  await cache.set("k1", { n: 1 });
+  await cache.set("k2", { n: 2 });
+  await cache.get("k1");
+  await cache.set("k3", { n: 3 });
+
+  assert.equal(await cache.has("k2"), false);
+  assert.equal(await cache.has("k1"), true);
+  assert.deepEqual((await createResultCache(dir, options).get("k3")).result, { n: 3 });
+});
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { diffResults, formatDiff } from "../lib/result-diff.js";
+
+test("reports added, removed and changed values by path", () => {
+  const before = { summary: "Old summary.", document_date: "2024-01-01", urgency: { level: "low" } };
+  const after = { summary: "New summary.", urgency: { level: "high" }, parties: [] };
+
+  assert.deepEqual(diffResults(before, after), [
+    { op: "~", path: "summary", before: "Old summary.", after: "New summary." },
+    { op: "-", path: "document_date", before: "2024-01-01" },
+    { op: "~", path: "urgency.level", before: "low", after: "high" },
+    { op: "+", path: "parties", after: [] }
+  ]);
+});
+
+test("ignores meta, sources and citations", () => {
+  const before = { summary: "Same.", meta: { model: "a" }, key_points: [{ point: "Pay the fee.", citation: { verified: true } }] };
+  const after = { summary: "Same.", meta: { model: "b" }, sources: {}, key_points: [{ point: "Pay the fee.", citation: { verified: false } }] };
+
+  assert.deepEqual(diffResults(before, after), []);
+});
+
+test("matches findings by their text rather than their position", () => {
+  const before = { key_points: [{ point: "Report all incidents within 24 hours.", importance: "high" }, { point: "Keep records for five years." }] };
+  const after = { key_points: [{ point: "A new point about training." }, { point: "Report all incidents within 24 hours.", importance: "medium" }] };
+
+  assert.deepEqual(diffResults(before, after), [
+    { op: "~", path: 'key_points["Report all incidents within 24 hours."].importance', before: "high", after: "medium" },
+    { op: "-", path: "key_points", before: { point: "Keep records for five years." } },
+    { op: "+", path: "key_points", after: { point: "A new point about training." } }
+  ]);
+});
+
+test("compares arrays of plain values as sets", () => {
+  assert.deepEqual(diffResults({ tags: ["a", "b"] }, { tags: ["b", "c"] }), [
+    { op: "-", path: "tags", before: "a" },
+    { op: "+", path: "tags", after: "c" }
+  ]);
+});
+
+test("formats changes one per line", () => {
+  const text = formatDiff([
+    { op: "+", path: "todos", after: { task: "Call the bank" } },
+    { op: "-", path: "tags", before: "a" },
+    { op: "~", path: "summary", before: "x", after: "y" }
+  ]);
+  assert.equal(text, '+ todos: "Call the bank"\n- tags: "a"\n~ summary: "x" -> "y"');
+});
@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { formatViolations, validateAgainstSchema } from "../lib/schema-validation.js";
+
+const schema = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    severity: { type: "string", enum: ["low", "high"] },
+    points: { type: "array", items: { type: "string" } }
+  },
+  required: ["summary", "severity"]
+};
+
+test("accepts data that matches the schema", () => {
+  assert.deepEqual(validateAgainstSchema(schema, { summary: "ok", severity: "low", points: [] }), []);
+});
+
+test("lists every violation with its path", () => {
+  const violations = validateAgainstSchema(schema, { severity: "urgent", points: ["a", 2] });
+
+  assert.deepEqual(violations, [
+    { path: "/", message: 'missing required property "summary"' },
+    { path: "/severity", message: 'must be equal to one of the allowed values: "low", "high"' },
+    { path: "/points/1", message: "must be string" }
+  ]);
+});
+
+test("formats violations as a capped list", () => {
+  const violations = Array.from({ length: 4 }, (_, i) => ({ path: `/points/${i}`, message: "must be string" }));
+
+  assert.equal(formatViolations(violations.slice(0, 1)), "- /points/0: must be string");
+  assert.equal(formatViolations(violations, 2), "- /points/0: must be string\n- /points/1: must be string\n- ... and 2 more");
+});
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { diffDocuments, formatChangesForPrompt, promptChangeIds } from "../lib/text-diff.js";
+
+const doc = (...pages) => ({ segments: pages.map((text, i) => ({ label: `page ${i + 1}`, text })) });
+
+test("finds no changes between texts that only differ in wrapping", () => {
+  const changes = diffDocuments(doc("Rent is due monthly. Pets are\nnot allowed."), doc("Rent is due   monthly.\nPets are not allowed."));
+
+  assert.deepEqual(changes, []);
+  assert.equal(formatChangesForPrompt(changes), "(no differences found)");
+});
+
+test("reports modified sentences with a word diff", () => {
+  const changes = diffDocuments(
+    doc("The term is one year. Rent is 900 euros per month. Pets are not allowed."),
+    doc("The term is one year. Rent is 950 euros per month. Pets are not allowed.")
+  );
+
+  assert.deepEqual(changes, [{
+    id: "C1",
+    type: "modified",
+    before: "Rent is 900 euros per month.",
+    after: "Rent is 950 euros per month.",
+    before_location: "page 1",
+    after_location: "page 1",
+    words: [{ op: "=", text: "Rent is" }, { op: "-", text: "900" }, { op: "+", text: "950" }, { op: "=", text: "euros per month." }]
+  }]);
+});
+
+test("reports added and removed sentences with their locations", () => {
+  const changes = diffDocuments(
+    doc("Clause one applies.", "Clause two applies. Smoking is allowed on the balcony. Clause three applies."),
+    doc("Clause one applies. A deposit of two months is required.", "Clause two applies. Clause three applies.")
+  );
+
+  assert.deepEqual(changes.map(({ id, type, before, after, before_location, after_location }) => ({ id, type, before, after, before_location, after_location })), [
+    { id: "C1", type: "added", before: "", after: "A deposit of two months is required.", before_location: null, after_location: "page 1" },
+    { id: "C2", type: "removed", before: "Smoking is allowed on the balcony.", after: "", before_location: "page 2", after_location: "page 2" }
+  ]);
+  assert.equal(changes[0].words, undefined);
+});
+
+test("joins consecutive changed sentences into one change", () => {
+  const changes = diffDocuments(doc("Keep. Old one. Old two. End."), doc("Keep. New one. New two. End."));
+
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].before, "Old one. Old two.");
+  assert.equal(changes[0].after, "New one. New two.");
+});
+
+test("formats the changes for the prompt", () => {
+  const changes = diffDocuments(doc("A is one. B is two."), doc("A is one. B is three. C is new."));
+  const text = formatChangesForPrompt(changes);
+
+  assert.equal(text, "[C1] modified (baseline page 1, revised page 1)\nBEFORE: B is two.\nAFTER: B is three. C is new.");
+  assert.deepEqual(promptChangeIds(changes), ["C1"]);
+});
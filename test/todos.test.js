@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createTodoStore } from "../lib/todos.js";
+import { startServer, tempDir } from "./helpers.js";
+
+function record(id, { sha256 = "abc", user = null, tasks = ["Call the bank", "File the report"] } = {}) {
+  return {
+    id,
+    files: { main: { name: "letter.pdf", sha256 } },
+    user,
+    result: { todos_by_department: { Legal: tasks.map(task => ({ task, source_point: "Point 1" })), Finance: [] } }
+  };
+}
+
+test("tracks each task of a document once across analyses", async () => {
+  const todos = createTodoStore(await tempDir());
+
+  assert.equal((await todos.addFromAnalysis(record("a1"))).length, 2);
+  assert.equal((await todos.addFromAnalysis(record("a2", { tasks: ["call the bank ", "Sign the form"] }))).length, 1);
+  assert.equal((await todos.addFromAnalysis(record("a3", { sha256: "def" }))).length, 2);
+  assert.equal((await todos.addFromAnalysis(record("a4", { user: { id: "u2", username: "bob" } }))).length, 2);
+
+  const { total, items } = await todos.list(null);
+  assert.equal(total, 7);
+  assert.equal(items.find(t => t.task === "Sign the form").analysis_id, "a2");
+});
+
+test("falls back to the analysis when the document has no hash", async () => {
+  const todos = createTodoStore(await tempDir());
+
+  assert.equal((await todos.addFromAnalysis(record("a1", { sha256: null }))).length, 2);
+  assert.equal((await todos.addFromAnalysis(record("a1", { sha256: null }))).length, 0);
+  assert.equal((await todos.addFromAnalysis(record("a2", { sha256: null }))).length, 2);
+});
+
+test("a result served from the cache adds no to-dos", async (t) => {
+  const { base, child } = await startServer(await tempDir());
+  t.after(() => child.kill());
+
+  const analyze = async (force = false) => {
+    const form = new FormData();
+    form.append("file", new Blob(["[paragraph 1]\nAll staff must report incidents within 24 hours.\n"], { type: "text/plain" }), "policy.txt");
+    form.append("targetLanguage", "English");
+    form.append("outputs", "todos");
+    if (force) form.append("force", "true");
+    const res = await fetch(`${base}/api/analyze`, { method: "POST", body: form });
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+  const tracked = async () => (await (await fetch(`${base}/api/todos`)).json()).total;
+
+  assert.equal((await analyze()).meta.cache.hit, false);
+  const first = await tracked();
+  assert.ok(first > 0);
+
+  assert.equal((await analyze()).meta.cache.hit, true);
+  assert.equal(await tracked(), first);
+
+  assert.equal((await analyze(true)).meta.cache.hit, false);
+  assert.equal(await tracked(), first);
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { createUserStore } from "../lib/users.js";
+import { tempDir } from "./helpers.js";
+
+// findByApiKey does not wait for its write, so poll users.json until the value changes.
+async function storedLastUse(dir, previous = null) {
+  for (let i = 0; i < 50; i++) {
+    const [user] = JSON.parse(await fs.readFile(path.join(dir, "users.json"), "utf8"));
+    if (user.api_keys[0].last_used_at !== previous) return user.api_keys[0].last_used_at;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return null;
+}
+
+test("records API key use at most every few minutes", async (t) => {
+  const dir = await tempDir();
+  const users = createUserStore(dir);
+  const user = await users.create({ username: "alice", password: "correct horse" });
+  const { key } = await users.createApiKey(user.id, "CI");
+
+  assert.equal((await users.findByApiKey(key)).id, user.id);
+  const first = await storedLastUse(dir);
+  assert.ok(first);
+
+  const users2 = createUserStore(dir);
+  const mtime = (await fs.stat(path.join(dir, "users.json"))).mtimeMs;
+  assert.equal((await users2.findByApiKey(key)).id, user.id);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal((await fs.stat(path.join(dir, "users.json"))).mtimeMs, mtime);
+  assert.equal((await users2.listApiKeys(user.id))[0].last_used_at, first);
+
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 6 * 60 * 1000);
+  await users2.findByApiKey(key);
+  assert.notEqual((await users2.listApiKeys(user.id))[0].last_used_at, first);
+  assert.ok(await storedLastUse(dir, first));
+
+  assert.equal(await users2.findByApiKey("da_not-a-key"), null);
+});
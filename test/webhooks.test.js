@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { createWebhooks, signWebhook, verifyWebhookSignature } from "../lib/webhooks.js";
+import { tempDir } from "./helpers.js";
+
+const secret = "whsec_test";
+const body = JSON.stringify({ event: "ping" });
+const now = () => String(Math.floor(Date.now() / 1000));
+
+test("signs the timestamp and body with HMAC-SHA256", () => {
+  assert.match(signWebhook(secret, "1700000000", body), /^sha256=[0-9a-f]{64}$/);
+  assert.equal(signWebhook(secret, "1700000000", body), signWebhook(secret, "1700000000", body));
+  assert.notEqual(signWebhook(secret, "1700000000", body), signWebhook(secret, "1700000001", body));
+});
+
+test("verifies a fresh signature", () => {
+  const timestamp = now();
+  assert.equal(verifyWebhookSignature(secret, { timestamp, signature: signWebhook(secret, timestamp, body), body }), true);
+});
+
+test("rejects a wrong secret, a changed body or a missing signature", () => {
+  const timestamp = now();
+  const signature = signWebhook(secret, timestamp, body);
+  assert.equal(verifyWebhookSignature("whsec_other", { timestamp, signature, body }), false);
+  assert.equal(verifyWebhookSignature(secret, { timestamp, signature, body: `${body} ` }), false);
+  assert.equal(verifyWebhookSignature(secret, { timestamp, signature: undefined, body }), false);
+});
+
+test("rejects old or missing timestamps", () => {
+  const old = String(Math.floor(Date.now() / 1000) - 600);
+  assert.equal(verifyWebhookSignature(secret, { timestamp: old, signature: signWebhook(secret, old, body), body }), false);
+  assert.equal(verifyWebhookSignature(secret, { timestamp: old, signature: signWebhook(secret, old, body), body, toleranceSeconds: 900 }), true);
+  assert.equal(verifyWebhookSignature(secret, { timestamp: "soon", signature: signWebhook(secret, "soon", body), body }), false);
+});
+
+test("refuses local and private webhook hosts and plain http", async () => {
+  const webhooks = createWebhooks(await tempDir());
+  for (const url of ["https://127.0.0.1/hook", "https://[::1]/hook", "https://169.254.169.254/", "https://10.0.0.5/", "https://[fd00::1]/"]) {
+    await assert.rejects(webhooks.create(null, { url }), { statusCode: 400, message: /local or private/ }, url);
+  }
+  await assert.rejects(webhooks.create(null, { url: "http://203.0.113.10/hook" }), { statusCode: 400, message: /https/ });
+  await assert.rejects(webhooks.create(null, { url: "ftp://203.0.113.10/" }), { statusCode: 400 });
+
+  const created = await webhooks.create(null, { url: "https://203.0.113.10/hook" });
+  assert.equal(created.url, "https://203.0.113.10/hook");
+  assert.match(created.secret, /^whsec_/);
+});
+
+test("accepts allow-listed hosts and http when https is not required", async () => {
+  const webhooks = createWebhooks(await tempDir(), { allowedHosts: ["LocalHost", "10.0.0.5"], requireHttps: false });
+  assert.equal((await webhooks.create(null, { url: "http://localhost:4002/" })).url, "http://localhost:4002/");
+  assert.equal((await webhooks.create(null, { url: "http://10.0.0.5/hook" })).url, "http://10.0.0.5/hook");
+  await assert.rejects(webhooks.create(null, { url: "http://192.168.0.1/" }), { statusCode: 400 });
+});
+
+test("compacts the delivery log once it holds twice the kept deliveries", async () => {
+  const dir = await tempDir();
+  const old = Array.from({ length: 2500 }, (_, i) => JSON.stringify({ id: `old-${i}`, status: "delivered", user: null }));
+  await fs.writeFile(path.join(dir, "webhook-deliveries.jsonl"), `${old.join("\n")}\n`);
+
+  // Nothing listens on port 9, so the single attempt fails fast and is logged as gave_up.
+  const webhooks = createWebhooks(dir, { maxAttempts: 1, allowedHosts: ["127.0.0.1"], requireHttps: false });
+  const sub = await webhooks.create(null, { url: "http://127.0.0.1:9/" });
+  const delivery = await webhooks.test(null, sub.id);
+  assert.equal(delivery.status, "gave_up");
+
+  const lines = (await fs.readFile(path.join(dir, "webhook-deliveries.jsonl"), "utf8")).trim().split("\n");
+  assert.equal(lines.length, 1000);
+  assert.equal(JSON.parse(lines[0]).id, "old-1501");
+  assert.equal(JSON.parse(lines.at(-1)).id, delivery.id);
+
+  const log = await createWebhooks(dir).deliveryLog(null, { limit: 2000 });
+  assert.equal(log.length, 1000);
+  assert.equal(log[0].id, delivery.id);
+});